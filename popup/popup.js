@@ -14,6 +14,9 @@ const CHAIN_NAMES = {
   'solana': 'Solana'
 };
 
+// Below this data coverage the score is shown as tentative
+const LOW_CONFIDENCE = 50;
+
 // SVG Icons
 const ICONS = {
   copy: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>',
@@ -23,6 +26,7 @@ const ICONS = {
   alert: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/></svg>',
   warning: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>',
   checkCircle: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/></svg>',
+  refresh: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M23 4v6h-6"/><path d="M1 20v-6h6"/><path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"/></svg>',
   x: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>'
 };
 
@@ -30,6 +34,52 @@ const ICONS = {
 let currentSettings = {};
 let selectedChain = 'auto';
 let watchlistCache = new Set(); // Cache of watchlist addresses
+let scoringProfiles = {}; // Built-in profiles from the background
+let thresholdDefaults = {}; // Default alert thresholds from the background
+let customProfile = null;
+let historyEntries = []; // Scan history from the background
+let watchlistItems = []; // Watchlist from the background
+
+// Display names for scoring factors
+const FACTOR_LABELS = {
+  liquidityLock: 'Liquidity lock',
+  ownershipRenounced: 'Ownership',
+  honeypotCheck: 'Honeypot',
+  holderDistribution: 'Holders',
+  taxRate: 'Tax rate',
+  contractVerified: 'Verified',
+  tradingActivity: 'Activity',
+  tokenAge: 'Token age'
+};
+
+// Token ages (hours) highlighted as a launch-phase risk
+const LAUNCH_AGE_HOURS = { danger: 1, warning: 24 };
+
+const PROFILE_DESCRIPTIONS = {
+  balanced: 'Default weights and cutoffs',
+  degen: 'Focus on honeypots and taxes, lenient on the rest',
+  conservative: 'Strict on ownership, liquidity and holders',
+  custom: 'Your own weights, thresholds and cutoffs'
+};
+
+// Watchlist snapshot series (short keys match the stored snapshots)
+const SNAPSHOT_SERIES = [
+  { key: 's', label: 'Score', format: (v) => String(v) },
+  { key: 'l', label: 'Liquidity', format: (v) => `$${formatNumber(v)}` },
+  { key: 'p', label: 'Price', format: (v) => `$${formatPrice(v)}` },
+  { key: 'h', label: 'Holders', format: (v) => formatNumber(v) },
+  { key: 'bt', label: 'Buy tax', format: (v) => `${v}%` },
+  { key: 'st', label: 'Sell tax', format: (v) => `${v}%` }
+];
+
+// Alert threshold sliders keyed by element id
+const THRESHOLD_SLIDERS = {
+  'threshold-liquidity': { key: 'LIQUIDITY_DROP', unit: '%' },
+  'threshold-score': { key: 'SCORE_DROP', unit: ' pts' },
+  'threshold-sell': { key: 'LARGE_SELL', unit: '%' },
+  'threshold-concentration': { key: 'HOLDER_CONCENTRATION', unit: '%' },
+  'threshold-tax': { key: 'TAX_INCREASE', unit: ' pts' }
+};
 
 /**
  * Initialize popup
@@ -39,6 +89,8 @@ async function init() {
   
   // Load settings
   await loadSettings();
+  await loadScoringProfiles();
+  await loadScoringRules();
   
   // Load watchlist cache
   await loadWatchlistCache();
@@ -52,6 +104,9 @@ async function init() {
   // Check for pending scan (from context menu)
   await checkPendingScan();
   
+  // Check for a token to show (from a notification)
+  await checkPendingFocus();
+  
   console.log('[SafeCA Popup] Initialized');
 }
 
@@ -105,6 +160,7 @@ async function loadSettings() {
     const response = await chrome.runtime.sendMessage({ type: 'SETTINGS_GET' });
     if (response.success) {
       currentSettings = response.settings;
+      thresholdDefaults = response.thresholdDefaults || {};
       applySettings();
     }
   } catch (error) {
@@ -127,13 +183,22 @@ function applySettings() {
   document.getElementById('setting-darkmode').checked = currentSettings.darkMode !== false;
   document.getElementById('setting-notifications').checked = currentSettings.notifications !== false;
   document.getElementById('setting-polling').checked = currentSettings.watchlistPolling !== false;
+  document.getElementById('setting-swr').checked = currentSettings.staleWhileRevalidate !== false;
   
   // Set threshold values
   const thresholds = currentSettings.alertThresholds || {};
-  document.getElementById('threshold-liquidity').value = thresholds.LIQUIDITY_DROP || 10;
-  document.getElementById('threshold-liquidity-value').textContent = `${thresholds.LIQUIDITY_DROP || 10}%`;
-  document.getElementById('threshold-score').value = thresholds.SCORE_DROP || 15;
-  document.getElementById('threshold-score-value').textContent = `${thresholds.SCORE_DROP || 15} pts`;
+  for (const [id, { key, unit }] of Object.entries(THRESHOLD_SLIDERS)) {
+    const value = thresholds[key] ?? thresholdDefaults[key];
+    document.getElementById(id).value = value;
+    document.getElementById(`${id}-value`).textContent = `${value}${unit}`;
+  }
+  
+  // Baseline and alert repeat settings
+  document.getElementById('setting-baseline').value = currentSettings.baselineMode || 'fixed';
+  document.getElementById('setting-baseline-window').value = String(currentSettings.baselineWindowHours || 24);
+  document.getElementById('setting-cooldown').value = String(currentSettings.alertCooldownMinutes || 360);
+  document.getElementById('setting-max-items').value = String(currentSettings.watchlistMaxItems || 50);
+  document.getElementById('baseline-window-item').classList.toggle('hidden', currentSettings.baselineMode !== 'window');
 }
 
 /**
@@ -146,7 +211,7 @@ function setupEventListeners() {
   });
   
   // Scan button
-  document.getElementById('scan-btn').addEventListener('click', handleScan);
+  document.getElementById('scan-btn').addEventListener('click', () => handleScan());
   
   // Address input - Enter key
   document.getElementById('address-input').addEventListener('keydown', (e) => {
@@ -190,21 +255,79 @@ function setupEventListeners() {
     updateSetting('watchlistPolling', e.target.checked);
   });
   
-  // Threshold sliders
-  document.getElementById('threshold-liquidity').addEventListener('input', (e) => {
-    document.getElementById('threshold-liquidity-value').textContent = `${e.target.value}%`;
-    updateThreshold('LIQUIDITY_DROP', parseInt(e.target.value));
+  document.getElementById('setting-swr').addEventListener('change', (e) => {
+    updateSetting('staleWhileRevalidate', e.target.checked);
   });
   
-  document.getElementById('threshold-score').addEventListener('input', (e) => {
-    document.getElementById('threshold-score-value').textContent = `${e.target.value} pts`;
-    updateThreshold('SCORE_DROP', parseInt(e.target.value));
+  document.getElementById('setting-baseline').addEventListener('change', (e) => {
+    document.getElementById('baseline-window-item').classList.toggle('hidden', e.target.value !== 'window');
+    updateSetting('baselineMode', e.target.value);
   });
   
+  document.getElementById('setting-baseline-window').addEventListener('change', (e) => {
+    updateSetting('baselineWindowHours', parseInt(e.target.value));
+  });
+  
+  document.getElementById('setting-cooldown').addEventListener('change', (e) => {
+    updateSetting('alertCooldownMinutes', parseInt(e.target.value));
+  });
+  
+  document.getElementById('setting-max-items').addEventListener('change', (e) => {
+    updateSetting('watchlistMaxItems', parseInt(e.target.value));
+  });
+  
+  // Watchlist filter and sort
+  document.getElementById('watchlist-filter').addEventListener('change', renderWatchlist);
+  document.getElementById('watchlist-sort').addEventListener('change', renderWatchlist);
+  
+  // Threshold sliders
+  for (const [id, { key, unit }] of Object.entries(THRESHOLD_SLIDERS)) {
+    document.getElementById(id).addEventListener('input', (e) => {
+      document.getElementById(`${id}-value`).textContent = `${e.target.value}${unit}`;
+      updateThreshold(key, parseInt(e.target.value));
+    });
+  }
+  
+  // Scoring profile
+  document.getElementById('setting-profile').addEventListener('change', (e) => {
+    selectScoringProfile(e.target.value);
+  });
+  document.getElementById('profile-editor').addEventListener('input', updateWeightSum);
+  document.getElementById('profile-reset').addEventListener('click', () => {
+    renderProfileEditor(scoringProfiles.balanced);
+  });
+  document.getElementById('profile-save').addEventListener('click', saveCustomProfile);
+  
+  // Hard-fail rules
+  document.getElementById('rules-save').addEventListener('click', saveCustomRules);
+  
   // Action buttons
   document.getElementById('clear-cache').addEventListener('click', clearCache);
   document.getElementById('clear-watchlist').addEventListener('click', clearWatchlist);
   
+  // Export and import
+  document.getElementById('export-json').addEventListener('click', exportBackup);
+  document.getElementById('import-json').addEventListener('click', () => {
+    document.getElementById('import-file').click();
+  });
+  document.getElementById('import-file').addEventListener('change', (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (file) importBackup(file);
+  });
+  document.getElementById('export-watchlist-csv').addEventListener('click', (e) => {
+    exportCsv('watchlist', e.currentTarget);
+  });
+  document.getElementById('export-history-csv').addEventListener('click', (e) => {
+    exportCsv('history', e.currentTarget);
+  });
+  
+  // History search and filters
+  document.getElementById('history-search').addEventListener('input', renderHistory);
+  document.getElementById('history-chain').addEventListener('change', renderHistory);
+  document.getElementById('history-risk').addEventListener('change', renderHistory);
+  document.getElementById('clear-history').addEventListener('click', clearHistory);
+  
   // Website management
   document.getElementById('add-website-btn').addEventListener('click', addWebsite);
   document.getElementById('website-input').addEventListener('keydown', (e) => {
@@ -225,6 +348,7 @@ function setupEventListeners() {
 
 /**
  * Switch active tab
+ * @returns {Promise|undefined} - Resolves once the tab's data has loaded
  */
 function switchTab(tabName) {
   // Update tab buttons
@@ -239,14 +363,20 @@ function switchTab(tabName) {
   
   // Load tab-specific data
   if (tabName === 'watchlist') {
-    loadWatchlist();
+    return loadWatchlist();
+  } else if (tabName === 'history') {
+    return loadHistory();
+  } else if (tabName === 'settings') {
+    return loadProviderHealth();
   }
 }
 
 /**
  * Handle scan button click
+ * @param {object} source - Where the scan was started, recorded in history
+ * @param {boolean} useCache - Whether cached results may be used
  */
-async function handleScan() {
+async function handleScan(source = { type: 'popup' }, useCache = true) {
   const input = document.getElementById('address-input');
   const text = input.value.trim();
   
@@ -277,12 +407,13 @@ async function handleScan() {
     try {
       const response = await chrome.runtime.sendMessage({
         type: 'SCAN_TOKEN',
-        payload: { address, chain: finalChain }
+        payload: { address, chain: finalChain, useCache, source }
       });
       
       results.push({
         address,
-        chain: finalChain,
+        // Auto-detected EVM addresses come back with their resolved chain
+        chain: response.data?.chain || finalChain,
         ...response
       });
     } catch (error) {
@@ -314,7 +445,7 @@ function extractAddresses(text) {
     const evmMatch = line.match(/0x[a-fA-F0-9]{40}/);
     if (evmMatch && !seen.has(evmMatch[0].toLowerCase())) {
       seen.add(evmMatch[0].toLowerCase());
-      results.push({ address: evmMatch[0], chain: '1' });
+      results.push({ address: evmMatch[0], chain: 'auto' });
       continue;
     }
     
@@ -402,17 +533,18 @@ function createResultCard(result) {
     card.innerHTML = `
       <div class="result-header">
         <div class="result-token">
-          <span class="result-token-name">Error</span>
+          <span class="result-token-name">${result.degraded ? 'Unavailable' : 'Error'}</span>
           <span class="result-token-symbol">${truncateAddress(result.address)}</span>
         </div>
         <div class="result-score error">
-          <span class="result-score-value">!</span>
-          <span class="result-score-label">Error</span>
+          <span class="result-score-value">${result.degraded ? '…' : '!'}</span>
+          <span class="result-score-label">${result.degraded ? capitalizeFirst(result.degraded.state) : 'Error'}</span>
         </div>
       </div>
       <div class="result-body">
         <div class="error-state">
           <p class="error-text">${escapeHtml(result.error || 'Failed to scan token')}</p>
+          ${result.degraded?.queued ? '<p class="error-text">The scan will be retried automatically.</p>' : ''}
         </div>
       </div>
     `;
@@ -421,7 +553,8 @@ function createResultCard(result) {
   
   const data = result.data;
   const riskLevel = data.riskLevel || 'unknown';
-  const scoreClass = riskLevel === 'safe' ? 'safe' : riskLevel === 'warning' ? 'warning' : 'danger';
+  const scoreClass = getScoreClass(riskLevel, data.confidence);
+  const launchedAt = data.launchedAt || data.createdAt;
   
   // Check if already in watchlist
   const inWatchlist = isInWatchlist(result.address, result.chain);
@@ -435,6 +568,7 @@ function createResultCard(result) {
       <div class="result-score ${scoreClass}">
         <span class="result-score-value">${data.score ?? '?'}</span>
         <span class="result-score-label">${capitalizeFirst(riskLevel)}</span>
+        ${data.confidence !== undefined ? `<span class="result-score-confidence">${data.confidence}% data</span>` : ''}
       </div>
     </div>
     
@@ -445,6 +579,16 @@ function createResultCard(result) {
       </div>
       
       <span class="result-chain">${CHAIN_NAMES[result.chain] || result.chain}</span>
+      ${launchedAt ? `<span class="result-age ${getAgeClass(launchedAt)}" title="Since the first trading pair was created">${formatAge(launchedAt)} old</span>` : ''}
+      ${data.chainResolution?.ambiguous ? `
+        <span class="result-chain-note">Also deployed on ${escapeHtml(data.chainResolution.candidates.filter(id => id !== result.chain).map(id => CHAIN_NAMES[id] || id).join(', '))}</span>
+      ` : ''}
+      
+      ${data.degraded ? `
+        <div class="result-degraded">
+          ${data.degraded.state === 'offline' ? 'Offline' : 'Data providers unreachable'}: showing the last known result from ${formatTimeAgo(data.degraded.asOf)}
+        </div>
+      ` : ''}
       
       ${data.flags && data.flags.length > 0 ? `
         <div class="result-flags">
@@ -457,6 +601,15 @@ function createResultCard(result) {
         </div>
       ` : ''}
       
+      ${data.conflicts && data.conflicts.length > 0 ? `
+        <div class="result-conflicts">
+          <span class="result-conflicts-title">${ICONS.warning} Sources disagree</span>
+          ${data.conflicts.map(conflict => `
+            <div class="result-conflict">${escapeHtml(formatConflict(conflict))}</div>
+          `).join('')}
+        </div>
+      ` : ''}
+      
       <div class="metrics-grid">
         ${createMetric('Price', data.priceUsd ? `$${formatPrice(data.priceUsd)}` : 'N/A')}
         ${createMetric('Liquidity', data.liquidity ? `$${formatNumber(data.liquidity)}` : 'N/A')}
@@ -515,7 +668,7 @@ function createResultCard(result) {
           chain: chain
         };
         
-        const success = await addToWatchlist(tokenData);
+        const success = await addToWatchlist(tokenData, btn);
         if (success) {
           addToWatchlistCache(address, chain);
           btn.outerHTML = `
@@ -573,7 +726,7 @@ function attachRemoveHandler(card, data) {
             chain: chain
           };
           
-          const success = await addToWatchlist(tokenData);
+          const success = await addToWatchlist(tokenData, newAddBtn);
           if (success) {
             addToWatchlistCache(address, chain);
             newAddBtn.outerHTML = `
@@ -604,6 +757,47 @@ function getFlagIcon(type) {
   }
 }
 
+/**
+ * Format a source conflict as a single line
+ */
+function formatConflict(conflict) {
+  const labels = {
+    isHoneypot: 'Honeypot',
+    ownershipRenounced: 'Ownership renounced',
+    canMint: 'Mintable',
+    canPause: 'Pausable',
+    canBlacklist: 'Blacklist',
+    canModifyTax: 'Tax modifiable',
+    isProxy: 'Proxy',
+    buyTax: 'Buy tax',
+    sellTax: 'Sell tax',
+    topHolderPercent: 'Top holder',
+    top10HoldersPercent: 'Top 10 holders'
+  };
+  const sources = {
+    dexScreener: 'DexScreener',
+    goPlus: 'GoPlus',
+    rugCheck: 'RugCheck',
+    honeypot: 'Honeypot.is',
+    onChain: 'On-chain',
+    solanaRpc: 'Solana RPC'
+  };
+  const values = conflict.values.map(({ source, value }) => {
+    const shown = typeof value === 'boolean' ? (value ? 'yes' : 'no') : 
+                  typeof value === 'number' ? `${value.toFixed(1)}%` : String(value);
+    return `${sources[source] || source} ${shown}`;
+  });
+  return `${labels[conflict.field] || conflict.field}: ${values.join(', ')}`;
+}
+
+/**
+ * Get score element classes for a risk level
+ */
+function getScoreClass(riskLevel, confidence) {
+  const levelClass = ['safe', 'warning', 'danger', 'unknown'].includes(riskLevel) ? riskLevel : 'danger';
+  return confidence < LOW_CONFIDENCE ? `${levelClass} low-confidence` : levelClass;
+}
+
 /**
  * Create metric HTML
  */
@@ -632,9 +826,6 @@ async function loadWatchlist() {
     document.getElementById('watchlist-empty').classList.add('hidden');
     document.getElementById('watchlist-items').classList.remove('hidden');
     
-    const container = document.getElementById('watchlist-items');
-    container.innerHTML = '';
-    
     // Update cache
     watchlistCache.clear();
     response.items.forEach(item => {
@@ -642,24 +833,89 @@ async function loadWatchlist() {
       watchlistCache.add(key);
     });
     
-    for (const item of response.items) {
-      const el = createWatchlistItem(item);
-      container.appendChild(el);
-    }
+    watchlistItems = response.items;
+    updateWatchlistFilters();
+    renderWatchlist();
   } catch (error) {
     console.error('[SafeCA Popup] Failed to load watchlist:', error);
   }
 }
 
+/**
+ * Offer the groups and tags in use as watchlist filters
+ */
+function updateWatchlistFilters() {
+  const select = document.getElementById('watchlist-filter');
+  const selected = select.value;
+  const groups = [...new Set(watchlistItems.map(item => item.group).filter(Boolean))].sort();
+  const tags = [...new Set(watchlistItems.flatMap(item => item.tags || []))].sort();
+  
+  select.innerHTML = '<option value="">All tokens</option>' +
+    (groups.length ? `<optgroup label="Groups">${groups.map(group =>
+      `<option value="group:${escapeHtml(group)}">${escapeHtml(group)}</option>`).join('')}</optgroup>` : '') +
+    (tags.length ? `<optgroup label="Tags">${tags.map(tag =>
+      `<option value="tag:${escapeHtml(tag)}">#${escapeHtml(tag)}</option>`).join('')}</optgroup>` : '');
+  
+  select.value = [...select.options].some(option => option.value === selected) ? selected : '';
+  
+  document.getElementById('watchlist-groups').innerHTML = groups.map(group =>
+    `<option value="${escapeHtml(group)}"></option>`).join('');
+}
+
+/**
+ * Liquidity change since the baseline, in percent
+ */
+function getLiquidityChange(item) {
+  const before = item.baseline?.liquidity;
+  if (!before || typeof item.liquidity !== 'number') return null;
+  return ((item.liquidity - before) / before) * 100;
+}
+
+/**
+ * Render the watchlist with the selected filter and sort
+ */
+function renderWatchlist() {
+  const filter = document.getElementById('watchlist-filter').value;
+  const sort = document.getElementById('watchlist-sort').value;
+  
+  const items = watchlistItems.filter(item => {
+    if (filter.startsWith('group:')) return item.group === filter.slice(6);
+    if (filter.startsWith('tag:')) return (item.tags || []).includes(filter.slice(4));
+    return true;
+  });
+  
+  // Missing values sort last
+  const byNumber = (value) => (Number.isFinite(value) ? value : Infinity);
+  const negate = (value) => (typeof value === 'number' ? -value : null);
+  const sorters = {
+    'added': (a, b) => (b.addedAt || 0) - (a.addedAt || 0),
+    'score-asc': (a, b) => byNumber(a.score) - byNumber(b.score),
+    'score-desc': (a, b) => byNumber(negate(a.score)) - byNumber(negate(b.score)),
+    'liquidity': (a, b) => byNumber(getLiquidityChange(a)) - byNumber(getLiquidityChange(b)),
+    'tag': (a, b) => (a.tags?.[0] || '\uffff').localeCompare(b.tags?.[0] || '\uffff')
+  };
+  items.sort(sorters[sort] || sorters.added);
+  
+  const container = document.getElementById('watchlist-items');
+  container.innerHTML = '';
+  for (const item of items) {
+    container.appendChild(createWatchlistItem(item));
+  }
+}
+
 /**
  * Create watchlist item element
  */
 function createWatchlistItem(item) {
   const el = document.createElement('div');
   el.className = 'watchlist-item';
+  el.dataset.key = `${item.chain}:${item.address.toLowerCase()}`;
   
   const riskLevel = item.riskLevel || 'unknown';
-  const scoreClass = riskLevel === 'safe' ? 'safe' : riskLevel === 'warning' ? 'warning' : 'danger';
+  const scoreClass = getScoreClass(riskLevel, item.confidence);
+  const changes = (item.lastChanges || []).filter(change => change.type !== 'info');
+  const entryPrice = item.costBasis?.entryPrice;
+  const pnl = entryPrice && item.priceUsd ? (item.priceUsd / entryPrice - 1) * 100 : null;
   
   el.innerHTML = `
     <div class="watchlist-item-score ${scoreClass}">${item.score ?? '?'}</div>
@@ -667,13 +923,71 @@ function createWatchlistItem(item) {
       <div class="watchlist-item-name">${escapeHtml(item.tokenSymbol || item.tokenName || 'Unknown')}</div>
       <div class="watchlist-item-address">${truncateAddress(item.address)}</div>
       <span class="watchlist-item-chain">${CHAIN_NAMES[item.chain] || item.chain}</span>
+      ${item.group ? `<span class="watchlist-item-group">${escapeHtml(item.group)}</span>` : ''}
+      ${(item.tags || []).map(tag => `<span class="watchlist-item-tag">#${escapeHtml(tag)}</span>`).join('')}
+      ${pnl !== null ? `<span class="watchlist-item-pnl ${pnl >= 0 ? 'up' : 'down'}">${pnl >= 0 ? '+' : ''}${pnl.toFixed(1)}%</span>` : ''}
     </div>
+    <div class="watchlist-item-sparkline" title="Score since added">${createSparkline(getSeries(item.snapshots, 's'), 64, 24)}</div>
+    <button class="watchlist-item-remove watchlist-item-expand" title="Show history">${ICONS.chart}</button>
     <button class="watchlist-item-remove" data-address="${item.address}" data-chain="${item.chain}" title="Remove">${ICONS.x}</button>
+    <div class="watchlist-item-detail hidden">
+      ${createSnapshotDetail(item.snapshots)}
+      ${item.pollInterval ? `<div class="snapshot-since">Checked every ${Math.round(item.pollInterval / 60000)} min</div>` : ''}
+      ${changes.map(change => `
+        <div class="watchlist-change ${change.type}" data-field="${escapeHtml(change.field)}">${escapeHtml(change.message)}</div>
+      `).join('')}
+      <div class="watchlist-meta">
+        <input type="text" class="history-search meta-group" placeholder="Group" value="${escapeHtml(item.group || '')}" list="watchlist-groups">
+        <input type="text" class="history-search meta-tags" placeholder="Tags, comma separated" value="${escapeHtml((item.tags || []).join(', '))}">
+        <textarea class="history-search meta-notes" rows="2" placeholder="Notes">${escapeHtml(item.notes || '')}</textarea>
+        <div class="history-filter-row">
+          <input type="number" class="history-search meta-entry" placeholder="Entry price ($)" min="0" step="any" value="${item.costBasis?.entryPrice ?? ''}">
+          <input type="number" class="history-search meta-amount" placeholder="Amount" min="0" step="any" value="${item.costBasis?.amount ?? ''}">
+        </div>
+        <button class="watchlist-meta-save">Save</button>
+      </div>
+      <div class="result-actions">
+        <button class="result-btn result-btn-secondary view-dex-btn">${ICONS.chart} Open DexScreener</button>
+        <button class="result-btn result-btn-remove remove-watchlist-btn">${ICONS.x} Remove from Watchlist</button>
+      </div>
+    </div>
+    ${changes.length > 0 ? `
+      <div class="watchlist-item-changes">
+        <span class="watchlist-item-changes-text">${ICONS.warning} ${escapeHtml(changes[0].message)}${changes.length > 1 ? ` (+${changes.length - 1} more)` : ''}</span>
+        <button class="watchlist-item-review" title="Use current data as the new baseline">Mark reviewed</button>
+      </div>
+    ` : ''}
   `;
   
+  // Reset the baseline once changes have been looked at
+  el.querySelector('.watchlist-item-changes .watchlist-item-review')?.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    const response = await chrome.runtime.sendMessage({
+      type: 'WATCHLIST_RESET_BASELINE',
+      payload: { address: item.address, chain: item.chain }
+    });
+    if (response.success) {
+      el.querySelector('.watchlist-item-changes')?.remove();
+      el.querySelectorAll('.watchlist-change').forEach(change => change.remove());
+    }
+  });
+  
+  el.querySelector('.watchlist-meta-save').addEventListener('click', () => saveWatchlistMeta(item, el));
+  
+  el.querySelector('.view-dex-btn').addEventListener('click', () => {
+    chrome.tabs.create({ url: `https://dexscreener.com/search?q=${item.address}` });
+  });
+  
+  // Expand the detail chart
+  el.querySelector('.watchlist-item-expand').addEventListener('click', (e) => {
+    e.stopPropagation();
+    el.querySelector('.watchlist-item-detail').classList.toggle('hidden');
+    el.classList.toggle('expanded');
+  });
+  
   // Click to view details
   el.addEventListener('click', (e) => {
-    if (!e.target.closest('.watchlist-item-remove')) {
+    if (!e.target.closest('.watchlist-item-remove, .watchlist-item-detail, .watchlist-item-changes')) {
       // Fill in scan input and switch to scan tab
       document.getElementById('address-input').value = item.address;
       switchTab('scan');
@@ -681,11 +995,10 @@ function createWatchlistItem(item) {
     }
   });
   
-  // Remove button
-  el.querySelector('.watchlist-item-remove').addEventListener('click', async (e) => {
+  // Remove buttons (row and detail)
+  const removeItem = async (e) => {
     e.stopPropagation();
-    const btn = e.target.closest('.watchlist-item-remove');
-    const { address, chain } = btn.dataset;
+    const { address, chain } = item;
     await removeFromWatchlist(address, chain);
     
     // Remove from cache
@@ -701,20 +1014,135 @@ function createWatchlistItem(item) {
       document.getElementById('watchlist-empty').classList.remove('hidden');
       document.getElementById('watchlist-items').classList.add('hidden');
     }
-  });
+  };
+  el.querySelector('.watchlist-item-remove[data-address]').addEventListener('click', removeItem);
+  el.querySelector('.remove-watchlist-btn').addEventListener('click', removeItem);
   
   return el;
 }
 
+/**
+ * Save the tags, notes, group and cost basis edited on a watchlist item
+ */
+async function saveWatchlistMeta(item, el) {
+  const meta = {
+    group: el.querySelector('.meta-group').value,
+    tags: el.querySelector('.meta-tags').value.split(','),
+    notes: el.querySelector('.meta-notes').value,
+    costBasis: {
+      entryPrice: el.querySelector('.meta-entry').value,
+      amount: el.querySelector('.meta-amount').value
+    }
+  };
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'WATCHLIST_UPDATE_META',
+      payload: { address: item.address, chain: item.chain, meta }
+    });
+    if (response.success) {
+      await loadWatchlist();
+      focusWatchlistItem(item);
+    }
+  } catch (error) {
+    console.error('[SafeCA Popup] Failed to save watchlist details:', error);
+  }
+}
+
+/**
+ * Expand a watchlist item and highlight the change that triggered a notification
+ * @param {object} ref - { address, chain, field }
+ */
+function focusWatchlistItem(ref) {
+  const key = `${ref.chain}:${ref.address.toLowerCase()}`;
+  const el = [...document.querySelectorAll('.watchlist-item')].find(item => item.dataset.key === key);
+  if (!el) return;
+  
+  el.classList.add('expanded', 'focused');
+  el.querySelector('.watchlist-item-detail').classList.remove('hidden');
+  el.querySelectorAll('.watchlist-change').forEach(change => {
+    change.classList.toggle('highlighted', change.dataset.field === ref.field);
+  });
+  el.scrollIntoView({ block: 'center' });
+}
+
+/**
+ * Extract one series from watchlist snapshots
+ * @returns {Array} - [{ t, v }] for snapshots that recorded the field
+ */
+function getSeries(snapshots, key) {
+  return (snapshots || [])
+    .filter(snapshot => typeof snapshot[key] === 'number')
+    .map(snapshot => ({ t: snapshot.t, v: snapshot[key] }));
+}
+
+/**
+ * Build an inline SVG sparkline
+ */
+function createSparkline(points, width, height) {
+  if (points.length < 2) {
+    return `<svg class="sparkline empty" width="${width}" height="${height}"><line x1="0" y1="${height / 2}" x2="${width}" y2="${height / 2}"/></svg>`;
+  }
+  
+  const values = points.map(point => point.v);
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const start = points[0].t;
+  const span = points[points.length - 1].t - start || 1;
+  
+  // Leave a pixel of padding so the line isn't clipped at the edges
+  const coords = points.map(point => {
+    const x = ((point.t - start) / span) * (width - 2) + 1;
+    const y = height - 1 - ((point.v - min) / range) * (height - 2);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+  
+  const trend = values[values.length - 1] > values[0] ? 'up' : values[values.length - 1] < values[0] ? 'down' : 'flat';
+  return `<svg class="sparkline ${trend}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><polyline points="${coords.join(' ')}"/></svg>`;
+}
+
+/**
+ * Build the expanded per-field history for a watchlist item
+ */
+function createSnapshotDetail(snapshots) {
+  const rows = SNAPSHOT_SERIES.map(({ key, label, format }) => {
+    const points = getSeries(snapshots, key);
+    if (points.length === 0) return '';
+    
+    const first = points[0].v;
+    const last = points[points.length - 1].v;
+    return `
+      <div class="snapshot-row">
+        <span class="snapshot-label">${label}</span>
+        ${createSparkline(points, 150, 28)}
+        <span class="snapshot-values">${escapeHtml(format(first))} → ${escapeHtml(format(last))}</span>
+      </div>
+    `;
+  }).join('');
+  
+  if (!rows) {
+    return '<div class="snapshot-empty">No history yet. Snapshots are taken on each watchlist poll.</div>';
+  }
+  
+  const since = snapshots[0].t;
+  return `<div class="snapshot-since">Since ${new Date(since).toLocaleDateString()} · ${snapshots.length} snapshots</div>${rows}`;
+}
+
 /**
  * Add token to watchlist
+ * @param {object} token - Token data
+ * @param {HTMLElement} button - Button to show a failure reason on, such as a full watchlist
  */
-async function addToWatchlist(token) {
+async function addToWatchlist(token, button = null) {
   try {
     const response = await chrome.runtime.sendMessage({
       type: 'WATCHLIST_ADD',
       payload: { token }
     });
+    if (!response.success && response.error && button) {
+      button.innerHTML = `${ICONS.warning} ${escapeHtml(response.error)}`;
+      button.disabled = true;
+    }
     return response.success;
   } catch (error) {
     console.error('[SafeCA Popup] Failed to add to watchlist:', error);
@@ -781,6 +1209,125 @@ async function updateSetting(key, value) {
   }
 }
 
+/**
+ * Load scan history
+ */
+async function loadHistory() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'HISTORY_GET' });
+    historyEntries = response.success ? response.entries : [];
+    
+    // Offer only the chains that appear in history
+    const chainSelect = document.getElementById('history-chain');
+    const selected = chainSelect.value;
+    const chains = [...new Set(historyEntries.map(entry => entry.chain))];
+    chainSelect.innerHTML = '<option value="">All chains</option>' + chains.map(chain =>
+      `<option value="${escapeHtml(chain)}">${escapeHtml(CHAIN_NAMES[chain] || chain)}</option>`
+    ).join('');
+    chainSelect.value = chains.includes(selected) ? selected : '';
+    
+    renderHistory();
+  } catch (error) {
+    console.error('[SafeCA Popup] Failed to load history:', error);
+  }
+}
+
+/**
+ * Render history entries matching the search and filters
+ */
+function renderHistory() {
+  const query = document.getElementById('history-search').value.trim().toLowerCase();
+  const chain = document.getElementById('history-chain').value;
+  const risk = document.getElementById('history-risk').value;
+  
+  const entries = historyEntries.filter(entry => {
+    if (chain && entry.chain !== chain) return false;
+    if (risk && (entry.riskLevel || 'unknown') !== risk) return false;
+    if (!query) return true;
+    return [entry.tokenName, entry.tokenSymbol, entry.address, entry.source?.author, entry.source?.url]
+      .some(value => value && value.toLowerCase().includes(query));
+  });
+  
+  const container = document.getElementById('history-items');
+  container.innerHTML = '';
+  document.getElementById('history-empty').classList.toggle('hidden', entries.length > 0);
+  
+  for (const entry of entries) {
+    container.appendChild(createHistoryItem(entry));
+  }
+}
+
+/**
+ * Create history entry element
+ */
+function createHistoryItem(entry) {
+  const el = document.createElement('div');
+  el.className = 'watchlist-item history-item';
+  
+  const scoreClass = getScoreClass(entry.riskLevel || 'unknown', entry.confidence);
+  const seenOn = entry.source?.author || formatSourceUrl(entry.source?.url) || capitalizeFirst(entry.source?.type || 'unknown');
+  
+  el.innerHTML = `
+    <div class="watchlist-item-score ${scoreClass}">${escapeHtml(String(entry.score ?? '?'))}</div>
+    <div class="watchlist-item-info">
+      <div class="watchlist-item-name">${escapeHtml(entry.tokenSymbol || entry.tokenName || 'Unknown')}</div>
+      <div class="watchlist-item-address">${truncateAddress(entry.address)}</div>
+      <div class="history-item-meta">
+        <span class="watchlist-item-chain">${escapeHtml(CHAIN_NAMES[entry.chain] || entry.chain)}</span>
+        <span class="history-item-source" title="${escapeHtml(entry.source?.url || '')}">${escapeHtml(seenOn)}</span>
+        <span class="history-item-time">${formatTimeAgo(entry.timestamp)}</span>
+      </div>
+    </div>
+    <button class="watchlist-item-remove history-item-rescan" title="Rescan">${ICONS.refresh}</button>
+  `;
+  
+  // Open the page the token was seen on
+  if (/^https?:\/\//i.test(entry.source?.url || '')) {
+    el.querySelector('.history-item-source').addEventListener('click', (e) => {
+      e.stopPropagation();
+      chrome.tabs.create({ url: entry.source.url });
+    });
+  }
+  
+  // Click to view the last result, rescan button for fresh data
+  el.addEventListener('click', (e) => {
+    const fresh = Boolean(e.target.closest('.history-item-rescan'));
+    document.getElementById('address-input').value = entry.address;
+    selectChain(entry.chain);
+    switchTab('scan');
+    handleScan({ ...entry.source }, !fresh);
+  });
+  
+  return el;
+}
+
+/**
+ * Select a chain button, falling back to auto-detect
+ */
+function selectChain(chain) {
+  const hasButton = [...document.querySelectorAll('.chain-btn')].some(btn => btn.dataset.chain === chain);
+  selectedChain = hasButton ? chain : 'auto';
+  document.querySelectorAll('.chain-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.chain === selectedChain);
+  });
+}
+
+/**
+ * Clear scan history
+ */
+async function clearHistory() {
+  if (!confirm('Are you sure you want to clear your scan history?')) {
+    return;
+  }
+  
+  try {
+    await chrome.runtime.sendMessage({ type: 'HISTORY_CLEAR' });
+    await loadHistory();
+  } catch (error) {
+    console.error('[SafeCA Popup] Failed to clear history:', error);
+  }
+}
+
 /**
  * Update a threshold setting
  */
@@ -799,6 +1346,223 @@ async function updateThreshold(key, value) {
   }
 }
 
+/**
+ * Load scoring profiles and show the active one
+ */
+async function loadScoringProfiles() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'SCORING_PROFILES_GET' });
+    if (!response.success) return;
+    
+    scoringProfiles = response.profiles;
+    customProfile = response.customProfile;
+    
+    const activeProfile = response.activeProfile || 'balanced';
+    document.getElementById('setting-profile').value = activeProfile;
+    document.getElementById('profile-desc').textContent = PROFILE_DESCRIPTIONS[activeProfile] || '';
+    document.getElementById('profile-editor').classList.toggle('hidden', activeProfile !== 'custom');
+    renderProfileEditor(customProfile || scoringProfiles.balanced);
+  } catch (error) {
+    console.error('[SafeCA Popup] Failed to load scoring profiles:', error);
+  }
+}
+
+/**
+ * Switch the active scoring profile
+ */
+async function selectScoringProfile(profileId) {
+  document.getElementById('profile-desc').textContent = PROFILE_DESCRIPTIONS[profileId] || '';
+  document.getElementById('profile-editor').classList.toggle('hidden', profileId !== 'custom');
+  showProfileErrors([]);
+  
+  // A custom profile only becomes active once it has been saved
+  if (profileId === 'custom' && !customProfile) return;
+  
+  try {
+    await chrome.runtime.sendMessage({
+      type: 'SCORING_PROFILE_SET',
+      payload: { profileId }
+    });
+    currentSettings.scoringProfile = profileId;
+  } catch (error) {
+    console.error('[SafeCA Popup] Failed to set scoring profile:', error);
+  }
+}
+
+/**
+ * Fill the custom profile editor from a profile
+ */
+function renderProfileEditor(profile) {
+  const numberField = (label, name, value, step) => `
+    <label class="profile-field">
+      <span>${escapeHtml(label)}</span>
+      <input type="number" min="0" step="${step}" name="${name}" value="${value}">
+    </label>
+  `;
+  
+  document.getElementById('profile-weights').innerHTML = Object.entries(profile.weights)
+    .map(([factor, weight]) => numberField(FACTOR_LABELS[factor] || factor, `weights.${factor}`, weight, 0.0025))
+    .join('');
+  
+  document.getElementById('profile-thresholds').innerHTML = 
+    numberField('Safe from', 'thresholds.safe', profile.thresholds.safe, 1) +
+    numberField('Warning from', 'thresholds.warning', profile.thresholds.warning, 1);
+  
+  document.getElementById('profile-cutoffs').innerHTML = Object.entries(profile.cutoffs)
+    .map(([group, values]) => `
+      <div class="profile-cutoff-group">
+        <span class="profile-cutoff-title">${escapeHtml(group)}</span>
+        <div class="profile-fields">
+          ${Object.entries(values).map(([key, value]) => numberField(key, `cutoffs.${group}.${key}`, value, 1)).join('')}
+        </div>
+      </div>
+    `)
+    .join('');
+  
+  updateWeightSum();
+}
+
+/**
+ * Read the custom profile editor into a profile object
+ */
+function readProfileEditor() {
+  const profile = { name: 'Custom', weights: {}, thresholds: {}, cutoffs: {} };
+  
+  document.querySelectorAll('#profile-editor input[name]').forEach(input => {
+    const path = input.name.split('.');
+    let target = profile;
+    for (const key of path.slice(0, -1)) {
+      target[key] = target[key] || {};
+      target = target[key];
+    }
+    target[path[path.length - 1]] = parseFloat(input.value);
+  });
+  
+  return profile;
+}
+
+/**
+ * Show the live total of the weights
+ */
+function updateWeightSum() {
+  const weights = readProfileEditor().weights;
+  const sum = Object.values(weights).reduce((total, weight) => total + (weight || 0), 0);
+  const el = document.getElementById('profile-weight-sum');
+  el.textContent = `Sum: ${sum.toFixed(2)}`;
+  el.classList.toggle('invalid', Math.abs(sum - 1) > 0.001);
+}
+
+/**
+ * Show validation errors for the custom profile
+ */
+function showProfileErrors(errors) {
+  const el = document.getElementById('profile-errors');
+  el.innerHTML = errors.map(error => `<div>${escapeHtml(error)}</div>`).join('');
+  el.classList.toggle('hidden', errors.length === 0);
+}
+
+/**
+ * Validate and save the custom profile, then make it active
+ */
+async function saveCustomProfile() {
+  const profile = readProfileEditor();
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SCORING_PROFILE_SET',
+      payload: { profileId: 'custom', customProfile: profile }
+    });
+    
+    showProfileErrors(response.errors || []);
+    if (!response.success) return;
+    
+    customProfile = profile;
+    currentSettings.scoringProfile = 'custom';
+    
+    const btn = document.getElementById('profile-save');
+    const originalHTML = btn.innerHTML;
+    btn.innerHTML = `${ICONS.check} Saved!`;
+    setTimeout(() => {
+      btn.innerHTML = originalHTML;
+    }, 2000);
+  } catch (error) {
+    console.error('[SafeCA Popup] Failed to save custom profile:', error);
+    showProfileErrors(['Failed to save profile']);
+  }
+}
+
+/**
+ * Describe what a hard-fail rule does to the score
+ */
+function describeRuleEffect(rule) {
+  const effects = [];
+  if (rule.maxScore !== undefined) effects.push(`max ${rule.maxScore}`);
+  if (rule.riskLevel) effects.push(rule.riskLevel);
+  return effects.join(', ');
+}
+
+/**
+ * Load built-in and custom hard-fail rules
+ */
+async function loadScoringRules() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'SCORING_RULES_GET' });
+    if (!response.success) return;
+    
+    document.getElementById('rules-builtin').innerHTML = response.builtInRules.map(rule => `
+      <div class="rule-item">
+        <span>${escapeHtml(rule.message)}</span>
+        <span class="rule-effect">${escapeHtml(describeRuleEffect(rule))}</span>
+      </div>
+    `).join('');
+    
+    const customRules = response.customRules || [];
+    document.getElementById('rules-custom').value = customRules.length > 0 ? JSON.stringify(customRules, null, 2) : '';
+  } catch (error) {
+    console.error('[SafeCA Popup] Failed to load scoring rules:', error);
+  }
+}
+
+/**
+ * Validate and save custom hard-fail rules
+ */
+async function saveCustomRules() {
+  const errorsEl = document.getElementById('rules-errors');
+  const showErrors = (errors) => {
+    errorsEl.innerHTML = errors.map(error => `<div>${escapeHtml(error)}</div>`).join('');
+    errorsEl.classList.toggle('hidden', errors.length === 0);
+  };
+  
+  const text = document.getElementById('rules-custom').value.trim();
+  let customRules;
+  try {
+    customRules = text ? JSON.parse(text) : [];
+  } catch (error) {
+    showErrors([`Invalid JSON: ${error.message}`]);
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SCORING_RULES_SET',
+      payload: { customRules }
+    });
+    
+    showErrors(response.errors || []);
+    if (!response.success) return;
+    
+    const btn = document.getElementById('rules-save');
+    const originalHTML = btn.innerHTML;
+    btn.innerHTML = `${ICONS.check} Saved!`;
+    setTimeout(() => {
+      btn.innerHTML = originalHTML;
+    }, 2000);
+  } catch (error) {
+    console.error('[SafeCA Popup] Failed to save rules:', error);
+    showErrors(['Failed to save rules']);
+  }
+}
+
 /**
  * Clear cache
  */
@@ -847,6 +1611,164 @@ async function clearWatchlist() {
   }
 }
 
+/**
+ * Save text as a file through a temporary download link
+ */
+function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Show a temporary confirmation on a button
+ */
+function flashButton(btn, label) {
+  const originalHTML = btn.innerHTML;
+  btn.innerHTML = `${ICONS.check} ${label}`;
+  setTimeout(() => {
+    btn.innerHTML = originalHTML;
+  }, 2000);
+}
+
+const fileDate = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Export watchlist, settings, websites and history as JSON
+ */
+async function exportBackup() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'DATA_EXPORT' });
+    if (!response.success) return;
+    
+    downloadFile(`safeca-backup-${fileDate()}.json`, JSON.stringify(response.data, null, 2), 'application/json');
+    flashButton(document.getElementById('export-json'), 'Exported!');
+  } catch (error) {
+    console.error('[SafeCA Popup] Failed to export backup:', error);
+  }
+}
+
+/**
+ * Import a JSON backup file
+ */
+async function importBackup(file) {
+  const errorsEl = document.getElementById('import-errors');
+  const showErrors = (errors) => {
+    errorsEl.innerHTML = errors.map(error => `<div>${escapeHtml(error)}</div>`).join('');
+    errorsEl.classList.toggle('hidden', errors.length === 0);
+  };
+  
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    showErrors([`Invalid JSON: ${error.message}`]);
+    return;
+  }
+  
+  const mode = document.getElementById('import-mode').value;
+  if (mode === 'replace' && !confirm('Replace your watchlist, settings and history with this backup?')) {
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'DATA_IMPORT',
+      payload: { data, mode }
+    });
+    
+    showErrors(response.errors || []);
+    if (!response.success) return;
+    
+    if (response.counts.skipped > 0) {
+      showErrors([`${response.counts.skipped} tokens were not imported because the watchlist is full`]);
+    }
+    
+    await loadWatchlistCache();
+    await loadSettings();
+    await loadWebsites();
+    await updateWatchlistCount();
+    flashButton(document.getElementById('import-json'), 'Imported!');
+  } catch (error) {
+    console.error('[SafeCA Popup] Failed to import backup:', error);
+    showErrors(['Failed to import backup']);
+  }
+}
+
+/**
+ * Export the watchlist or scan history as CSV
+ */
+async function exportCsv(kind, btn) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'DATA_EXPORT_CSV',
+      payload: { kind }
+    });
+    if (!response.success) return;
+    
+    downloadFile(`safeca-${kind}-${fileDate()}.csv`, response.csv, 'text/csv');
+    flashButton(btn, 'Exported!');
+  } catch (error) {
+    console.error('[SafeCA Popup] Failed to export CSV:', error);
+  }
+}
+
+const PROVIDER_STATUS_LABELS = {
+  ok: 'OK',
+  degraded: 'Errors',
+  'rate-limited': 'Rate limited',
+  recovering: 'Retrying',
+  down: 'Paused'
+};
+
+/**
+ * Load and display each data provider's status
+ */
+async function loadProviderHealth() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'PROVIDER_HEALTH_GET' });
+    const container = document.getElementById('provider-health');
+    
+    container.innerHTML = '';
+    for (const provider of response.providers || []) {
+      container.appendChild(createProviderItem(provider));
+    }
+  } catch (error) {
+    console.error('[SafeCA Popup] Failed to load provider health:', error);
+  }
+}
+
+/**
+ * Create a provider status element
+ */
+function createProviderItem(provider) {
+  const el = document.createElement('div');
+  el.className = `provider-item ${provider.status}`;
+  
+  let status = PROVIDER_STATUS_LABELS[provider.status] || provider.status;
+  if (provider.retryAt) {
+    status += ` · retry in ${Math.max(1, Math.ceil((provider.retryAt - Date.now()) / 1000))}s`;
+  }
+  
+  el.innerHTML = `
+    <div class="provider-row">
+      <span class="provider-dot"></span>
+      <span class="provider-name">${escapeHtml(provider.name)}</span>
+      <span class="provider-status">${escapeHtml(status)}</span>
+    </div>
+    ${provider.lastError ? `
+      <div class="provider-error" title="${escapeHtml(provider.lastError)}">
+        ${escapeHtml(provider.lastError)} · ${formatTimeAgo(provider.lastErrorAt)}
+      </div>
+    ` : ''}
+  `;
+  
+  return el;
+}
+
 /**
  * Load and display allowed websites
  */
@@ -958,7 +1880,7 @@ async function checkPendingScan() {
   try {
     const response = await chrome.runtime.sendMessage({ type: 'GET_PENDING_SCAN' });
     if (response.pendingScan) {
-      const { address, chain } = response.pendingScan;
+      const { address, chain, source } = response.pendingScan;
       document.getElementById('address-input').value = address;
       
       // Set chain if specific
@@ -970,14 +1892,64 @@ async function checkPendingScan() {
       }
       
       // Trigger scan
-      handleScan();
+      handleScan(source);
     }
   } catch (error) {
     console.error('[SafeCA Popup] Failed to check pending scan:', error);
   }
 }
 
+/**
+ * Show the watchlist token a notification was about
+ */
+async function checkPendingFocus() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_PENDING_FOCUS' });
+    if (response.pendingFocus) {
+      await switchTab('watchlist');
+      focusWatchlistItem(response.pendingFocus);
+    }
+  } catch (error) {
+    console.error('[SafeCA Popup] Failed to check pending focus:', error);
+  }
+}
+
 // Utility functions
+function formatSourceUrl(url) {
+  if (!url) return '';
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+function formatTimeAgo(timestamp) {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+}
+
+function formatAge(launchedAt) {
+  const minutes = Math.max(0, Math.floor((Date.now() - launchedAt) / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h`;
+  const days = Math.floor(hours / 24);
+  if (days < 365) return `${days}d`;
+  return `${Math.floor(days / 365)}y`;
+}
+
+function getAgeClass(launchedAt) {
+  const hours = (Date.now() - launchedAt) / 3600000;
+  if (hours < LAUNCH_AGE_HOURS.danger) return 'danger';
+  if (hours < LAUNCH_AGE_HOURS.warning) return 'warning';
+  return '';
+}
+
 function escapeHtml(str) {
   if (!str) return '';
   return String(str).replace(/[&<>"']/g, (m) => ({
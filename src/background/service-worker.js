@@ -3,19 +3,41 @@
  * Handles API calls, caching, watchlist polling, and notifications
  */
 
-import { storage, cache, watchlist, settings } from '../utils/storage.js';
-import { fetchAllTokenData } from '../utils/api.js';
-import { calculateSafetyScore, detectChanges } from '../utils/scoring.js';
+import { storage, cache, sourceCache, watchlist, settings, history, retryQueue } from '../utils/storage.js';
+import { fetchAllTokenData, resolveEvmChain, getProviders, getRateLimitPressure, getProviderHealth } from '../utils/api.js';
+import { isPollDue, scheduleNextPoll } from '../utils/schedule.js';
+import { createExport, validateExport, applyImport, watchlistToCsv, historyToCsv } from '../utils/backup.js';
+import { 
+  calculateSafetyScore, 
+  detectChanges, 
+  resolveBaseline, 
+  filterAlerts, 
+  getScoringProfile, 
+  validateScoringProfile, 
+  validateRule,
+  rescoreTokenData 
+} from '../utils/scoring.js';
 import { 
   CHAIN_IDS, 
   CHAIN_NAMES, 
-  WATCHLIST_CONFIG,
-  STORAGE_KEYS 
+  EVM_CHAIN_IDS,
+  POLL_SCHEDULE,
+  RETRY_QUEUE,
+  STORAGE_KEYS,
+  AUTO_CHAIN,
+  SCORING_PROFILES,
+  CUSTOM_SCORING_PROFILE,
+  HARD_FAIL_RULES,
+  WATCHLIST_CONFIG
 } from '../utils/constants.js';
 import { 
   detectChainFromAddress, 
+  getCacheKey,
+  isEVMAddress,
   normalizeAddress,
-  truncateAddress 
+  truncateAddress,
+  createNotificationId,
+  parseNotificationId
 } from '../utils/helpers.js';
 
 // Initialize on install
@@ -25,6 +47,11 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   // Initialize storage
   await storage.initialize();
   
+  // Bring data stored by an older version up to date
+  if (details.reason === 'update') {
+    await storage.migrate();
+  }
+  
   // Create context menu
   createContextMenu();
   
@@ -47,6 +74,8 @@ chrome.runtime.onInstalled.addListener(async (details) => {
 chrome.runtime.onStartup.addListener(async () => {
   console.log('[SafeCA] Extension started');
   await storage.initialize();
+  await cache.cleanup();
+  await sourceCache.cleanup();
   createContextMenu();
   setupWatchlistAlarm();
 });
@@ -72,10 +101,11 @@ function createContextMenu() {
 
 /**
  * Set up watchlist polling alarm
+ * The alarm only ticks; each token's own schedule decides whether it is polled.
  */
 function setupWatchlistAlarm() {
   chrome.alarms.clear('watchlist-poll', () => {
-    const periodMinutes = WATCHLIST_CONFIG.POLL_INTERVAL / 60000;
+    const periodMinutes = POLL_SCHEDULE.TICK_MINUTES;
     chrome.alarms.create('watchlist-poll', {
       periodInMinutes: periodMinutes,
       when: Date.now() + 60000 // Start polling after 1 minute
@@ -152,9 +182,13 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   if (text) {
     const chain = detectChainFromAddress(text);
     if (chain) {
-      // Open popup with pre-filled address
+      // Open popup with pre-filled address (EVM chain is resolved at scan time)
       chrome.storage.local.set({ 
-        pendingScan: { address: text, chain } 
+        pendingScan: { 
+          address: text, 
+          chain: isEVMAddress(text) ? AUTO_CHAIN : chain,
+          source: { type: 'context-menu', url: tab?.url }
+        } 
       });
       chrome.action.openPopup();
     } else {
@@ -170,14 +204,30 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   }
 });
 
+/**
+ * Open the popup on a watchlist token's detail
+ * @param {object|null} ref - Token reference from the notification, if any
+ */
+async function openTokenDetail(ref) {
+  if (ref) {
+    await chrome.storage.local.set({ pendingFocus: ref });
+  }
+  
+  try {
+    await chrome.action.openPopup();
+  } catch (error) {
+    // openPopup needs a focused browser window; fall back to a tab
+    console.warn('[SafeCA] Could not open popup, opening a tab instead:', error.message);
+    await chrome.tabs.create({ url: chrome.runtime.getURL('popup/popup.html') });
+  }
+}
+
 // Handle notification clicks
 chrome.notifications.onClicked.addListener((notificationId) => {
   console.log('[SafeCA] Notification clicked:', notificationId);
-  // Extract address from notification ID if it's a watchlist notification
-  if (notificationId.startsWith('watchlist-')) {
-    const address = notificationId.split('-')[1];
-    // Open popup or focus extension
-    chrome.action.openPopup();
+  const ref = parseNotificationId(notificationId);
+  if (ref) {
+    openTokenDetail(ref);
   }
   // Clear the notification
   chrome.notifications.clear(notificationId);
@@ -188,7 +238,7 @@ chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) =
   console.log('[SafeCA] Notification button clicked:', notificationId, buttonIndex);
   if (buttonIndex === 0) {
     // "View Details" button
-    chrome.action.openPopup();
+    openTokenDetail(parseNotificationId(notificationId));
   }
   chrome.notifications.clear(notificationId);
 });
@@ -200,9 +250,16 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
     console.log('[SafeCA] Starting watchlist poll...');
     await pollWatchlist();
     console.log('[SafeCA] Watchlist poll completed');
+  } else if (alarm.name === 'scan-retry') {
+    await processRetryQueue();
   }
 });
 
+// Retry queued scans as soon as the browser reports it is back online
+self.addEventListener('online', () => {
+  processRetryQueue().catch(error => console.error('[SafeCA] Retry queue error:', error));
+});
+
 // Inject content script on allowed domains when tabs are updated
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   // Only inject when page is fully loaded
@@ -298,10 +355,22 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   }
 });
 
+// Set while a watchlist pass is running; a pass can outlast the alarm tick
+let pollingWatchlist = false;
+
 /**
- * Poll watchlist items for changes
+ * Poll watchlist items that are due for changes
+ * Ticks that fire while a pass is still running are skipped, so items are not
+ * scanned twice and alerts are not sent twice.
+ * @param {boolean} force - Poll every item regardless of its schedule
  */
-async function pollWatchlist() {
+async function pollWatchlist(force = false) {
+  if (pollingWatchlist) {
+    console.log('[SafeCA] Watchlist poll already running, skipping');
+    return;
+  }
+  pollingWatchlist = true;
+  
   try {
     const userSettings = await settings.getAll();
     console.log('[SafeCA] Watchlist polling enabled:', userSettings.watchlistPolling);
@@ -320,15 +389,27 @@ async function pollWatchlist() {
       return;
     }
     
-    console.log('[SafeCA] Polling watchlist:', items.length, 'items');
+    const dueItems = force ? items : items.filter(item => isPollDue(item));
+    console.log('[SafeCA] Polling watchlist:', dueItems.length, 'of', items.length, 'items due');
     
-    for (const item of items) {
+    for (const item of dueItems) {
+      // Leave the rest due for the next tick while the APIs are saturated
+      if (getRateLimitPressure() >= POLL_SCHEDULE.BUSY_THRESHOLD) {
+        console.log('[SafeCA] Rate limits saturated, deferring remaining watchlist items');
+        break;
+      }
+      
+      let scanData = null;
+      let changed = false;
+      
       try {
         console.log('[SafeCA] Scanning token:', item.address, 'on', item.chain);
-        const result = await scanToken(item.address, item.chain, false); // Don't use cache for polling
+        const result = await scanToken(item.address, item.chain, false, { type: 'watchlist' }); // Don't use cache for polling
         
         if (result.success) {
+          scanData = result.data;
           console.log('[SafeCA] Scan successful, comparing with baseline...');
+          await watchlist.addSnapshot(item.address, item.chain, result.data);
           
           // Ensure baseline exists
           if (!item.baseline) {
@@ -340,23 +421,40 @@ async function pollWatchlist() {
             continue;
           }
           
-          // Compare with baseline
-          const changes = detectChanges(item.baseline, result.data);
+          // Scores saved with older factor weights can't be compared, so this one becomes the baseline
+          let current = item;
+          if (item.rebaselineScore) {
+            console.log('[SafeCA] Rebaselining score after a weight change');
+            const rebaselined = { ...item.baseline, score: result.data.score };
+            await watchlist.update(item.address, item.chain, { baseline: rebaselined, rebaselineScore: false });
+            current = { ...item, baseline: rebaselined };
+          }
+          
+          // Compare with the configured baseline using the user's thresholds and any per-token overrides
+          const baseline = resolveBaseline(current, userSettings.baselineMode, userSettings.baselineWindowHours);
+          const thresholds = { ...userSettings.alertThresholds, ...item.alertThresholds };
+          const changes = detectChanges(baseline, result.data, thresholds);
+          changed = changes.length > 0;
           console.log('[SafeCA] Changes detected:', changes.length);
           
           if (changes.length > 0) {
             console.log('[SafeCA] Changes:', JSON.stringify(changes, null, 2));
             
+            // Skip changes already alerted within the cooldown or with the same value
+            const { alerts, alertLog } = filterAlerts(changes, item.alertLog, userSettings.alertCooldownMinutes);
+            console.log('[SafeCA] New alerts after de-duplication:', alerts.length);
+            
             // Update watchlist item
             await watchlist.update(item.address, item.chain, {
               ...result.data,
-              lastChanges: changes
+              lastChanges: changes,
+              alertLog
             });
             
             // Send notifications for important changes
             if (userSettings.notifications) {
               console.log('[SafeCA] Sending notifications for changes...');
-              for (const change of changes) {
+              for (const change of alerts) {
                 // Send notifications for critical and warning changes
                 if (change.type === 'critical' || change.type === 'warning') {
                   try {
@@ -385,7 +483,11 @@ async function pollWatchlist() {
                       continue;
                     }
                     
-                    const notificationId = `watchlist-${item.address}-${Date.now()}`;
+                    const notificationId = createNotificationId({
+                      address: item.address,
+                      chain: item.chain,
+                      field: change.field
+                    });
                     
                     // Verify icon exists
                     const iconUrl = chrome.runtime.getURL('icons/icon128.png');
@@ -396,7 +498,8 @@ async function pollWatchlist() {
                       iconUrl: iconUrl,
                       title: `${change.type === 'critical' ? 'Alert' : 'Warning'}: ${item.tokenSymbol || truncateAddress(item.address)}`,
                       message: change.message,
-                      priority: change.type === 'critical' ? 2 : 1
+                      priority: change.type === 'critical' ? 2 : 1,
+                      buttons: [{ title: 'View Details' }]
                     };
                     
                     console.log('[SafeCA] Creating notification:', JSON.stringify(notificationOptions, null, 2));
@@ -437,14 +540,19 @@ async function pollWatchlist() {
             }
           } else {
             console.log('[SafeCA] No significant changes detected');
-            // Just update the data
-            await watchlist.update(item.address, item.chain, result.data);
+            // Just update the data; cleared changes may alert again when they come back
+            await watchlist.update(item.address, item.chain, { ...result.data, alertLog: {} });
           }
         } else {
           console.error('[SafeCA] Scan failed:', result.error);
         }
       } catch (error) {
         console.error('[SafeCA] Watchlist poll error for', item.address, error);
+      } finally {
+        // Persist the item's next poll so a service worker restart keeps its schedule
+        const schedule = scheduleNextPoll(item, scanData, { changed, pressure: getRateLimitPressure() });
+        await watchlist.update(item.address, item.chain, schedule);
+        console.log('[SafeCA] Next poll for', item.address, 'in', Math.round(schedule.pollInterval / 60000), 'minutes');
       }
       
       // Small delay between items to avoid rate limiting
@@ -454,68 +562,235 @@ async function pollWatchlist() {
     console.log('[SafeCA] Watchlist polling completed');
   } catch (error) {
     console.error('[SafeCA] Error in pollWatchlist:', error);
+  } finally {
+    pollingWatchlist = false;
+  }
+}
+
+/**
+ * Get the scoring profile selected in settings
+ * @returns {Promise<object>}
+ */
+async function getActiveProfile() {
+  const userSettings = await settings.getAll();
+  return getScoringProfile(userSettings.scoringProfile, userSettings.customProfile);
+}
+
+/**
+ * Get the built-in hard-fail rules plus the user's own
+ * @returns {Promise<Array<object>>}
+ */
+async function getActiveRules() {
+  const customRules = await settings.get('customRules') || [];
+  return [...HARD_FAIL_RULES, ...customRules.filter(rule => validateRule(rule).valid)];
+}
+
+/**
+ * Re-score watchlist items and their baselines with the active profile and rules
+ * Uses the stored token data, so no APIs are called.
+ */
+async function rescoreWatchlist() {
+  const profile = await getActiveProfile();
+  const rules = await getActiveRules();
+  const items = await watchlist.getAll();
+  
+  for (const item of items) {
+    const { baseline, ...data } = item;
+    // Only full scan results carry the raw fields needed to score
+    const rescore = (entry) => entry?.breakdown ? rescoreTokenData(entry, profile, rules) : entry;
+    await watchlist.update(item.address, item.chain, {
+      ...rescore(data),
+      baseline: rescore(baseline)
+    });
+  }
+  
+  console.log('[SafeCA] Re-scored', items.length, 'watchlist items with profile', profile.id);
+}
+
+// In-flight fetches, so concurrent scans of the same token share one fetch
+const inflightFetches = new Map();
+
+/**
+ * Fetch, score and cache a token
+ * Concurrent callers for the same token and kind of refresh await the same fetch.
+ * @param {string} address - Normalized contract address
+ * @param {string} chain - Chain ID
+ * @param {object|null} chainResolution - How an auto-detected chain was resolved
+ * @param {boolean} useCache - Whether to reuse cached provider responses
+ * @returns {Promise<object>} - { success, data, cached } or { success: false, error }
+ */
+function refreshToken(address, chain, chainResolution, useCache) {
+  const key = `${getCacheKey(address, chain)}:${useCache ? 'cached' : 'fresh'}`;
+  
+  if (!inflightFetches.has(key)) {
+    const fetch = fetchToken(address, chain, chainResolution, useCache)
+      .finally(() => inflightFetches.delete(key));
+    inflightFetches.set(key, fetch);
   }
+  
+  return inflightFetches.get(key);
+}
+
+/**
+ * Fetch token data, refetching only providers whose cached response is stale
+ * @param {string} address - Normalized contract address
+ * @param {string} chain - Chain ID
+ * @param {object|null} chainResolution - How an auto-detected chain was resolved
+ * @param {boolean} useCache - Whether to reuse cached provider responses
+ * @returns {Promise<object>}
+ */
+async function fetchToken(address, chain, chainResolution, useCache) {
+  console.log('[SafeCA] Fetching data for', address, 'on', CHAIN_NAMES[chain] || chain);
+  const cachedSources = useCache 
+    ? await sourceCache.getSources(address, chain, getProviders(chain).filter(p => p.cacheTtl).map(p => p.id))
+    : {};
+  const tokenData = await fetchAllTokenData(address, chain, { cachedSources });
+  
+  if (tokenData.error || !tokenData.merged) {
+    return {
+      success: false,
+      error: tokenData.error || 'Failed to fetch token data'
+    };
+  }
+  
+  if (tokenData.unreachable) {
+    return {
+      success: false,
+      error: 'Data providers are unreachable',
+      unreachable: true
+    };
+  }
+  
+  await sourceCache.setSources(address, chain, tokenData.fetchedSources);
+  
+  // Calculate safety score
+  const scoreResult = calculateSafetyScore(tokenData.merged, await getActiveProfile(), await getActiveRules());
+  
+  // Combine all data
+  const result = {
+    address,
+    chain,
+    chainName: CHAIN_NAMES[chain] || chain,
+    chainResolution,
+    ...tokenData.merged,
+    ...scoreResult,
+    timestamp: Date.now()
+  };
+  
+  // Cache the result
+  await cache.setToken(address, chain, result, { securityAt: tokenData.oldestSourceAt });
+  
+  return {
+    success: true,
+    data: result,
+    cached: false
+  };
+}
+
+/**
+ * Tell a tab that a token it showed stale data for has been refreshed
+ * @param {number} tabId - Tab that requested the scan
+ * @param {object} data - Refreshed token data
+ */
+function notifyTokenUpdated(tabId, data) {
+  chrome.tabs.sendMessage(tabId, { type: 'TOKEN_UPDATED', data }).catch(() => {
+    // Tab was closed or navigated away
+  });
 }
 
 /**
  * Scan a token and return safety analysis
  * @param {string} address - Contract address
- * @param {string} chain - Chain ID
+ * @param {string} chain - Chain ID, or AUTO_CHAIN to resolve it from the address
  * @param {boolean} useCache - Whether to use cached data
+ * @param {object} source - Where the token was seen, recorded in scan history
+ * @param {number|null} tabId - Tab to send refreshed data to after a stale response
  * @returns {Promise<object>}
  */
-async function scanToken(address, chain, useCache = true) {
+async function scanToken(address, chain, useCache = true, source = {}, tabId = null) {
+  const request = { address, chain, source, tabId };
+  let chainResolution = null;
+  
+  // The address format alone decides normalization, so this also holds for the error path
+  const normalizedAddress = normalizeAddress(address, chain === AUTO_CHAIN ? detectChainFromAddress(address) : chain);
+  
   try {
-    // Normalize address
-    const normalizedAddress = normalizeAddress(address, chain);
-    
-    // Check cache first
-    if (useCache) {
-      const cached = await cache.getToken(normalizedAddress, chain);
-      if (cached) {
-        console.log('[SafeCA] Using cached data for', normalizedAddress);
+    // Resolve the real chain for auto-detected addresses
+    if (chain === AUTO_CHAIN) {
+      if (isEVMAddress(address)) {
+        // A token's chain doesn't change, so an earlier scan's resolution saves the lookup
+        const known = useCache ? await cache.findResolution(normalizedAddress, EVM_CHAIN_IDS) : null;
+        if (known) {
+          ({ chain, chainResolution } = known);
+        } else {
+          const { sources, ...resolution } = await resolveEvmChain(normalizedAddress);
+          chainResolution = resolution;
+          chain = resolution.chainId;
+          console.log('[SafeCA] Resolved chain for', address, '->', CHAIN_NAMES[chain] || chain, chainResolution);
+          // Spare the scan a second DexScreener request
+          if (sources) {
+            await sourceCache.setSources(normalizedAddress, chain, sources);
+          }
+        }
+      } else {
+        chain = detectChainFromAddress(address);
+      }
+      
+      if (!chain) {
         return {
-          success: true,
-          data: cached,
-          cached: true
+          success: false,
+          error: 'Invalid contract address'
         };
       }
     }
     
-    // Fetch fresh data
-    console.log('[SafeCA] Fetching data for', normalizedAddress, 'on', CHAIN_NAMES[chain] || chain);
-    const tokenData = await fetchAllTokenData(normalizedAddress, chain);
-    
-    if (tokenData.error || !tokenData.merged) {
+    // Check cache first
+    const cachedEntry = useCache ? await cache.getEntry(normalizedAddress, chain) : null;
+    if (cachedEntry?.marketFresh) {
+      console.log('[SafeCA] Using cached data for', normalizedAddress);
+      // Cached data may have been scored with another profile
+      const data = rescoreTokenData(cachedEntry.data, await getActiveProfile(), await getActiveRules());
+      await history.add(data, source);
       return {
-        success: false,
-        error: tokenData.error || 'Failed to fetch token data'
+        success: true,
+        data,
+        cached: true
       };
     }
     
-    // Calculate safety score
-    const scoreResult = calculateSafetyScore(tokenData.merged);
-    
-    // Combine all data
-    const result = {
-      address: normalizedAddress,
-      chain,
-      chainName: CHAIN_NAMES[chain] || chain,
-      ...tokenData.merged,
-      ...scoreResult,
-      timestamp: Date.now()
-    };
-    
-    // Cache the result
-    await cache.setToken(normalizedAddress, chain, result);
+    // Serve the stale result now and refresh it in the background
+    if (cachedEntry && await settings.get('staleWhileRevalidate')) {
+      refreshToken(normalizedAddress, chain, chainResolution, true)
+        .then(result => {
+          if (result.success && tabId !== null) {
+            notifyTokenUpdated(tabId, result.data);
+          }
+        })
+        .catch(error => console.error('[SafeCA] Background refresh error:', error));
+      
+      const data = rescoreTokenData(cachedEntry.data, await getActiveProfile(), await getActiveRules());
+      await history.add(data, source);
+      return {
+        success: true,
+        data,
+        cached: true,
+        stale: true
+      };
+    }
     
-    return {
-      success: true,
-      data: result,
-      cached: false
-    };
+    const result = await refreshToken(normalizedAddress, chain, chainResolution, useCache);
+    if (result.success) {
+      await history.add(result.data, source);
+    } else if (result.unreachable || navigator.onLine === false) {
+      return await serveLastKnown(request, normalizedAddress, chain, chainResolution) || result;
+    }
+    return result;
   } catch (error) {
     console.error('[SafeCA] Scan error:', error);
+    if (navigator.onLine === false) {
+      const lastKnown = await serveLastKnown(request, normalizedAddress, chain, chainResolution);
+      if (lastKnown) return lastKnown;
+    }
     return {
       success: false,
       error: error.message || 'Unknown error occurred'
@@ -523,6 +798,136 @@ async function scanToken(address, chain, useCache = true) {
   }
 }
 
+/**
+ * Answer a scan that failed because providers are unreachable
+ * Serves the last known result marked with its age, or an offline error when
+ * there is none, and queues the scan to be retried.
+ * @param {object} request - Original scan request { address, chain, source, tabId }
+ * @param {string} address - Normalized contract address
+ * @param {string} chain - Resolved chain ID
+ * @param {object|null} chainResolution - How an auto-detected chain was resolved
+ * @returns {Promise<object|null>} - Scan response, or null for watchlist polls
+ */
+async function serveLastKnown(request, address, chain, chainResolution) {
+  // The watchlist schedule retries its own polls
+  if (request.source?.type === 'watchlist') {
+    return null;
+  }
+  
+  const state = navigator.onLine === false ? 'offline' : 'stale';
+  await queueRetry(request);
+  
+  // A chain that could not be resolved offline is only a guess
+  const anyChain = chainResolution?.source === 'default';
+  const lastKnown = await findLastKnownScan(address, anyChain || chain === AUTO_CHAIN ? null : chain);
+  
+  if (!lastKnown) {
+    return {
+      success: false,
+      error: state === 'offline' ? 'Offline' : 'Data providers are unreachable',
+      degraded: { state, queued: true }
+    };
+  }
+  
+  console.log('[SafeCA] Serving last known result for', address, 'from', lastKnown.from);
+  const data = lastKnown.data.breakdown
+    ? rescoreTokenData(lastKnown.data, await getActiveProfile(), await getActiveRules())
+    : lastKnown.data;
+  const degraded = { state, asOf: lastKnown.asOf, from: lastKnown.from, queued: true };
+  
+  return {
+    success: true,
+    data: { ...data, degraded },
+    cached: true,
+    stale: true,
+    degraded
+  };
+}
+
+/**
+ * Find the most recent result for a token
+ * Full results come from the token cache (even past its TTL) or the
+ * watchlist; scan history only keeps the score.
+ * @param {string} address - Contract address
+ * @param {string|null} chain - Chain ID (null matches any chain)
+ * @returns {Promise<{data: object, asOf: number, from: string}|null>}
+ */
+async function findLastKnownScan(address, chain) {
+  const cached = chain ? await cache.getLastKnown(address, chain) : null;
+  if (cached) {
+    return { data: cached.data, asOf: cached.timestamp, from: 'cache' };
+  }
+  
+  const item = await watchlist.get(address, chain);
+  if (item && item.score !== undefined) {
+    const { baseline, snapshots, alertLog, lastChanges, ...data } = item;
+    return { data, asOf: item.timestamp || item.addedAt, from: 'watchlist' };
+  }
+  
+  const entry = await history.findLatest(address, chain);
+  if (entry) {
+    const { source, firstSeen, seenCount, ...data } = entry;
+    return { data, asOf: entry.timestamp, from: 'history' };
+  }
+  
+  return null;
+}
+
+/**
+ * Queue a failed scan and schedule the next retry
+ * @param {object} request - Scan request { address, chain, source, tabId }
+ */
+async function queueRetry(request) {
+  await retryQueue.add(request);
+  chrome.alarms.get('scan-retry', (alarm) => {
+    if (!alarm) {
+      chrome.alarms.create('scan-retry', { delayInMinutes: RETRY_QUEUE.DELAY_MINUTES });
+    }
+  });
+}
+
+// Set while the retry queue is being processed
+let retryingScans = false;
+
+/**
+ * Retry queued scans, sending fresh results to the tabs that asked for them
+ * Scans that fail again queue themselves for the next attempt.
+ */
+async function processRetryQueue() {
+  if (retryingScans) return;
+  retryingScans = true;
+  
+  try {
+    const queued = await retryQueue.takeAll();
+    if (queued.length > 0) {
+      console.log('[SafeCA] Retrying', queued.length, 'queued scans');
+    }
+    
+    for (const { address, chain, source, tabId } of queued) {
+      const result = await scanToken(address, chain, true, source, tabId);
+      if (result.success && !result.degraded && tabId !== null) {
+        notifyTokenUpdated(tabId, result.data);
+      }
+    }
+  } finally {
+    retryingScans = false;
+  }
+}
+
+/**
+ * Work out where a scan request came from
+ * @param {object} source - Source reported by the caller
+ * @param {object} sender - Message sender
+ * @returns {object} - { type, url, author }
+ */
+function getScanSource(source, sender) {
+  if (sender.tab) {
+    // Content scripts may send a more specific URL, such as the tweet link
+    return { type: 'page', ...source, url: source?.url || sender.tab.url };
+  }
+  return { type: 'popup', ...source };
+}
+
 /**
  * Handle messages from content scripts and popup
  */
@@ -535,8 +940,14 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     try {
       switch (message.type) {
         case 'SCAN_TOKEN': {
-          const { address, chain, useCache } = message.payload;
-          const result = await scanToken(address, chain, useCache !== false);
+          const { address, chain, useCache, source } = message.payload;
+          const result = await scanToken(
+            address, 
+            chain, 
+            useCache !== false, 
+            getScanSource(source, sender), 
+            sender.tab?.id ?? null
+          );
           sendResponse(result);
           break;
         }
@@ -546,7 +957,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           const results = [];
           
           for (const token of tokens) {
-            const result = await scanToken(token.address, token.chain);
+            const result = await scanToken(
+              token.address, 
+              token.chain, 
+              true, 
+              getScanSource(token.source, sender), 
+              sender.tab?.id ?? null
+            );
             results.push({
               ...token,
               result
@@ -564,13 +981,38 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           break;
         }
         
+        case 'HISTORY_GET': {
+          const entries = await history.getAll();
+          sendResponse({ success: true, entries });
+          break;
+        }
+        
+        case 'HISTORY_CLEAR': {
+          const cleared = await history.clear();
+          sendResponse({ success: cleared });
+          break;
+        }
+        
         case 'WATCHLIST_ADD': {
           const { token } = message.payload;
-          const added = await watchlist.add(token);
+          const { watchlistMaxItems } = await settings.getAll();
+          const count = (await watchlist.getAll()).length;
+          if (count >= watchlistMaxItems) {
+            sendResponse({ success: false, error: `Watchlist is full (${watchlistMaxItems} tokens)` });
+            break;
+          }
+          const added = await watchlist.add(token, watchlistMaxItems);
           sendResponse({ success: added });
           break;
         }
         
+        case 'WATCHLIST_UPDATE_META': {
+          const { address, chain, meta } = message.payload;
+          const updated = await watchlist.updateMeta(address, chain, meta);
+          sendResponse({ success: updated });
+          break;
+        }
+        
         case 'WATCHLIST_REMOVE': {
           const { address, chain } = message.payload;
           const removed = await watchlist.remove(address, chain);
@@ -584,6 +1026,21 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           break;
         }
         
+        case 'WATCHLIST_SET_THRESHOLDS': {
+          // Per-token alert threshold overrides; null clears them
+          const { address, chain, thresholds } = message.payload;
+          const updated = await watchlist.update(address, chain, { alertThresholds: thresholds || null });
+          sendResponse({ success: updated });
+          break;
+        }
+        
+        case 'WATCHLIST_RESET_BASELINE': {
+          const { address, chain } = message.payload;
+          const reset = await watchlist.resetBaseline(address, chain);
+          sendResponse({ success: reset });
+          break;
+        }
+        
         case 'WATCHLIST_CHECK': {
           const { address, chain } = message.payload;
           const exists = await watchlist.has(address, chain);
@@ -593,7 +1050,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         
         case 'SETTINGS_GET': {
           const allSettings = await settings.getAll();
-          sendResponse({ success: true, settings: allSettings });
+          sendResponse({ 
+            success: true, 
+            settings: allSettings, 
+            thresholdDefaults: WATCHLIST_CONFIG.ALERT_THRESHOLDS 
+          });
           break;
         }
         
@@ -604,8 +1065,130 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           break;
         }
         
+        case 'SCORING_PROFILES_GET': {
+          const allSettings = await settings.getAll();
+          sendResponse({ 
+            success: true, 
+            profiles: SCORING_PROFILES, 
+            activeProfile: allSettings.scoringProfile,
+            customProfile: allSettings.customProfile
+          });
+          break;
+        }
+        
+        case 'SCORING_PROFILE_SET': {
+          const { profileId, customProfile } = message.payload;
+          
+          if (profileId !== CUSTOM_SCORING_PROFILE && !SCORING_PROFILES[profileId]) {
+            sendResponse({ success: false, errors: ['Unknown scoring profile'] });
+            break;
+          }
+          
+          const updates = { scoringProfile: profileId };
+          if (customProfile) {
+            const { valid, errors } = validateScoringProfile(customProfile);
+            if (!valid) {
+              sendResponse({ success: false, errors });
+              break;
+            }
+            updates.customProfile = { ...customProfile, id: CUSTOM_SCORING_PROFILE };
+          } else if (profileId === CUSTOM_SCORING_PROFILE && !(await settings.get('customProfile'))) {
+            sendResponse({ success: false, errors: ['Save a custom profile first'] });
+            break;
+          }
+          
+          const updated = await settings.update(updates);
+          if (updated) {
+            await rescoreWatchlist();
+          }
+          sendResponse({ success: updated, errors: [] });
+          break;
+        }
+        
+        case 'SCORING_RULES_GET': {
+          sendResponse({ 
+            success: true, 
+            builtInRules: HARD_FAIL_RULES, 
+            customRules: await settings.get('customRules') || []
+          });
+          break;
+        }
+        
+        case 'SCORING_RULES_SET': {
+          const { customRules } = message.payload;
+          
+          if (!Array.isArray(customRules)) {
+            sendResponse({ success: false, errors: ['Rules must be a list'] });
+            break;
+          }
+          
+          const errors = customRules.flatMap(rule => validateRule(rule).errors);
+          const ids = [...HARD_FAIL_RULES, ...customRules].map(rule => rule?.id);
+          if (new Set(ids).size !== ids.length) {
+            errors.push('Rule ids must be unique');
+          }
+          if (errors.length > 0) {
+            sendResponse({ success: false, errors });
+            break;
+          }
+          
+          const updated = await settings.update({ customRules });
+          if (updated) {
+            await rescoreWatchlist();
+          }
+          sendResponse({ success: updated, errors: [] });
+          break;
+        }
+        
+        case 'DATA_EXPORT': {
+          const data = createExport({
+            watchlist: await watchlist.getAll(),
+            settings: await settings.getAll(),
+            history: await history.getAll()
+          });
+          sendResponse({ success: true, data });
+          break;
+        }
+        
+        case 'DATA_EXPORT_CSV': {
+          const csv = message.payload.kind === 'history'
+            ? historyToCsv(await history.getAll())
+            : watchlistToCsv(await watchlist.getAll());
+          sendResponse({ success: true, csv });
+          break;
+        }
+        
+        case 'DATA_IMPORT': {
+          const { data, mode } = message.payload;
+          const { valid, errors } = validateExport(data);
+          if (!valid) {
+            sendResponse({ success: false, errors });
+            break;
+          }
+          
+          const currentSettings = await settings.getAll();
+          const result = applyImport({
+            watchlist: await watchlist.getAll(),
+            settings: currentSettings,
+            history: await history.getAll()
+          }, data, mode, currentSettings.watchlistMaxItems);
+          
+          await watchlist.setAll(result.watchlist);
+          await history.setAll(result.history);
+          await settings.update(result.settings);
+          await rescoreWatchlist();
+          
+          sendResponse({
+            success: true,
+            errors: [],
+            counts: { watchlist: result.watchlist.length, history: result.history.length, skipped: result.skipped }
+          });
+          break;
+        }
+        
         case 'CLEAR_CACHE': {
           await cache.clearAll();
+          await sourceCache.clearAll();
           sendResponse({ success: true });
           break;
         }
@@ -619,6 +1202,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           break;
         }
         
+        case 'GET_PENDING_FOCUS': {
+          const data = await chrome.storage.local.get('pendingFocus');
+          if (data.pendingFocus) {
+            await chrome.storage.local.remove('pendingFocus');
+          }
+          sendResponse({ success: true, pendingFocus: data.pendingFocus });
+          break;
+        }
+        
         case 'TEST_NOTIFICATION': {
           const result = await testNotification();
           sendResponse(result);
@@ -628,13 +1220,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         case 'TEST_WATCHLIST_POLL': {
           console.log('[SafeCA] Manual watchlist poll triggered');
           // Run poll in background, don't wait for it
-          pollWatchlist().catch(err => {
+          pollWatchlist(true).catch(err => {
             console.error('[SafeCA] Poll error:', err);
           });
           sendResponse({ success: true, message: 'Poll started' });
           break;
         }
         
+        case 'PROVIDER_HEALTH_GET': {
+          sendResponse({ success: true, providers: getProviderHealth() });
+          break;
+        }
+        
         case 'GET_ALARM_STATUS': {
           chrome.alarms.get('watchlist-poll', (alarm) => {
             sendResponse({ success: true, alarm: alarm || null });
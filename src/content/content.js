@@ -16,14 +16,28 @@ const CHAIN_IDS = {
   SOLANA: 'solana'
 };
 
+// EVM addresses are sent as 'auto' so the background resolves the real chain
+const AUTO_CHAIN = 'auto';
+
 const BADGE_COLORS = {
   safe: '#22c55e',
   warning: '#eab308',
   danger: '#ef4444',
+  unknown: '#6b7280',
   error: '#6b7280',
+  offline: '#6b7280',
   loading: '#3b82f6'
 };
 
+// Below this data coverage the score is shown as tentative
+const LOW_CONFIDENCE = 50;
+
+// Trading pairs listed in the detail popup
+const MAX_PAIR_ROWS = 10;
+
+// Token ages (hours) highlighted as a launch-phase risk
+const LAUNCH_AGE_HOURS = { danger: 1, warning: 24 };
+
 // SVG Icons (inline for content script)
 const ICONS = {
   shield: '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 2L21 6V11C21 16.55 17.16 21.74 12 23C6.84 21.74 3 16.55 3 11V6L12 2Z"/></svg>',
@@ -202,7 +216,29 @@ function handleMessage(message, sender, sendResponse) {
     case 'WATCHLIST_UPDATED':
       loadWatchlist();
       break;
+      
+    case 'TOKEN_UPDATED':
+      refreshTokenBadges(message.data);
+      break;
+  }
+}
+
+/**
+ * Replace stale results for a token with refreshed data
+ */
+function refreshTokenBadges(data) {
+  const address = data.address.toLowerCase();
+  
+  // Scans may have been keyed by the auto-detect chain rather than the resolved one
+  for (const key of state.addressCache.keys()) {
+    if (key.endsWith(`:${address}`)) {
+      state.addressCache.set(key, data);
+    }
   }
+  
+  document.querySelectorAll(`[data-safeca-address="${address}"]`).forEach(wrapper => {
+    updateBadge(wrapper, data);
+  });
 }
 
 /**
@@ -399,7 +435,7 @@ function extractAddresses(text) {
       seen.add(normalized);
       results.push({
         address: address,
-        chain: CHAIN_IDS.ETHEREUM
+        chain: AUTO_CHAIN
       });
     }
   }
@@ -509,7 +545,7 @@ async function processQueue() {
         // Request scan from background
         const response = await chrome.runtime.sendMessage({
           type: 'SCAN_TOKEN',
-          payload: { address, chain }
+          payload: { address, chain, source: getScanSource(element) }
         });
         
         if (response.success && response.data) {
@@ -518,10 +554,12 @@ async function processQueue() {
           // Update badge
           injectBadgeForAddress(element, address, response.data);
         } else {
+          // Providers unreachable and nothing known yet: the scan is queued for retry
           const errorData = { 
             score: null, 
-            riskLevel: 'error',
+            riskLevel: response.degraded ? 'offline' : 'error',
             error: response.error || 'Scan failed',
+            degraded: response.degraded,
             chain: chain,
             address: address
           };
@@ -554,6 +592,30 @@ async function processQueue() {
   state.isProcessingQueue = false;
 }
 
+/**
+ * Describe where an address was seen, for the scan history
+ * On X/Twitter this is the tweet link and its author.
+ */
+function getScanSource(element) {
+  const source = { type: 'page', url: window.location.href };
+  const tweet = element.closest?.('article[data-testid="tweet"]');
+  
+  if (tweet) {
+    const permalink = tweet.querySelector('a[href*="/status/"]');
+    if (permalink) {
+      source.url = permalink.href;
+    }
+    
+    // The first profile link in the user name block is the author's handle
+    const authorLink = tweet.querySelector('[data-testid="User-Name"] a[href^="/"]');
+    if (authorLink) {
+      source.author = '@' + authorLink.getAttribute('href').slice(1);
+    }
+  }
+  
+  return source;
+}
+
 /**
  * Inject a badge for a specific address in an element
  */
@@ -647,17 +709,17 @@ function injectBadgeForAddress(element, address, data) {
  */
 function createBadge(data) {
   const badge = document.createElement('span');
-  badge.className = `safeca-badge safeca-badge-${data.riskLevel || 'loading'}`;
+  badge.className = getBadgeClass(data);
   
   if (data.loading) {
     badge.innerHTML = '<span class="safeca-spinner"></span>';
     badge.title = 'Scanning...';
   } else if (data.error) {
-    badge.textContent = '!';
-    badge.title = `Error: ${data.error}`;
+    badge.textContent = data.degraded ? '…' : '!';
+    badge.title = getErrorTitle(data);
   } else if (data.score !== null && data.score !== undefined) {
     badge.textContent = data.score;
-    badge.title = `Safety Score: ${data.score}/100`;
+    badge.title = getBadgeTitle(data);
   } else {
     badge.textContent = '?';
     badge.title = 'Unknown';
@@ -666,6 +728,42 @@ function createBadge(data) {
   return badge;
 }
 
+/**
+ * Get badge classes for a scan state
+ */
+function getBadgeClass(data) {
+  const lowConfidence = !data.loading && !data.error && data.confidence < LOW_CONFIDENCE;
+  // Last known results served while providers are unreachable
+  const degraded = !data.error && data.degraded ? ' safeca-badge-degraded' : '';
+  return `safeca-badge safeca-badge-${data.riskLevel || 'loading'}${lowConfidence ? ' safeca-badge-low-confidence' : ''}${degraded}`;
+}
+
+/**
+ * Get badge hover text for a scored token
+ */
+function getBadgeTitle(data) {
+  const confidence = data.confidence !== undefined ? ` (${data.confidence}% data coverage)` : '';
+  if (data.degraded) {
+    return `Last known score: ${data.score}/100${confidence}, from ${formatTimeAgo(data.degraded.asOf)}. ${getDegradedReason(data.degraded)}`;
+  }
+  return `Safety Score: ${data.score}/100${confidence}`;
+}
+
+/**
+ * Get badge hover text for a failed scan
+ */
+function getErrorTitle(data) {
+  return data.degraded ? getDegradedReason(data.degraded) : `Error: ${data.error}`;
+}
+
+/**
+ * Explain why a result could not be refreshed
+ */
+function getDegradedReason(degraded) {
+  const reason = degraded.state === 'offline' ? 'You are offline' : 'Data providers are unreachable';
+  return degraded.queued ? `${reason}; the scan will be retried automatically.` : `${reason}.`;
+}
+
 /**
  * Update an existing badge
  */
@@ -674,17 +772,17 @@ function updateBadge(wrapper, data) {
   if (!badge) return;
   
   // Update classes
-  badge.className = `safeca-badge safeca-badge-${data.riskLevel || 'loading'}`;
+  badge.className = getBadgeClass(data);
   
   if (data.loading) {
     badge.innerHTML = '<span class="safeca-spinner"></span>';
     badge.title = 'Scanning...';
   } else if (data.error) {
-    badge.textContent = '!';
-    badge.title = `Error: ${data.error}`;
+    badge.textContent = data.degraded ? '…' : '!';
+    badge.title = getErrorTitle(data);
   } else if (data.score !== null && data.score !== undefined) {
     badge.textContent = data.score;
-    badge.title = `Safety Score: ${data.score}/100`;
+    badge.title = getBadgeTitle(data);
   }
   
   wrapper.setAttribute('data-chain', data.chain || '');
@@ -722,6 +820,7 @@ function showTooltip(wrapper, data) {
   tooltip.id = 'safeca-tooltip';
   
   const scoreColor = BADGE_COLORS[data.riskLevel] || BADGE_COLORS.error;
+  const launchedAt = data.launchedAt || data.createdAt;
   
   tooltip.innerHTML = `
     <div class="safeca-tooltip-header">
@@ -733,6 +832,24 @@ function showTooltip(wrapper, data) {
         <span>Risk Level:</span>
         <span class="safeca-tooltip-value safeca-${data.riskLevel}">${capitalizeFirst(data.riskLevel)}</span>
       </div>
+      ${launchedAt ? `
+        <div class="safeca-tooltip-row">
+          <span>Age:</span>
+          <span class="safeca-tooltip-value ${getAgeClass(launchedAt)}">${formatAge(launchedAt)}</span>
+        </div>
+      ` : ''}
+      ${data.degraded ? `
+        <div class="safeca-tooltip-row">
+          <span>${data.degraded.state === 'offline' ? 'Offline' : 'Stale'}:</span>
+          <span class="safeca-tooltip-value">as of ${formatTimeAgo(data.degraded.asOf)}</span>
+        </div>
+      ` : ''}
+      ${data.confidence !== undefined ? `
+        <div class="safeca-tooltip-row">
+          <span>Confidence:</span>
+          <span class="safeca-tooltip-value">${data.confidence}%</span>
+        </div>
+      ` : ''}
       ${data.liquidity ? `
         <div class="safeca-tooltip-row">
           <span>Liquidity:</span>
@@ -814,6 +931,12 @@ async function showDetailPopup(wrapper, data, address) {
         </div>
       </div>
       
+      ${data.degraded ? `
+        <div class="safeca-popup-degraded">
+          Showing the last known result from ${formatTimeAgo(data.degraded.asOf)}. ${getDegradedReason(data.degraded)}
+        </div>
+      ` : ''}
+      
       <div class="safeca-popup-address">
         <code>${escapeHtml(address)}</code>
         <button class="safeca-copy-btn" data-copy="${escapeHtml(address)}" title="Copy address">${ICONS.copy}</button>
@@ -821,6 +944,9 @@ async function showDetailPopup(wrapper, data, address) {
       
       <div class="safeca-popup-chain">
         <span class="safeca-chain-badge">${escapeHtml(data.chainName || getChainName(chain))}</span>
+        ${data.chainResolution?.ambiguous ? `
+          <span class="safeca-chain-note">Also deployed on ${escapeHtml(data.chainResolution.candidates.filter(id => id !== chain).map(getChainName).join(', '))}</span>
+        ` : ''}
       </div>
       
       ${data.flags && data.flags.length > 0 ? `
@@ -837,6 +963,13 @@ async function showDetailPopup(wrapper, data, address) {
         </div>
       ` : ''}
       
+      ${data.conflicts && data.conflicts.length > 0 ? `
+        <div class="safeca-popup-conflicts">
+          <h4>Sources Disagree</h4>
+          ${data.conflicts.map(createConflictItem).join('')}
+        </div>
+      ` : ''}
+      
       <div class="safeca-popup-metrics">
         <h4>Token Metrics</h4>
         <div class="safeca-metrics-grid">
@@ -849,6 +982,8 @@ async function showDetailPopup(wrapper, data, address) {
         </div>
       </div>
       
+      ${data.pairs && data.pairs.length > 0 ? createPairsSection(data, chain) : ''}
+      
       ${data.breakdown ? `
       <div class="safeca-popup-breakdown">
         <h4>Safety Breakdown</h4>
@@ -859,6 +994,7 @@ async function showDetailPopup(wrapper, data, address) {
           ${createBreakdownItem('Holder Distribution', data.breakdown.holderDistribution)}
           ${createBreakdownItem('Tax Rate', data.breakdown.taxRate, (data.buyTax || 0) + (data.sellTax || 0) < 10)}
           ${createBreakdownItem('Contract Verified', data.breakdown.contractVerified, data.isVerified)}
+          ${createBreakdownItem('Token Age', data.breakdown.tokenAge)}
         </div>
       </div>
       ` : ''}
@@ -927,6 +1063,9 @@ async function showDetailPopup(wrapper, data, address) {
           `;
           // Add handler for the new remove button
           document.getElementById('safeca-remove-btn')?.addEventListener('click', handleRemoveFromWatchlist);
+        } else if (response.error) {
+          watchlistBtn.textContent = response.error;
+          watchlistBtn.disabled = true;
         }
       } catch (error) {
         console.error('[SafeCA] Failed to add to watchlist:', error);
@@ -1023,6 +1162,7 @@ function getChainName(chainId) {
     '137': 'Polygon',
     '42161': 'Arbitrum',
     '8453': 'Base',
+    '43114': 'Avalanche',
     'solana': 'Solana'
   };
   return names[chainId] || chainId;
@@ -1056,6 +1196,97 @@ function createMetricItem(label, value, changeValue = null) {
   `;
 }
 
+/**
+ * Create the trading pairs section HTML
+ * Pairs on another chain than the scanned one, and thin pairs with an
+ * inflated price, are marked in the table.
+ */
+function createPairsSection(data, chain) {
+  const split = (data.liquidityByQuote || [])
+    .map(quote => `${escapeHtml(quote.symbol)} ${quote.percent}%`)
+    .join(' · ');
+  
+  const rows = data.pairs.slice(0, MAX_PAIR_ROWS).map(pair => {
+    const notes = [];
+    if (pair.suspicious) notes.push('<span class="safeca-pair-note safeca-pair-suspicious">Fake?</span>');
+    if (pair.chainMismatch) {
+      notes.push(`<span class="safeca-pair-note">${escapeHtml(pair.chainId ? getChainName(pair.chainId) : pair.dexChain || 'Other chain')}</span>`);
+    }
+    
+    return `
+      <tr class="${pair.suspicious || pair.chainMismatch ? 'safeca-pair-flagged' : ''}">
+        <td>${escapeHtml(pair.dexId || '?')}</td>
+        <td>${escapeHtml(pair.quoteSymbol || '?')}</td>
+        <td>$${formatNumber(pair.liquidity)}</td>
+        <td>${pair.priceUsd ? `$${formatPrice(pair.priceUsd)}` : 'N/A'}</td>
+        <td>${notes.join('')}</td>
+      </tr>
+    `;
+  }).join('');
+  
+  return `
+    <div class="safeca-popup-pairs">
+      <h4>Trading Pairs on ${escapeHtml(getChainName(chain))}</h4>
+      <div class="safeca-pairs-summary">
+        ${data.pairCount ?? data.pairs.length} pair${data.pairCount === 1 ? '' : 's'} · $${formatNumber(data.totalLiquidity)} total liquidity
+        ${split ? `<div class="safeca-pairs-split">${split}</div>` : ''}
+      </div>
+      <table class="safeca-pairs-table">
+        <thead>
+          <tr><th>DEX</th><th>Quote</th><th>Liquidity</th><th>Price</th><th></th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Create a source conflict item HTML
+ */
+function createConflictItem(conflict) {
+  const labels = {
+    isHoneypot: 'Honeypot',
+    ownershipRenounced: 'Ownership Renounced',
+    canMint: 'Mintable',
+    canPause: 'Pausable',
+    canBlacklist: 'Blacklist',
+    canModifyTax: 'Tax Modifiable',
+    isProxy: 'Proxy',
+    buyTax: 'Buy Tax',
+    sellTax: 'Sell Tax',
+    topHolderPercent: 'Top Holder',
+    top10HoldersPercent: 'Top 10 Holders'
+  };
+  const values = conflict.values.map(({ source, value }) => {
+    const shown = typeof value === 'boolean' ? (value ? 'Yes' : 'No') : 
+                  typeof value === 'number' ? `${value.toFixed(1)}%` : String(value);
+    const chosen = source === conflict.chosen ? ' (used)' : '';
+    return `${getSourceName(source)}: ${shown}${chosen}`;
+  });
+  return `
+    <div class="safeca-conflict">
+      <span class="safeca-conflict-field">${escapeHtml(labels[conflict.field] || conflict.field)}</span>
+      <span class="safeca-conflict-values">${escapeHtml(values.join(' · '))}</span>
+    </div>
+  `;
+}
+
+/**
+ * Get data provider display name from ID
+ */
+function getSourceName(sourceId) {
+  const names = {
+    dexScreener: 'DexScreener',
+    goPlus: 'GoPlus',
+    rugCheck: 'RugCheck',
+    honeypot: 'Honeypot.is',
+    onChain: 'On-chain',
+    solanaRpc: 'Solana RPC'
+  };
+  return names[sourceId] || sourceId;
+}
+
 /**
  * Create a breakdown item HTML
  */
@@ -1093,6 +1324,41 @@ function escapeHtml(str) {
   })[m]);
 }
 
+/**
+ * Format a timestamp as a relative age
+ */
+function formatTimeAgo(timestamp) {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+}
+
+/**
+ * Format the time since a token launched
+ */
+function formatAge(launchedAt) {
+  const minutes = Math.max(0, Math.floor((Date.now() - launchedAt) / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h`;
+  const days = Math.floor(hours / 24);
+  if (days < 365) return `${days}d`;
+  return `${Math.floor(days / 365)}y`;
+}
+
+/**
+ * Get the risk class for a token's age
+ */
+function getAgeClass(launchedAt) {
+  const hours = (Date.now() - launchedAt) / 3600000;
+  if (hours < LAUNCH_AGE_HOURS.danger) return 'safeca-danger';
+  if (hours < LAUNCH_AGE_HOURS.warning) return 'safeca-warning';
+  return '';
+}
+
 /**
  * Format number with K/M/B suffixes
  */
@@ -7,9 +7,35 @@ import {
   API_ENDPOINTS, 
   RPC_ENDPOINTS, 
   CHAIN_IDS, 
-  RATE_LIMIT 
+  EVM_CHAIN_IDS,
+  CONFLICT_TOLERANCES,
+  DEXSCREENER_CHAIN_MAP,
+  CONTRACT_SELECTORS,
+  MALICIOUS_SELECTORS,
+  PROXY_SLOTS,
+  NULL_ADDRESSES,
+  SOLANA_PROGRAMS,
+  SOLANA_EXCLUDED_HOLDERS,
+  TRANSFER_TOPIC,
+  LAUNCH_ANALYSIS,
+  PAIR_ANALYSIS,
+  RATE_LIMIT,
+  CIRCUIT_BREAKER,
+  CACHE_CONFIG 
 } from './constants.js';
-import { retryWithBackoff, sleep } from './helpers.js';
+import { retryWithBackoff, sleep, isCacheValid, parseRetryAfter } from './helpers.js';
+import { 
+  getCode, 
+  hasBytecode, 
+  rpcCall,
+  rpcBatch, 
+  decodeAddress, 
+  decodeUint, 
+  formatUnits,
+  findBlockByTimestamp,
+  findPushedSelectors
+} from './rpc.js';
+import { decodeBase64, decodeMintAccount } from './solana.js';
 
 /**
  * Rate limiter to prevent API overload
@@ -18,12 +44,19 @@ class RateLimiter {
   constructor(requestsPerMinute = RATE_LIMIT.REQUESTS_PER_MINUTE) {
     this.requestsPerMinute = requestsPerMinute;
     this.requests = [];
+    this.pausedUntil = 0;
   }
 
   async acquire() {
     const now = Date.now();
     const windowStart = now - 60000; // 1 minute window
     
+    // Honor a Retry-After pause from the provider
+    if (this.pausedUntil > now) {
+      await sleep(this.pausedUntil - now);
+      return this.acquire();
+    }
+    
     // Remove old requests
     this.requests = this.requests.filter(time => time > windowStart);
     
@@ -38,19 +71,169 @@ class RateLimiter {
     this.requests.push(now);
     return true;
   }
+
+  /**
+   * Stop handing out requests for a while
+   * @param {number} ms - Pause length
+   */
+  pauseFor(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  /**
+   * Share of the per-minute budget used in the last minute
+   * @returns {number} - 0 (idle) to 1 (saturated)
+   */
+  getUtilization() {
+    if (this.pausedUntil > Date.now()) return 1;
+    
+    const windowStart = Date.now() - 60000;
+    this.requests = this.requests.filter(time => time > windowStart);
+    return Math.min(1, this.requests.length / this.requestsPerMinute);
+  }
+}
+
+/**
+ * Circuit breaker that stops calling a failing provider
+ * Opens after CIRCUIT_BREAKER.FAILURE_THRESHOLD consecutive failures. Once the
+ * cooldown ends a single trial call is let through; if it fails too, the
+ * breaker opens again with a doubled cooldown.
+ */
+class CircuitBreaker {
+  constructor() {
+    this.failures = 0;
+    this.cooldown = CIRCUIT_BREAKER.COOLDOWN;
+    this.openUntil = 0;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.lastErrorAt = null;
+    this.lastSuccessAt = null;
+  }
+
+  /**
+   * @returns {string} - 'closed', 'open' or 'half-open'
+   */
+  getState(now = Date.now()) {
+    if (this.failures < CIRCUIT_BREAKER.FAILURE_THRESHOLD) return 'closed';
+    return now < this.openUntil ? 'open' : 'half-open';
+  }
+
+  /**
+   * Check whether a call may go through, claiming the trial slot when half-open
+   * @returns {boolean}
+   */
+  allowRequest() {
+    const state = this.getState();
+    if (state === 'closed') return true;
+    if (state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.cooldown = CIRCUIT_BREAKER.COOLDOWN;
+    this.lastSuccessAt = Date.now();
+  }
+
+  recordFailure(error) {
+    if (this.getState() === 'half-open') {
+      this.cooldown = Math.min(this.cooldown * 2, CIRCUIT_BREAKER.MAX_COOLDOWN);
+    }
+    
+    this.failures++;
+    this.lastError = error?.message || String(error);
+    this.lastErrorAt = Date.now();
+    
+    if (this.failures >= CIRCUIT_BREAKER.FAILURE_THRESHOLD) {
+      this.openUntil = Date.now() + this.cooldown;
+    }
+  }
+
+  /**
+   * Release the trial slot once a call has finished
+   */
+  endTrial() {
+    this.trialInFlight = false;
+  }
 }
 
-const rateLimiter = new RateLimiter();
+/**
+ * Check whether a request error means the provider itself is failing
+ * Client errors other than 429, and JSON-RPC errors the node answered with,
+ * still mean the provider is up.
+ * @param {Error} error - Request error
+ * @returns {boolean}
+ */
+function isProviderFailure(error) {
+  if (error.status === 429) return true;
+  return !(error.status < 500) && !error.rpcError;
+}
 
 /**
- * Make a rate-limited fetch request
+ * Record the outcome of a request against its provider
+ * @param {string|null} providerId - Provider the request was made for
+ * @param {Error|null} error - Request error, or null on success
+ */
+function reportOutcome(providerId, error = null) {
+  const provider = providers.get(providerId);
+  if (!provider) return;
+  
+  if (!error) {
+    provider.breaker.recordSuccess();
+    return;
+  }
+  
+  if (error.retryAfter) {
+    provider.limiter.pauseFor(error.retryAfter);
+  }
+  provider.breaker.recordFailure(error);
+}
+
+/**
+ * Make a request on behalf of a provider, retrying with backoff
+ * The first attempt runs on the rate limit slot callProvider took and every
+ * retry takes a new one. The circuit breaker sees a single outcome for the
+ * request, after the last attempt.
+ * @param {string} providerId - Provider making the request
+ * @param {Function} request - async () => response
+ * @param {number} maxRetries - Maximum retry attempts
+ * @returns {Promise<any>}
+ */
+async function providerRequest(providerId, request, maxRetries = RATE_LIMIT.MAX_RETRIES) {
+  const provider = providers.get(providerId);
+  let attempt = 0;
+  
+  try {
+    const result = await retryWithBackoff(async () => {
+      if (attempt++ > 0) {
+        await provider?.limiter.acquire();
+      }
+      try {
+        return await request();
+      } catch (error) {
+        // Hold back other calls to this provider while the retry waits
+        if (error.retryAfter) provider?.limiter.pauseFor(error.retryAfter);
+        throw error;
+      }
+    }, maxRetries);
+    reportOutcome(providerId);
+    return result;
+  } catch (error) {
+    reportOutcome(providerId, isProviderFailure(error) ? error : null);
+    throw error;
+  }
+}
+
+/**
+ * Fetch a JSON response
  * @param {string} url - URL to fetch
  * @param {object} options - Fetch options
  * @returns {Promise<any>}
  */
-async function rateLimitedFetch(url, options = {}) {
-  await rateLimiter.acquire();
-  
+async function fetchJson(url, options = {}) {
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), 15000); // 15s timeout
   
@@ -63,6 +246,10 @@ async function rateLimitedFetch(url, options = {}) {
     if (!response.ok) {
       const error = new Error(`HTTP ${response.status}`);
       error.status = response.status;
+      if (response.status === 429 || response.status === 503) {
+        error.retryAfter = parseRetryAfter(response.headers?.get('Retry-After')) ??
+          (response.status === 429 ? RATE_LIMIT.DEFAULT_RETRY_AFTER : undefined);
+      }
       throw error;
     }
     
@@ -86,18 +273,19 @@ export async function fetchGoPlusData(address, chainId) {
   
   try {
     const url = `${API_ENDPOINTS.GOPLUS}/${chainId}?contract_addresses=${address}`;
-    const data = await retryWithBackoff(() => rateLimitedFetch(url));
+    const data = await providerRequest('goPlus', () => fetchJson(url));
     
     if (data.code !== 1 || !data.result || !data.result[address.toLowerCase()]) {
       return null;
     }
     
     const result = data.result[address.toLowerCase()];
+    const lp = summarizeLpHolders(result.lp_holders);
     
     return {
       isHoneypot: result.is_honeypot === '1',
-      buyTax: parseFloat(result.buy_tax || 0) * 100,
-      sellTax: parseFloat(result.sell_tax || 0) * 100,
+      buyTax: result.buy_tax ? parseFloat(result.buy_tax) * 100 : undefined,
+      sellTax: result.sell_tax ? parseFloat(result.sell_tax) * 100 : undefined,
       ownershipRenounced: result.owner_address === '0x0000000000000000000000000000000000000000' || 
                           result.owner_address === '' ||
                           result.can_take_back_ownership === '0',
@@ -105,7 +293,7 @@ export async function fetchGoPlusData(address, chainId) {
       canPause: result.trading_cooldown === '1' || result.can_pause_trading === '1',
       canBlacklist: result.is_blacklisted === '1' || result.is_in_dex === '0',
       isProxy: result.is_proxy === '1',
-      holderCount: parseInt(result.holder_count || 0),
+      holderCount: result.holder_count ? parseInt(result.holder_count) : undefined,
       lpHolderCount: parseInt(result.lp_holder_count || 0),
       top10HoldersPercent: parseFloat(result.top_10_holder_ratio || 0) * 100,
       isVerified: result.is_open_source === '1',
@@ -114,7 +302,13 @@ export async function fetchGoPlusData(address, chainId) {
       tokenName: result.token_name,
       tokenSymbol: result.token_symbol,
       totalSupply: result.total_supply,
-      canModifyTax: result.slippage_modifiable === '1'
+      canModifyTax: result.slippage_modifiable === '1',
+      liquidityLocked: lp ? lp.lockedPercent + lp.burnedPercent >= LAUNCH_ANALYSIS.LP_SECURED_MIN_PERCENT : undefined,
+      lpBurned: lp ? lp.burnedPercent >= LAUNCH_ANALYSIS.LP_SECURED_MIN_PERCENT : undefined,
+      lpLockedPercent: lp?.lockedPercent,
+      lockDuration: lp?.lockDuration,
+      // GoPlus only lists well-known, reviewed projects; absence says nothing
+      isAudited: result.trust_list === '1' ? true : undefined
     };
   } catch (error) {
     console.error('[SafeCA] GoPlus API error:', error);
@@ -122,6 +316,39 @@ export async function fetchGoPlusData(address, chainId) {
   }
 }
 
+/**
+ * Summarize GoPlus LP holders into locked/burned shares and remaining lock time
+ * @param {Array<object>} lpHolders - GoPlus `lp_holders`
+ * @returns {{lockedPercent: number, burnedPercent: number, lockDuration: number|undefined}|null}
+ */
+function summarizeLpHolders(lpHolders) {
+  if (!Array.isArray(lpHolders) || lpHolders.length === 0) return null;
+  
+  let lockedPercent = 0;
+  let burnedPercent = 0;
+  let lockDuration;
+  
+  for (const holder of lpHolders) {
+    const percent = parseFloat(holder.percent || 0) * 100;
+    
+    if (NULL_ADDRESSES.includes(holder.address?.toLowerCase())) {
+      burnedPercent += percent;
+    } else if (Number(holder.is_locked) === 1) {
+      lockedPercent += percent;
+      
+      // Time until the earliest lock expires
+      for (const lock of holder.locked_detail || []) {
+        const remaining = new Date(lock.end_time).getTime() - Date.now();
+        if (Number.isFinite(remaining)) {
+          lockDuration = Math.min(lockDuration ?? Infinity, Math.max(0, remaining));
+        }
+      }
+    }
+  }
+  
+  return { lockedPercent, burnedPercent, lockDuration };
+}
+
 /**
  * Fetch token data from RugCheck (Solana)
  * @param {string} address - Token address
@@ -131,7 +358,7 @@ export async function fetchRugCheckData(address) {
   try {
     // RugCheck API endpoint format: https://api.rugcheck.xyz/v1/tokens/{address}
     const url = `${API_ENDPOINTS.RUGCHECK}/${address}`;
-    const data = await retryWithBackoff(() => rateLimitedFetch(url));
+    const data = await providerRequest('rugCheck', () => fetchJson(url));
     
     if (!data || data.error) {
       return null;
@@ -139,6 +366,12 @@ export async function fetchRugCheckData(address) {
     
     // Calculate risk level from RugCheck score
     const riskScore = data.score || 0;
+    
+    // Primary market LP lock share and the earliest locker expiry
+    const lpLockedPct = data.markets?.[0]?.lp?.lpLockedPct;
+    const unlockTimes = Object.values(data.lockers || {})
+      .map(locker => locker.unlockDate * 1000 - Date.now())
+      .filter(remaining => Number.isFinite(remaining) && remaining > 0);
     let honeypotRisk = 'unknown';
     if (riskScore >= 80) honeypotRisk = 'low';
     else if (riskScore >= 50) honeypotRisk = 'medium';
@@ -148,12 +381,16 @@ export async function fetchRugCheckData(address) {
       isHoneypot: data.risks?.some(r => r.name === 'Honeypot') || false,
       honeypotRisk: honeypotRisk,
       ownershipRenounced: data.mintAuthority === null || data.mintAuthority === '',
-      liquidityLocked: data.lpLocked || false,
+      liquidityLocked: data.lpLocked || (lpLockedPct !== undefined && lpLockedPct >= LAUNCH_ANALYSIS.LP_SECURED_MIN_PERCENT),
+      lpLockedPercent: lpLockedPct,
+      lockDuration: unlockTimes.length > 0 ? Math.min(...unlockTimes) : undefined,
+      // Wallet clusters RugCheck links to the deployer or each other
+      hasSuspiciousActivity: data.graphInsidersDetected !== undefined ? data.graphInsidersDetected > 0 : undefined,
       lpBurned: data.lpBurned || false,
-      top10HoldersPercent: data.topHoldersPercent || 0,
-      topHolderPercent: data.topHolderPercent || 0,
-      holderCount: data.holderCount || 0,
-      liquidity: data.liquidity || 0,
+      top10HoldersPercent: data.topHoldersPercent,
+      topHolderPercent: data.topHolderPercent,
+      holderCount: data.holderCount || undefined,
+      liquidity: data.liquidity,
       rugCheckScore: riskScore,
       risks: data.risks || [],
       tokenName: data.tokenMeta?.name,
@@ -192,7 +429,7 @@ export async function fetchHoneypotData(address, chainId) {
     const chain = chainMap[chainId] || 'eth';
     // Honeypot.is API format: https://api.honeypot.is/v2/IsHoneypot?address={address}&chain={chain}
     const url = `${API_ENDPOINTS.HONEYPOT}?address=${address}&chain=${chain}`;
-    const data = await retryWithBackoff(() => rateLimitedFetch(url));
+    const data = await providerRequest('honeypot', () => fetchJson(url));
     
     if (!data) {
       return null;
@@ -201,8 +438,8 @@ export async function fetchHoneypotData(address, chainId) {
     return {
       isHoneypot: data.honeypotResult?.isHoneypot || false,
       honeypotRisk: data.summary?.riskLevel || 'unknown',
-      buyTax: data.simulationResult?.buyTax || 0,
-      sellTax: data.simulationResult?.sellTax || 0,
+      buyTax: data.simulationResult?.buyTax,
+      sellTax: data.simulationResult?.sellTax,
       buyGas: data.simulationResult?.buyGas,
       sellGas: data.simulationResult?.sellGas,
       transferTax: data.simulationResult?.transferTax || 0,
@@ -220,93 +457,846 @@ export async function fetchHoneypotData(address, chainId) {
   }
 }
 
+/**
+ * Inspect a token contract directly through the chain's RPC node
+ * Reads owner, supply, EIP-1967 proxy slots and bytecode in one batch,
+ * then scans the (implementation) bytecode for known dangerous selectors.
+ * @param {string} address - Contract address
+ * @param {string} chainId - Chain ID
+ * @returns {Promise<object>}
+ */
+export async function fetchOnChainData(address, chainId) {
+  if (chainId === CHAIN_IDS.SOLANA || !RPC_ENDPOINTS[chainId]) {
+    return null;
+  }
+  
+  try {
+    const call = (data) => ({ method: 'eth_call', params: [{ to: address, data }, 'latest'] });
+    const slot = (position) => ({ method: 'eth_getStorageAt', params: [address, position, 'latest'] });
+    
+    const [code, owner, getOwner, totalSupply, decimals, implSlot, adminSlot, beaconSlot] = 
+      await providerRequest('onChain', () => rpcBatch(chainId, [
+        { method: 'eth_getCode', params: [address, 'latest'] },
+        call(CONTRACT_SELECTORS.OWNER),
+        call(CONTRACT_SELECTORS.GET_OWNER),
+        call(CONTRACT_SELECTORS.TOTAL_SUPPLY),
+        call(CONTRACT_SELECTORS.DECIMALS),
+        slot(PROXY_SLOTS.IMPLEMENTATION),
+        slot(PROXY_SLOTS.ADMIN),
+        slot(PROXY_SLOTS.BEACON)
+      ]), 1);
+    
+    if (!hasBytecode(code.result)) {
+      // Nothing deployed at this address on this chain
+      return null;
+    }
+    
+    const bytecode = code.result.toLowerCase();
+    
+    // Proxy detection: EIP-1967 slots, then EIP-1167 minimal proxies
+    const nonZero = (addr) => addr && addr !== NULL_ADDRESSES[0] ? addr : null;
+    let implementationAddress = nonZero(decodeAddress(implSlot.result));
+    const proxyAdmin = nonZero(decodeAddress(adminSlot.result));
+    const beaconAddress = nonZero(decodeAddress(beaconSlot.result));
+    const minimalProxy = bytecode.match(/^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91/);
+    if (!implementationAddress && minimalProxy) {
+      implementationAddress = '0x' + minimalProxy[1];
+    }
+    const isProxy = Boolean(implementationAddress || beaconAddress);
+    
+    // For proxies the real logic lives in the implementation contract
+    let logicBytecode = bytecode;
+    if (implementationAddress) {
+      try {
+        const implCode = await getCode(chainId, implementationAddress);
+        if (hasBytecode(implCode)) logicBytecode = implCode.toLowerCase();
+      } catch (error) {
+        console.warn('[SafeCA] Could not fetch implementation bytecode:', error.message);
+      }
+    }
+    
+    const pushedSelectors = findPushedSelectors(logicBytecode);
+    const capabilities = {};
+    const matchedSelectors = [];
+    for (const [capability, selectors] of Object.entries(MALICIOUS_SELECTORS)) {
+      const found = selectors.filter(sel => pushedSelectors.has(sel));
+      capabilities[capability] = found.length > 0;
+      matchedSelectors.push(...found);
+    }
+    
+    // Ownership: owner() or getOwner(); no owner function at all is unknown
+    const ownerWord = !owner.error && owner.result !== '0x' ? owner.result :
+                      !getOwner.error && getOwner.result !== '0x' ? getOwner.result : null;
+    const ownerAddress = decodeAddress(ownerWord);
+    
+    const rawSupply = totalSupply.error ? null : decodeUint(totalSupply.result);
+    const decimalsValue = decimals.error ? null : decodeUint(decimals.result);
+    const tokenDecimals = decimalsValue !== null && decimalsValue <= 255n ? Number(decimalsValue) : null;
+    
+    return {
+      ownerAddress: ownerAddress,
+      ownershipRenounced: ownerAddress ? NULL_ADDRESSES.includes(ownerAddress) : undefined,
+      totalSupply: rawSupply !== null ? formatUnits(rawSupply, tokenDecimals || 0) : undefined,
+      decimals: tokenDecimals ?? undefined,
+      isProxy: isProxy,
+      implementationAddress: implementationAddress,
+      proxyAdmin: proxyAdmin,
+      bytecodeSize: (bytecode.length - 2) / 2,
+      canMint: capabilities.canMint,
+      canBlacklist: capabilities.canBlacklist,
+      canPause: capabilities.canPause,
+      canModifyTax: capabilities.canModifyTax,
+      maliciousSelectors: matchedSelectors
+    };
+  } catch (error) {
+    console.error('[SafeCA] On-chain RPC error:', error);
+    return null;
+  }
+}
+
+/**
+ * Read a Solana mint directly from the Solana RPC
+ * Decodes mint/freeze authorities and Token-2022 extensions, and computes
+ * holder concentration from getTokenLargestAccounts (excluding AMM vaults).
+ * @param {string} address - Mint address
+ * @returns {Promise<object>}
+ */
+export async function fetchSolanaRpcData(address) {
+  const chainId = CHAIN_IDS.SOLANA;
+  
+  try {
+    const [accountInfo, largestAccounts] = await providerRequest('solanaRpc', () => rpcBatch(chainId, [
+      { method: 'getAccountInfo', params: [address, { encoding: 'base64' }] },
+      { method: 'getTokenLargestAccounts', params: [address] }
+    ]), 1);
+    
+    const account = accountInfo.result?.value;
+    if (!account || !Object.values(SOLANA_PROGRAMS).includes(account.owner)) {
+      // Not a token mint
+      return null;
+    }
+    
+    const mint = decodeMintAccount(decodeBase64(account.data[0]));
+    if (!mint || !mint.isInitialized) {
+      return null;
+    }
+    
+    const ext = mint.extensions;
+    const result = {
+      mintAuthority: mint.mintAuthority,
+      freezeAuthority: mint.freezeAuthority,
+      decimals: mint.decimals,
+      totalSupply: formatUnits(mint.supply, mint.decimals),
+      canMint: mint.mintAuthority !== null,
+      canBlacklist: mint.freezeAuthority !== null,
+      ownershipRenounced: mint.mintAuthority === null && mint.freezeAuthority === null,
+      isToken2022: account.owner === SOLANA_PROGRAMS.TOKEN_2022,
+      token2022Extensions: Object.keys(ext),
+      permanentDelegate: ext.permanentDelegate || null,
+      transferHookProgram: ext.transferHook?.programId || null
+    };
+    
+    // Transfer fees apply to every transfer, buys and sells alike
+    if (ext.transferFee) {
+      result.buyTax = ext.transferFee.basisPoints / 100;
+      result.sellTax = ext.transferFee.basisPoints / 100;
+      result.canModifyTax = ext.transferFee.authority !== null;
+    }
+    
+    if (ext.nonTransferable) {
+      result.isHoneypot = true;
+    } else if (ext.defaultAccountFrozen || ext.permanentDelegate || ext.transferHook?.programId) {
+      // Holders can be frozen, drained or blocked from selling
+      result.honeypotRisk = 'high';
+    }
+    
+    const holders = largestAccounts.result?.value || [];
+    if (holders.length > 0 && mint.supply > 0n) {
+      const excluded = await findExcludedHolderAccounts(holders.map(h => h.address));
+      const amounts = holders
+        .filter(h => !excluded.has(h.address))
+        .map(h => BigInt(h.amount));
+      const percentOf = (amount) => Number((amount * 10000n) / mint.supply) / 100;
+      
+      result.topHolderPercent = amounts.length > 0 ? percentOf(amounts[0]) : 0;
+      result.top10HoldersPercent = percentOf(amounts.slice(0, 10).reduce((sum, a) => sum + a, 0n));
+    }
+    
+    return result;
+  } catch (error) {
+    console.error('[SafeCA] Solana RPC error:', error);
+    return null;
+  }
+}
+
+/**
+ * Find token accounts owned by AMM pool authorities
+ * @param {Array<string>} accounts - Token account addresses
+ * @returns {Promise<Set<string>>}
+ */
+async function findExcludedHolderAccounts(accounts) {
+  try {
+    const response = await rpcCall(CHAIN_IDS.SOLANA, 'getMultipleAccounts', [
+      accounts, 
+      { encoding: 'jsonParsed' }
+    ]);
+    
+    const excluded = new Set();
+    (response?.value || []).forEach((info, index) => {
+      const owner = info?.data?.parsed?.info?.owner;
+      if (owner && SOLANA_EXCLUDED_HOLDERS.includes(owner)) {
+        excluded.add(accounts[index]);
+      }
+    });
+    return excluded;
+  } catch (error) {
+    // Fall back to raw concentration
+    return new Set();
+  }
+}
+
 /**
  * Fetch token data from DexScreener
+ * Token-level fields come from the most liquid pair on the scanned chain;
+ * every pair is kept and analyzed with analyzePairs.
  * @param {string} address - Token address
+ * @param {string|null} chainId - Scanned chain ID (default: the most liquid pair's chain)
  * @returns {Promise<object>}
  */
-export async function fetchDexScreenerData(address) {
+export async function fetchDexScreenerData(address, chainId = null) {
+  try {
+    return summarizeDexScreenerPairs(await fetchDexScreenerPairs(address), chainId);
+  } catch (error) {
+    console.error('[SafeCA] DexScreener API error:', error);
+    return null;
+  }
+}
+
+/**
+ * Fetch every DexScreener pair of a token, on any chain
+ * @param {string} address - Token address
+ * @returns {Promise<Array<object>|null>} - Raw pairs, or null when there are none
+ */
+async function fetchDexScreenerPairs(address) {
   try {
     const url = `${API_ENDPOINTS.DEXSCREENER}/${address}`;
-    const data = await retryWithBackoff(() => rateLimitedFetch(url));
+    const data = await providerRequest('dexScreener', () => fetchJson(url));
+    return data?.pairs?.length ? data.pairs : null;
+  } catch (error) {
+    console.error('[SafeCA] DexScreener API error:', error);
+    return null;
+  }
+}
+
+/**
+ * Build token data from raw DexScreener pairs as seen from one chain
+ * @param {Array<object>|null} rawPairs - Pairs from fetchDexScreenerPairs
+ * @param {string|null} chainId - Scanned chain ID (default: the most liquid pair's chain)
+ * @returns {object|null}
+ */
+function summarizeDexScreenerPairs(rawPairs, chainId = null) {
+  if (!rawPairs) {
+    return null;
+  }
+  
+  // Most liquid first
+  const sorted = [...rawPairs].sort((a, b) => 
+    (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0)
+  );
+  const pair = sorted.find(p => chainId && DEXSCREENER_CHAIN_MAP[p.chainId] === chainId) || sorted[0];
+  
+  // Chains this token trades on, most liquid first
+  const chainIds = [...new Set(
+    sorted
+      .map(p => DEXSCREENER_CHAIN_MAP[p.chainId])
+      .filter(Boolean)
+  )];
+  
+  // Every pair, for per-chain and per-pair analysis
+  const pairs = sorted
+    .slice(0, PAIR_ANALYSIS.MAX_PAIRS)
+    .map(p => ({
+      chainId: DEXSCREENER_CHAIN_MAP[p.chainId] || null,
+      dexChain: p.chainId,
+      pairAddress: p.pairAddress,
+      dexId: p.dexId,
+      quoteSymbol: p.quoteToken?.symbol,
+      quoteAddress: p.quoteToken?.address,
+      priceUsd: parseFloat(p.priceUsd || 0),
+      liquidity: p.liquidity?.usd || 0,
+      volume24h: p.volume?.h24 || 0,
+      createdAt: p.pairCreatedAt
+    }));
+  
+  return {
+    tokenName: pair.baseToken?.name,
+    tokenSymbol: pair.baseToken?.symbol,
+    priceUsd: parseFloat(pair.priceUsd || 0),
+    priceChange24h: pair.priceChange?.h24 || 0,
+    volume24h: pair.volume?.h24 || 0,
+    liquidity: pair.liquidity?.usd || 0,
+    fdv: pair.fdv || 0,
+    marketCap: pair.marketCap || 0,
+    pairAddress: pair.pairAddress,
+    dexId: pair.dexId,
+    chainId: pair.chainId,
+    chainIds: chainIds,
+    txCount24h: pair.txns?.h24?.buys + pair.txns?.h24?.sells || 0,
+    buys24h: pair.txns?.h24?.buys || 0,
+    sells24h: pair.txns?.h24?.sells || 0,
+    createdAt: pair.pairCreatedAt,
+    ...analyzePairs(pairs, chainId || DEXSCREENER_CHAIN_MAP[pair.chainId])
+  };
+}
+
+/**
+ * Analyze every trading pair of a token on the scanned chain
+ * Pairs on other chains are marked `chainMismatch`. Thin pairs priced far above
+ * the main pair are marked `suspicious`: anyone can set the price of a pool with
+ * almost no liquidity, which fake and honeypot pairs use to look valuable.
+ * Neither kind counts toward the liquidity totals. The first and latest pair
+ * creation times on the chain date the launch and the last liquidity added.
+ * @param {Array<object>} pairs - Pairs, most liquid first
+ * @param {string} chainId - Scanned chain ID
+ * @returns {object} - { pairs, pairCount, totalLiquidity, liquidityByQuote, suspiciousPairCount, mismatchedPairCount, launchedAt, newestPairAt }
+ */
+export function analyzePairs(pairs, chainId) {
+  // The most liquid pair with real depth sets the reference price
+  const reference = pairs.find(p =>
+    p.chainId === chainId && p.liquidity >= PAIR_ANALYSIS.THIN_LIQUIDITY && p.priceUsd > 0
+  )?.priceUsd;
+  
+  const analyzed = pairs.map(p => ({
+    ...p,
+    chainMismatch: p.chainId !== chainId,
+    suspicious: p.chainId === chainId && 
+      reference > 0 && 
+      p.liquidity < PAIR_ANALYSIS.THIN_LIQUIDITY && 
+      p.priceUsd >= reference * PAIR_ANALYSIS.PRICE_DEVIATION
+  }));
+  
+  const quotes = new Map();
+  let totalLiquidity = 0;
+  for (const p of analyzed) {
+    if (p.chainMismatch || p.suspicious) continue;
+    
+    totalLiquidity += p.liquidity;
+    const key = (p.quoteAddress || p.quoteSymbol || '').toLowerCase();
+    const quote = quotes.get(key) || { symbol: p.quoteSymbol || '?', address: p.quoteAddress, liquidity: 0 };
+    quote.liquidity += p.liquidity;
+    quotes.set(key, quote);
+  }
+  
+  const createdTimes = analyzed
+    .filter(p => !p.chainMismatch && !p.suspicious && p.createdAt)
+    .map(p => p.createdAt);
+  
+  const liquidityByQuote = [...quotes.values()]
+    .map(quote => ({
+      ...quote,
+      percent: totalLiquidity > 0 ? Math.round((quote.liquidity / totalLiquidity) * 1000) / 10 : 0
+    }))
+    .sort((a, b) => b.liquidity - a.liquidity);
+  
+  return {
+    pairs: analyzed,
+    pairCount: analyzed.filter(p => !p.chainMismatch).length,
+    totalLiquidity,
+    liquidityByQuote,
+    suspiciousPairCount: analyzed.filter(p => p.suspicious).length,
+    mismatchedPairCount: analyzed.filter(p => p.chainMismatch).length,
+    launchedAt: createdTimes.length > 0 ? Math.min(...createdTimes) : undefined,
+    newestPairAt: createdTimes.length > 0 ? Math.max(...createdTimes) : undefined
+  };
+}
+
+/**
+ * Detect snipers and bundled buys from a pair's first trades (EVM)
+ * Finds the pair creation block from its timestamp, then reads the token's
+ * Transfer events out of the pair (buys) in the blocks that follow.
+ * @param {string} address - Token address
+ * @param {string} chainId - Chain ID
+ * @param {object} pair - Pair on this chain ({ pairAddress, createdAt })
+ * @returns {Promise<object|null>}
+ */
+export async function fetchLaunchAnalysis(address, chainId, pair) {
+  if (!pair?.pairAddress || !pair.createdAt || !RPC_ENDPOINTS[chainId] || chainId === CHAIN_IDS.SOLANA) {
+    return null;
+  }
+  
+  try {
+    const pairTopic = '0x' + pair.pairAddress.toLowerCase().replace(/^0x/, '').padStart(64, '0');
     
-    if (!data || !data.pairs || data.pairs.length === 0) {
+    // The block search and the log query count as one request
+    const logs = await providerRequest('launchAnalysis', async () => {
+      const fromBlock = await findBlockByTimestamp(chainId, pair.createdAt);
+      return await rpcCall(chainId, 'eth_getLogs', [{
+        address,
+        fromBlock: '0x' + fromBlock.toString(16),
+        toBlock: '0x' + (fromBlock + LAUNCH_ANALYSIS.SCAN_BLOCKS).toString(16),
+        topics: [TRANSFER_TOPIC, pairTopic]
+      }]);
+    }, 0);
+    
+    // No buys found - not enough to judge (e.g. pools that don't hold the tokens)
+    if (!Array.isArray(logs) || logs.length === 0) {
       return null;
     }
     
-    // Get the most liquid pair
-    const pair = data.pairs.sort((a, b) => 
-      (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0)
-    )[0];
+    const buys = logs.map(log => ({
+      block: parseInt(log.blockNumber, 16),
+      buyer: decodeAddress(log.topics[2])
+    }));
+    const firstBlock = Math.min(...buys.map(buy => buy.block));
+    
+    const buyersWithin = (blocks) => new Set(
+      buys.filter(buy => buy.block < firstBlock + blocks).map(buy => buy.buyer)
+    ).size;
+    
+    const bundledBuys = buyersWithin(1);
     
     return {
-      tokenName: pair.baseToken?.name,
-      tokenSymbol: pair.baseToken?.symbol,
-      priceUsd: parseFloat(pair.priceUsd || 0),
-      priceChange24h: pair.priceChange?.h24 || 0,
-      volume24h: pair.volume?.h24 || 0,
-      liquidity: pair.liquidity?.usd || 0,
-      fdv: pair.fdv || 0,
-      marketCap: pair.marketCap || 0,
-      pairAddress: pair.pairAddress,
-      dexId: pair.dexId,
-      chainId: pair.chainId,
-      txCount24h: pair.txns?.h24?.buys + pair.txns?.h24?.sells || 0,
-      buys24h: pair.txns?.h24?.buys || 0,
-      sells24h: pair.txns?.h24?.sells || 0,
-      createdAt: pair.pairCreatedAt
+      launchBlock: firstBlock,
+      sniperCount: buyersWithin(LAUNCH_ANALYSIS.SNIPER_BLOCKS),
+      bundledBuys: bundledBuys,
+      hasSuspiciousActivity: bundledBuys >= LAUNCH_ANALYSIS.BUNDLE_MIN_BUYERS
     };
   } catch (error) {
-    console.error('[SafeCA] DexScreener API error:', error);
+    console.error('[SafeCA] Launch analysis error:', error);
     return null;
   }
 }
 
+// Resolved chains for bare EVM addresses, keyed by lowercase address
+const resolvedChains = new Map();
+
+// Resolutions in progress, so concurrent scans of an address share one lookup
+const pendingResolutions = new Map();
+
+/**
+ * Resolve which EVM chain a bare 0x address belongs to
+ * Combines the chains DexScreener lists pairs on with eth_getCode probes
+ * against every chain in EVM_CHAIN_IDS. A fresh lookup also returns the
+ * DexScreener response for the resolved chain in `sources`, ready to cache.
+ * @param {string} address - Contract address
+ * @returns {Promise<{chainId: string, candidates: Array<string>, ambiguous: boolean, source: string, sources?: object}>}
+ */
+export async function resolveEvmChain(address) {
+  const key = address.toLowerCase();
+  const cached = resolvedChains.get(key);
+  if (cached && isCacheValid(cached)) {
+    return cached.resolution;
+  }
+  
+  if (!pendingResolutions.has(key)) {
+    const lookup = lookUpEvmChain(address)
+      .finally(() => pendingResolutions.delete(key));
+    pendingResolutions.set(key, lookup);
+  }
+  
+  return await pendingResolutions.get(key);
+}
+
+/**
+ * Query DexScreener and probe every EVM chain for an address
+ * @param {string} address - Contract address
+ * @returns {Promise<object>} - Chain resolution, cached when anything answered
+ */
+async function lookUpEvmChain(address) {
+  const key = address.toLowerCase();
+  const dexScreener = providers.get('dexScreener');
+  const [rawPairs, probes] = await Promise.all([
+    dexScreener && isProviderAvailable(dexScreener) ? callProvider(dexScreener, address, null, {}, fetchDexScreenerPairs) : null,
+    Promise.all(EVM_CHAIN_IDS.map(async (chainId) => {
+      try {
+        const code = await getCode(chainId, address);
+        return { chainId, deployed: hasBytecode(code) };
+      } catch (error) {
+        // RPC unreachable - existence unknown on this chain
+        return { chainId, deployed: null };
+      }
+    }))
+  ]);
+  
+  const listedChains = (summarizeDexScreenerPairs(rawPairs)?.chainIds || []).filter(id => EVM_CHAIN_IDS.includes(id));
+  const resolution = rankChainCandidates(listedChains, probes);
+  
+  // Nothing answered (offline): resolve again next time rather than stick to the default
+  const answered = rawPairs || probes.some(probe => probe.deployed !== null);
+  if (answered) {
+    resolvedChains.set(key, { resolution, timestamp: Date.now() });
+  }
+  
+  // The pairs already fetched serve as the DexScreener response for the resolved chain
+  const dexData = summarizeDexScreenerPairs(rawPairs, resolution.chainId);
+  return dexData ? { ...resolution, sources: { dexScreener: dexData } } : resolution;
+}
+
+/**
+ * Rank candidate chains for an address
+ * Chains with trading pairs win (most liquid first), then chains where
+ * bytecode exists. Listed chains are dropped only when the RPC positively
+ * reports no contract there.
+ * @param {Array<string>} listedChains - Chain IDs with DexScreener pairs
+ * @param {Array<{chainId: string, deployed: boolean|null}>} probes - eth_getCode results
+ * @returns {{chainId: string, candidates: Array<string>, ambiguous: boolean, source: string}}
+ */
+export function rankChainCandidates(listedChains, probes) {
+  const deployedOn = new Map(probes.map(p => [p.chainId, p.deployed]));
+  
+  const candidates = listedChains.filter(id => deployedOn.get(id) !== false);
+  for (const probe of probes) {
+    if (probe.deployed === true && !candidates.includes(probe.chainId)) {
+      candidates.push(probe.chainId);
+    }
+  }
+  
+  let source = 'default';
+  if (candidates.length > 0) {
+    source = listedChains.includes(candidates[0]) ? 'dexscreener' : 'rpc';
+  }
+  
+  return {
+    chainId: candidates[0] || CHAIN_IDS.ETHEREUM,
+    candidates,
+    ambiguous: candidates.length > 1,
+    source
+  };
+}
+
+/**
+ * Data-source provider registry
+ * Each provider declares the chains it supports, the normalized fields it
+ * produces, its merge priority (lower wins) and its rate limit in requests
+ * per minute. fetchAllTokenData and mergeTokenData are driven entirely by
+ * the registry, so new sources only need to call registerProvider.
+ */
+const providers = new Map();
+
+// Matches every chain
+export const ALL_CHAINS = '*';
+
+/**
+ * Register a data-source provider (replaces any provider with the same id)
+ * @param {object} provider - Provider definition
+ * @param {string} provider.id - Unique id, also the key in `sources`
+ * @param {string} provider.name - Display name
+ * @param {Array<string>|string} provider.chains - Supported chain IDs or ALL_CHAINS
+ * @param {Array<string>} provider.fields - Normalized fields this provider produces
+ * @param {number} provider.priority - Merge priority, lower wins
+ * @param {object} [provider.fieldPriority] - Per-field priority overrides
+ * @param {number} provider.rateLimit - Requests per minute
+ * @param {number} [provider.cacheTtl] - How long a response can be reused (not cached when omitted)
+ * @param {Array<string>} [provider.dependsOn] - Providers whose results this one needs
+ * @param {Function} provider.fetch - async (address, chainId, sources) => normalized data or null
+ */
+export function registerProvider(provider) {
+  if (!provider || !provider.id || typeof provider.fetch !== 'function') {
+    throw new Error('Provider must have an id and a fetch function');
+  }
+  if (!Array.isArray(provider.fields) || provider.fields.length === 0) {
+    throw new Error(`Provider ${provider.id} must declare the fields it produces`);
+  }
+  
+  providers.set(provider.id, {
+    name: provider.id,
+    chains: ALL_CHAINS,
+    priority: 100,
+    rateLimit: RATE_LIMIT.REQUESTS_PER_MINUTE,
+    ...provider,
+    limiter: new RateLimiter(provider.rateLimit || RATE_LIMIT.REQUESTS_PER_MINUTE),
+    breaker: new CircuitBreaker()
+  });
+}
+
+/**
+ * Remove a registered provider
+ * @param {string} id - Provider id
+ * @returns {boolean}
+ */
+export function unregisterProvider(id) {
+  return providers.delete(id);
+}
+
+/**
+ * Get how close the busiest rate limiter is to its budget
+ * @returns {number} - 0 (idle) to 1 (saturated)
+ */
+export function getRateLimitPressure() {
+  return Math.max(0, ...[...providers.values()].map(p => p.limiter.getUtilization()));
+}
+
+/**
+ * Get each provider's circuit breaker and rate limit status
+ * @returns {Array<object>} - { id, name, status, failures, lastError, lastErrorAt, lastSuccessAt, retryAt, utilization }
+ */
+export function getProviderHealth() {
+  const now = Date.now();
+  
+  return [...providers.values()].map(({ id, name, breaker, limiter }) => {
+    const state = breaker.getState(now);
+    const rateLimited = limiter.pausedUntil > now;
+    
+    let status = 'ok';
+    if (state === 'open') status = 'down';
+    else if (state === 'half-open') status = 'recovering';
+    else if (rateLimited) status = 'rate-limited';
+    else if (breaker.failures > 0) status = 'degraded';
+    
+    return {
+      id,
+      name,
+      status,
+      failures: breaker.failures,
+      lastError: breaker.lastError,
+      lastErrorAt: breaker.lastErrorAt,
+      lastSuccessAt: breaker.lastSuccessAt,
+      retryAt: state === 'open' ? breaker.openUntil : rateLimited ? limiter.pausedUntil : null,
+      utilization: limiter.getUtilization()
+    };
+  });
+}
+
+/**
+ * Check whether a provider can be called right now
+ * Providers with an open circuit, or paused by a long Retry-After, are skipped
+ * rather than stalling the scan. Claims the trial slot of a half-open breaker.
+ * @param {object} provider - Registered provider
+ * @returns {boolean}
+ */
+function isProviderAvailable(provider) {
+  if (provider.limiter.pausedUntil - Date.now() > RATE_LIMIT.MAX_RETRY_WAIT) {
+    return false;
+  }
+  return provider.breaker.allowRequest();
+}
+
+/**
+ * Call a provider within its rate limit, recording the outcome
+ * Built-in fetchers report their requests through providerRequest and return
+ * null on failure; errors thrown by other providers are recorded here.
+ * @param {object} provider - Registered provider, already checked with isProviderAvailable
+ * @param {string} address - Contract address
+ * @param {string} chainId - Chain ID
+ * @param {object} sources - Results of providers called so far
+ * @param {Function} fetch - Fetcher to call instead of provider.fetch
+ * @returns {Promise<object|null>}
+ */
+async function callProvider(provider, address, chainId, sources = {}, fetch = provider.fetch) {
+  try {
+    await provider.limiter.acquire();
+    const data = await fetch(address, chainId, sources);
+    if (data) {
+      provider.breaker.recordSuccess();
+    }
+    return data;
+  } catch (error) {
+    console.error(`[SafeCA] ${provider.name} provider error:`, error);
+    provider.breaker.recordFailure(error);
+    return null;
+  } finally {
+    provider.breaker.endTrial();
+  }
+}
+
+/**
+ * Get the providers that support a chain, highest priority first
+ * @param {string} chainId - Chain ID
+ * @returns {Array<object>}
+ */
+export function getProviders(chainId) {
+  return [...providers.values()]
+    .filter(p => p.chains === ALL_CHAINS || p.chains.includes(chainId))
+    .sort((a, b) => a.priority - b.priority);
+}
+
+registerProvider({
+  id: 'dexScreener',
+  name: 'DexScreener',
+  chains: ALL_CHAINS,
+  priority: 10,
+  rateLimit: 60,
+  cacheTtl: CACHE_CONFIG.MARKET_TTL,
+  fields: [
+    'tokenName', 'tokenSymbol', 'priceUsd', 'priceChange24h', 'volume24h', 
+    'liquidity', 'fdv', 'marketCap', 'txCount24h', 'buys24h', 'sells24h', 
+    'dexId', 'pairAddress', 'createdAt', 'pairs', 'pairCount', 'totalLiquidity', 
+    'liquidityByQuote', 'suspiciousPairCount', 'mismatchedPairCount', 'launchedAt', 'newestPairAt'
+  ],
+  fetch: (address, chainId) => fetchDexScreenerData(address, chainId)
+});
+
+registerProvider({
+  id: 'goPlus',
+  name: 'GoPlus Labs',
+  chains: EVM_CHAIN_IDS,
+  priority: 20,
+  rateLimit: 30,
+  cacheTtl: CACHE_CONFIG.SECURITY_TTL,
+  fields: [
+    'tokenName', 'tokenSymbol', 'isHoneypot', 'buyTax', 'sellTax', 
+    'ownershipRenounced', 'canMint', 'canPause', 'canBlacklist', 'isProxy', 
+    'holderCount', 'top10HoldersPercent', 'isVerified', 'canModifyTax', 
+    'creatorAddress', 'ownerAddress', 'liquidityLocked', 'lpBurned', 
+    'lpLockedPercent', 'lockDuration', 'isAudited'
+  ],
+  fetch: (address, chainId) => fetchGoPlusData(address, chainId)
+});
+
+registerProvider({
+  id: 'rugCheck',
+  name: 'RugCheck',
+  chains: [CHAIN_IDS.SOLANA],
+  priority: 20,
+  rateLimit: 30,
+  cacheTtl: CACHE_CONFIG.SIMULATION_TTL,
+  fields: [
+    'tokenName', 'tokenSymbol', 'isHoneypot', 'honeypotRisk', 'ownershipRenounced', 
+    'liquidityLocked', 'lpBurned', 'top10HoldersPercent', 'topHolderPercent', 
+    'holderCount', 'rugCheckScore', 'risks', 'lpLockedPercent', 'lockDuration', 
+    'hasSuspiciousActivity'
+  ],
+  fetch: (address) => fetchRugCheckData(address)
+});
+
+registerProvider({
+  id: 'honeypot',
+  name: 'Honeypot.is',
+  chains: EVM_CHAIN_IDS,
+  priority: 30,
+  rateLimit: 30,
+  cacheTtl: CACHE_CONFIG.SIMULATION_TTL,
+  fields: ['isHoneypot', 'honeypotRisk', 'buyTax', 'sellTax', 'holderCount'],
+  // Simulated buy/sell taxes are more reliable than static analysis
+  fieldPriority: { buyTax: 15, sellTax: 15 },
+  fetch: (address, chainId) => fetchHoneypotData(address, chainId)
+});
+
+registerProvider({
+  id: 'onChain',
+  name: 'On-chain RPC',
+  chains: EVM_CHAIN_IDS,
+  priority: 40,
+  rateLimit: 60,
+  fields: [
+    'ownershipRenounced', 'ownerAddress', 'canMint', 'canPause', 'canBlacklist', 
+    'canModifyTax', 'isProxy', 'totalSupply', 'implementationAddress', 
+    'bytecodeSize', 'maliciousSelectors'
+  ],
+  fetch: (address, chainId) => fetchOnChainData(address, chainId)
+});
+
+registerProvider({
+  id: 'solanaRpc',
+  name: 'Solana RPC',
+  chains: [CHAIN_IDS.SOLANA],
+  priority: 40,
+  rateLimit: 40,
+  fields: [
+    'isHoneypot', 'honeypotRisk', 'ownershipRenounced', 'top10HoldersPercent', 
+    'topHolderPercent', 'buyTax', 'sellTax', 'canModifyTax', 'canMint', 
+    'canBlacklist', 'mintAuthority', 'freezeAuthority', 'totalSupply', 
+    'isToken2022', 'token2022Extensions', 'permanentDelegate', 'transferHookProgram'
+  ],
+  fetch: (address) => fetchSolanaRpcData(address)
+});
+
+registerProvider({
+  id: 'launchAnalysis',
+  name: 'Launch analysis',
+  chains: EVM_CHAIN_IDS,
+  priority: 40,
+  rateLimit: 20,
+  dependsOn: ['dexScreener'],
+  cacheTtl: CACHE_CONFIG.LAUNCH_TTL,
+  fields: ['sniperCount', 'bundledBuys', 'hasSuspiciousActivity', 'launchBlock'],
+  fetch: (address, chainId, sources) => fetchLaunchAnalysis(
+    address, 
+    chainId, 
+    sources.dexScreener?.pairs?.find(pair => pair.chainId === chainId)
+  )
+});
+
 /**
  * Fetch all available data for a token
+ * Cached responses still within their provider's cacheTtl are reused instead
+ * of being refetched. Responses that were fetched and can be cached are
+ * returned in `fetchedSources`, and the age of the oldest response used in
+ * `oldestSourceAt`. `unreachable` is set when no provider returned data
+ * because they were down or failed.
  * @param {string} address - Contract address
  * @param {string} chainId - Chain ID
+ * @param {object} options - Fetch options
+ * @param {Array<string>|null} options.providers - Only query these providers (default: all)
+ * @param {object} options.cachedSources - Cached responses: { [providerId]: { data, timestamp } }
  * @returns {Promise<object>}
  */
-export async function fetchAllTokenData(address, chainId) {
+export async function fetchAllTokenData(address, chainId, { providers: providerIds = null, cachedSources = {} } = {}) {
   const results = {
     address,
     chainId,
     timestamp: Date.now(),
-    sources: {}
+    sources: {},
+    sourceTimes: {},
+    fetchedSources: {},
+    unavailable: [],
+    failed: []
   };
   
   try {
-    // Fetch from all sources in parallel
-    const promises = [];
-    
-    // DexScreener (works for all chains)
-    promises.push(
-      fetchDexScreenerData(address)
-        .then(data => { results.sources.dexScreener = data; })
-        .catch(() => { results.sources.dexScreener = null; })
+    // Fetch from every provider for this chain in parallel,
+    // starting dependent providers once the ones they need have finished
+    const chainProviders = new Map(
+      getProviders(chainId)
+        .filter(p => !providerIds || providerIds.includes(p.id))
+        .map(p => [p.id, p])
     );
+    const runs = new Map();
     
-    if (chainId === CHAIN_IDS.SOLANA) {
-      // Solana-specific APIs
-      promises.push(
-        fetchRugCheckData(address)
-          .then(data => { results.sources.rugCheck = data; })
-          .catch(() => { results.sources.rugCheck = null; })
-      );
-    } else {
-      // EVM-specific APIs
-      promises.push(
-        fetchGoPlusData(address, chainId)
-          .then(data => { results.sources.goPlus = data; })
-          .catch(() => { results.sources.goPlus = null; }),
-        fetchHoneypotData(address, chainId)
-          .then(data => { results.sources.honeypot = data; })
-          .catch(() => { results.sources.honeypot = null; })
-      );
-    }
+    const run = (provider) => {
+      if (!runs.has(provider.id)) {
+        runs.set(provider.id, (async () => {
+          const dependencies = (provider.dependsOn || []).filter(id => chainProviders.has(id));
+          await Promise.all(dependencies.map(id => run(chainProviders.get(id))));
+          
+          const cached = cachedSources[provider.id];
+          if (provider.cacheTtl && cached && Date.now() - cached.timestamp < provider.cacheTtl) {
+            results.sources[provider.id] = cached.data;
+            results.sourceTimes[provider.id] = cached.timestamp;
+            return;
+          }
+          
+          if (!isProviderAvailable(provider)) {
+            results.sources[provider.id] = null;
+            results.unavailable.push(provider.id);
+            return;
+          }
+          
+          const startedAt = Date.now();
+          const data = await callProvider(provider, address, chainId, results.sources);
+          results.sources[provider.id] = data;
+          if (!data && provider.breaker.lastErrorAt >= startedAt) {
+            results.failed.push(provider.id);
+          }
+          results.sourceTimes[provider.id] = Date.now();
+          if (data && provider.cacheTtl) {
+            results.fetchedSources[provider.id] = data;
+          }
+        })());
+      }
+      return runs.get(provider.id);
+    };
+    
+    await Promise.all([...chainProviders.values()].map(run));
     
-    await Promise.all(promises);
+    // Responses kept longer than security data don't change, so they don't age the result
+    const agingTimes = Object.entries(results.sourceTimes)
+      .filter(([id]) => !(chainProviders.get(id)?.cacheTtl > CACHE_CONFIG.SECURITY_TTL))
+      .map(([, time]) => time);
+    results.oldestSourceAt = Math.min(results.timestamp, ...agingTimes);
+    // Nothing answered because providers failed, not because the token is unknown
+    results.unreachable = !Object.values(results.sources).some(Boolean) &&
+      results.unavailable.length + results.failed.length > 0;
     
     // Merge data from all sources
     results.merged = mergeTokenData(results.sources, chainId);
@@ -320,98 +1310,74 @@ export async function fetchAllTokenData(address, chainId) {
 }
 
 /**
- * Merge data from multiple sources with priority
- * @param {object} sources - Data from different sources
+ * Merge data from multiple sources by provider priority
+ * Each field is taken from the highest-priority provider that declares it
+ * and returned a value for it. The provider used for every field is recorded
+ * in `provenance`, and fields where providers disagree in `conflicts`.
+ * @param {object} sources - Data from different sources, keyed by provider id
  * @param {string} chainId - Chain ID
  * @returns {object}
  */
-function mergeTokenData(sources, chainId) {
+export function mergeTokenData(sources, chainId) {
   const merged = {};
+  const ranks = {};
+  const provenance = {};
+  const reported = {};
   
-  // DexScreener data (market data)
-  if (sources.dexScreener) {
-    Object.assign(merged, {
-      tokenName: sources.dexScreener.tokenName,
-      tokenSymbol: sources.dexScreener.tokenSymbol,
-      priceUsd: sources.dexScreener.priceUsd,
-      priceChange24h: sources.dexScreener.priceChange24h,
-      volume24h: sources.dexScreener.volume24h,
-      liquidity: sources.dexScreener.liquidity,
-      fdv: sources.dexScreener.fdv,
-      marketCap: sources.dexScreener.marketCap,
-      txCount24h: sources.dexScreener.txCount24h,
-      buys24h: sources.dexScreener.buys24h,
-      sells24h: sources.dexScreener.sells24h,
-      dexId: sources.dexScreener.dexId,
-      pairAddress: sources.dexScreener.pairAddress,
-      createdAt: sources.dexScreener.createdAt
-    });
-  }
-  
-  if (chainId === CHAIN_IDS.SOLANA) {
-    // RugCheck data (Solana security)
-    if (sources.rugCheck) {
-      Object.assign(merged, {
-        tokenName: merged.tokenName || sources.rugCheck.tokenName,
-        tokenSymbol: merged.tokenSymbol || sources.rugCheck.tokenSymbol,
-        isHoneypot: sources.rugCheck.isHoneypot,
-        honeypotRisk: sources.rugCheck.honeypotRisk,
-        ownershipRenounced: sources.rugCheck.ownershipRenounced,
-        liquidityLocked: sources.rugCheck.liquidityLocked,
-        lpBurned: sources.rugCheck.lpBurned,
-        top10HoldersPercent: sources.rugCheck.top10HoldersPercent,
-        topHolderPercent: sources.rugCheck.topHolderPercent,
-        holderCount: sources.rugCheck.holderCount || merged.holderCount,
-        rugCheckScore: sources.rugCheck.rugCheckScore,
-        risks: sources.rugCheck.risks
-      });
-    }
-  } else {
-    // GoPlus data (EVM security) - primary source
-    if (sources.goPlus) {
-      Object.assign(merged, {
-        tokenName: merged.tokenName || sources.goPlus.tokenName,
-        tokenSymbol: merged.tokenSymbol || sources.goPlus.tokenSymbol,
-        isHoneypot: sources.goPlus.isHoneypot,
-        buyTax: sources.goPlus.buyTax,
-        sellTax: sources.goPlus.sellTax,
-        ownershipRenounced: sources.goPlus.ownershipRenounced,
-        canMint: sources.goPlus.canMint,
-        canPause: sources.goPlus.canPause,
-        canBlacklist: sources.goPlus.canBlacklist,
-        isProxy: sources.goPlus.isProxy,
-        holderCount: sources.goPlus.holderCount || merged.holderCount,
-        top10HoldersPercent: sources.goPlus.top10HoldersPercent,
-        isVerified: sources.goPlus.isVerified,
-        canModifyTax: sources.goPlus.canModifyTax,
-        creatorAddress: sources.goPlus.creatorAddress,
-        ownerAddress: sources.goPlus.ownerAddress
-      });
-    }
+  for (const provider of getProviders(chainId)) {
+    const data = sources[provider.id];
+    if (!data) continue;
     
-    // Honeypot.is data (secondary/validation)
-    if (sources.honeypot) {
-      // Use honeypot.is as validation or fallback
-      if (merged.isHoneypot === undefined) {
-        merged.isHoneypot = sources.honeypot.isHoneypot;
-      }
-      if (merged.honeypotRisk === undefined) {
-        merged.honeypotRisk = sources.honeypot.honeypotRisk;
-      }
-      // Use honeypot.is tax data if GoPlus didn't provide it
-      if (merged.buyTax === undefined || merged.buyTax === 0) {
-        merged.buyTax = sources.honeypot.buyTax;
-      }
-      if (merged.sellTax === undefined || merged.sellTax === 0) {
-        merged.sellTax = sources.honeypot.sellTax;
+    for (const field of provider.fields) {
+      if (data[field] === undefined || data[field] === null) continue;
+      
+      if (field in CONFLICT_TOLERANCES) {
+        reported[field] = reported[field] || [];
+        reported[field].push({ source: provider.id, value: data[field] });
       }
-      if (merged.holderCount === undefined) {
-        merged.holderCount = sources.honeypot.holderCount;
+      
+      const rank = provider.fieldPriority?.[field] ?? provider.priority;
+      if (ranks[field] === undefined || rank < ranks[field]) {
+        merged[field] = data[field];
+        ranks[field] = rank;
+        provenance[field] = provider.id;
       }
     }
   }
   
+  merged.provenance = provenance;
+  merged.conflicts = findSourceConflicts(reported, provenance);
+  
   return merged;
 }
 
+/**
+ * Find fields where providers reported values that disagree
+ * @param {object} reported - Values reported per field: [{ source, value }]
+ * @param {object} provenance - Provider chosen for each field
+ * @returns {Array<{field: string, chosen: string, values: Array}>}
+ */
+function findSourceConflicts(reported, provenance) {
+  const conflicts = [];
+  
+  for (const [field, values] of Object.entries(reported)) {
+    if (values.length < 2) continue;
+    
+    const tolerance = CONFLICT_TOLERANCES[field];
+    const first = values[0].value;
+    const disagree = values.some(({ value }) => {
+      if (typeof value === 'number' && typeof first === 'number') {
+        return Math.abs(value - first) > tolerance;
+      }
+      return value !== first;
+    });
+    
+    if (disagree) {
+      conflicts.push({ field, chosen: provenance[field], values });
+    }
+  }
+  
+  return conflicts;
+}
+
 export default fetchAllTokenData;
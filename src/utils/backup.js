@@ -0,0 +1,403 @@
+/**
+ * Safe CA - Export and Import
+ * Versioned JSON backups of user data and CSV exports for spreadsheets
+ */
+
+import {
+  CHAIN_IDS,
+  DEFAULT_SETTINGS,
+  EXPORT_CONFIG,
+  HISTORY_CONFIG,
+  WATCHLIST_CONFIG
+} from './constants.js';
+import { isEVMAddress, isSolanaAddress, pickBaseline } from './helpers.js';
+import { normalizeMeta } from './storage.js';
+import { validateRule, validateScoringProfile, upgradeScoringProfile } from './scoring.js';
+
+const CHAINS = Object.values(CHAIN_IDS);
+
+/**
+ * Build an export of the user's data
+ * @param {object} data - { watchlist, settings, history }
+ * @returns {object} - Export document
+ */
+export function createExport({ watchlist = [], settings = {}, history = [] }) {
+  const { allowedWebsites = [], ...otherSettings } = settings;
+  
+  return {
+    format: EXPORT_CONFIG.FORMAT,
+    version: EXPORT_CONFIG.VERSION,
+    exportedAt: new Date().toISOString(),
+    watchlist,
+    settings: otherSettings,
+    allowedWebsites,
+    history
+  };
+}
+
+/**
+ * Check that a token reference has a valid chain and address
+ * @param {object} entry - Watchlist item or history entry
+ * @returns {boolean}
+ */
+function isValidTokenEntry(entry) {
+  if (!entry || typeof entry.address !== 'string' || !CHAINS.includes(entry.chain)) return false;
+  return entry.chain === CHAIN_IDS.SOLANA ? isSolanaAddress(entry.address) : isEVMAddress(entry.address);
+}
+
+/**
+ * Validate an export document before importing it
+ * @param {object} data - Parsed export document
+ * @returns {object} - { valid, errors }
+ */
+export function validateExport(data) {
+  const errors = [];
+  
+  if (!data || typeof data !== 'object') {
+    return { valid: false, errors: ['Export must be a JSON object'] };
+  }
+  if (data.format !== EXPORT_CONFIG.FORMAT) {
+    errors.push('Not a Safe CA export');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > EXPORT_CONFIG.VERSION) {
+    errors.push(`Unsupported export version: ${data.version}`);
+  }
+  
+  for (const key of ['watchlist', 'history', 'allowedWebsites']) {
+    if (data[key] !== undefined && !Array.isArray(data[key])) {
+      errors.push(`${key} must be a list`);
+    }
+  }
+  if (data.settings !== undefined && (typeof data.settings !== 'object' || Array.isArray(data.settings))) {
+    errors.push('settings must be an object');
+  }
+  if (errors.length > 0) return { valid: false, errors };
+  
+  (data.watchlist || []).forEach((item, i) => {
+    if (!isValidTokenEntry(item)) errors.push(`Watchlist item ${i + 1} has an invalid address or chain`);
+  });
+  (data.history || []).forEach((entry, i) => {
+    if (!isValidTokenEntry(entry)) errors.push(`History entry ${i + 1} has an invalid address or chain`);
+  });
+  (data.allowedWebsites || []).forEach((site, i) => {
+    if (typeof site !== 'string' || !/^[a-z0-9.-]+$/i.test(site)) errors.push(`Website ${i + 1} is not a domain`);
+  });
+  
+  const settings = data.settings || {};
+  if (settings.customProfile) {
+    // Exports made before a factor was added are upgraded on import
+    const { errors: profileErrors } = validateScoringProfile(upgradeScoringProfile(settings.customProfile));
+    errors.push(...profileErrors.map(e => `Custom profile: ${e}`));
+  }
+  (settings.customRules || []).forEach((rule, i) => {
+    const { errors: ruleErrors } = validateRule(rule);
+    errors.push(...ruleErrors.map(e => `Custom rule ${i + 1}: ${e}`));
+  });
+  
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Keep only known settings whose type matches the default
+ * @param {object} settings - Imported settings
+ * @returns {object}
+ */
+function sanitizeSettings(settings = {}) {
+  const sanitized = Object.fromEntries(
+    Object.entries(settings).filter(([key, value]) => {
+      if (!(key in DEFAULT_SETTINGS) || key === 'allowedWebsites') return false;
+      const expected = DEFAULT_SETTINGS[key];
+      // Nullable settings (customProfile) accept objects
+      return expected === null ? value === null || typeof value === 'object' : typeof value === typeof expected;
+    })
+  );
+  
+  if (sanitized.customProfile) {
+    sanitized.customProfile = upgradeScoringProfile(sanitized.customProfile);
+  }
+  return sanitized;
+}
+
+const tokenKey = (entry) => `${entry.chain}:${entry.address.toLowerCase()}`;
+
+// Watchlist item fields kept on import, by type; the rest is refetched on the next poll
+const IMPORTED_ITEM_FIELDS = {
+  string: ['tokenName', 'tokenSymbol', 'ownerAddress', 'implementationAddress'],
+  number: [
+    'score', 'confidence', 'liquidity', 'priceUsd', 'marketCap', 'holderCount',
+    'topHolderPercent', 'buyTax', 'sellTax', 'addedAt', 'reviewedAt', 'rebaselinedAt'
+  ],
+  boolean: ['isHoneypot', 'ownershipRenounced', 'canMint', 'isProxy', 'rebaselineScore']
+};
+
+// History entry fields kept on import, by type
+const IMPORTED_ENTRY_FIELDS = {
+  string: ['tokenName', 'tokenSymbol'],
+  number: ['score', 'confidence', 'firstSeen', 'seenCount']
+};
+
+const RISK_LEVELS = ['safe', 'warning', 'danger', 'unknown'];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Keep only known token fields of the expected type
+ * @param {object} data - Imported item, baseline or history entry
+ * @param {object} known - Field names by type
+ * @returns {object}
+ */
+function pickItemFields(data = {}, known = IMPORTED_ITEM_FIELDS) {
+  const picked = {};
+  for (const [type, fields] of Object.entries(known)) {
+    for (const field of fields) {
+      const value = data[field];
+      if (type === 'number' ? isNumber(value) : typeof value === type) picked[field] = value;
+    }
+  }
+  if (RISK_LEVELS.includes(data.riskLevel)) picked.riskLevel = data.riskLevel;
+  return picked;
+}
+
+/**
+ * Keep snapshots with a timestamp and numeric values under the known keys
+ * @param {any} snapshots - Imported snapshots
+ * @returns {Array}
+ */
+function normalizeSnapshots(snapshots) {
+  if (!Array.isArray(snapshots)) return [];
+  
+  return snapshots
+    .filter(snapshot => isNumber(snapshot?.t))
+    .map(snapshot => {
+      const kept = { t: snapshot.t };
+      for (const key of Object.keys(WATCHLIST_CONFIG.SNAPSHOT_FIELDS)) {
+        if (isNumber(snapshot[key])) kept[key] = snapshot[key];
+      }
+      return kept;
+    })
+    .sort((a, b) => a.t - b.t)
+    .slice(-WATCHLIST_CONFIG.MAX_SNAPSHOTS);
+}
+
+/**
+ * Keep per-token alert thresholds that override a known default
+ * @param {any} thresholds - Imported thresholds
+ * @returns {object|null}
+ */
+function normalizeThresholds(thresholds) {
+  if (!thresholds || typeof thresholds !== 'object') return null;
+  
+  const kept = Object.fromEntries(
+    Object.entries(thresholds)
+      .filter(([key, value]) => key in WATCHLIST_CONFIG.ALERT_THRESHOLDS && isNumber(value))
+  );
+  return Object.keys(kept).length > 0 ? kept : null;
+}
+
+/**
+ * Rebuild an imported watchlist item from fields of the expected type
+ * Exports can be hand-edited or come from someone else, so nothing is spread in as-is.
+ * @param {object} item - Validated watchlist item
+ * @returns {object}
+ */
+function normalizeItem(item) {
+  const fields = pickItemFields(item);
+  const baseline = item.baseline && typeof item.baseline === 'object' ? pickItemFields(item.baseline) : fields;
+  const thresholds = normalizeThresholds(item.alertThresholds);
+  
+  return {
+    ...fields,
+    ...normalizeMeta(item),
+    address: item.address,
+    chain: item.chain,
+    addedAt: fields.addedAt || Date.now(),
+    baseline: pickBaseline(baseline),
+    snapshots: normalizeSnapshots(item.snapshots),
+    ...(thresholds ? { alertThresholds: thresholds } : {})
+  };
+}
+
+/**
+ * Check that a URL can be opened as a web page
+ * @param {any} url - Imported URL
+ * @returns {boolean}
+ */
+function isWebUrl(url) {
+  if (typeof url !== 'string') return false;
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Rebuild an imported history entry from fields of the expected type
+ * Like watchlist items, nothing is spread in as-is.
+ * @param {object} entry - Validated history entry
+ * @returns {object}
+ */
+function normalizeEntry(entry) {
+  const source = entry.source && typeof entry.source === 'object' ? entry.source : {};
+  const timestamp = isNumber(entry.timestamp) ? entry.timestamp : Date.now();
+  
+  return {
+    ...pickItemFields(entry, IMPORTED_ENTRY_FIELDS),
+    address: entry.address,
+    chain: entry.chain,
+    source: {
+      type: typeof source.type === 'string' ? source.type : 'unknown',
+      url: isWebUrl(source.url) ? source.url : null,
+      author: typeof source.author === 'string' ? source.author : null
+    },
+    timestamp
+  };
+}
+
+/**
+ * Combine imported data with the current data
+ * Merging keeps current items and adds new ones; tags are combined and current
+ * notes, group and cost basis win. Replacing swaps each section wholesale.
+ * Imported items with the same chain and address are combined the same way.
+ * @param {object} current - { watchlist, settings, history }
+ * @param {object} data - Validated export document
+ * @param {string} mode - 'merge' or 'replace'
+ * @param {number} maxItems - Watchlist size limit
+ * @returns {object} - { watchlist, settings, history, skipped }
+ */
+export function applyImport(current, data, mode, maxItems) {
+  const importedSettings = sanitizeSettings(data.settings);
+  const importedWebsites = data.allowedWebsites || [];
+  const importedWatchlist = (data.watchlist || []).map(normalizeItem);
+  const importedHistory = (data.history || []).map(normalizeEntry);
+  
+  // Imported duplicates collapse into one item in both modes
+  const byKey = new Map(mode === 'replace' ? [] : current.watchlist.map(item => [tokenKey(item), item]));
+  for (const item of importedWatchlist) {
+    const existing = byKey.get(tokenKey(item));
+    byKey.set(tokenKey(item), existing ? {
+      ...existing,
+      tags: [...new Set([...(existing.tags || []), ...item.tags])].slice(0, WATCHLIST_CONFIG.MAX_TAGS),
+      notes: existing.notes || item.notes || '',
+      group: existing.group || item.group || null,
+      costBasis: existing.costBasis || item.costBasis || null
+    } : item);
+  }
+  const watchlist = [...byKey.values()];
+  
+  let history;
+  let settings;
+  
+  if (mode === 'replace') {
+    history = importedHistory;
+    settings = {
+      ...DEFAULT_SETTINGS,
+      ...importedSettings,
+      allowedWebsites: data.allowedWebsites ? importedWebsites : current.settings.allowedWebsites
+    };
+  } else {
+    const seen = new Set();
+    history = [...current.history, ...importedHistory]
+      .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+      .filter(entry => {
+        const key = `${tokenKey(entry)}:${entry.source?.type}:${entry.source?.url}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    
+    settings = {
+      ...current.settings,
+      ...importedSettings,
+      allowedWebsites: [...new Set([...(current.settings.allowedWebsites || []), ...importedWebsites])]
+    };
+  }
+  
+  return {
+    watchlist: watchlist.slice(0, maxItems),
+    settings,
+    history: history.slice(0, HISTORY_CONFIG.MAX_ENTRIES),
+    skipped: Math.max(0, watchlist.length - maxItems)
+  };
+}
+
+/**
+ * Format a value as a CSV cell
+ * Cells that a spreadsheet would run as a formula are prefixed with a quote;
+ * only plain numbers such as -5 are left alone.
+ * @param {any} value - Cell value
+ * @returns {string}
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = Array.isArray(value) ? value.join(' ') : String(value);
+  const isNumber = typeof value === 'number' || /^-?\d+(\.\d+)?$/.test(text);
+  if (/^[=+\-@\t\r]/.test(text) && !isNumber) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array} rows - Objects to export
+ * @param {Array} columns - [{ header, value: row => any }]
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map(column => toCsvCell(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => toCsvCell(column.value(row))).join(','));
+  }
+  return lines.join('\r\n');
+}
+
+const formatDate = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : '');
+
+const WATCHLIST_COLUMNS = [
+  { header: 'Symbol', value: item => item.tokenSymbol },
+  { header: 'Name', value: item => item.tokenName },
+  { header: 'Address', value: item => item.address },
+  { header: 'Chain', value: item => item.chain },
+  { header: 'Score', value: item => item.score },
+  { header: 'Risk', value: item => item.riskLevel },
+  { header: 'Liquidity (USD)', value: item => item.liquidity },
+  { header: 'Price (USD)', value: item => item.priceUsd },
+  { header: 'Group', value: item => item.group },
+  { header: 'Tags', value: item => item.tags },
+  { header: 'Notes', value: item => item.notes },
+  { header: 'Entry price (USD)', value: item => item.costBasis?.entryPrice },
+  { header: 'Amount', value: item => item.costBasis?.amount },
+  { header: 'Added', value: item => formatDate(item.addedAt) }
+];
+
+const HISTORY_COLUMNS = [
+  { header: 'Seen', value: entry => formatDate(entry.timestamp) },
+  { header: 'Symbol', value: entry => entry.tokenSymbol },
+  { header: 'Name', value: entry => entry.tokenName },
+  { header: 'Address', value: entry => entry.address },
+  { header: 'Chain', value: entry => entry.chain },
+  { header: 'Score', value: entry => entry.score },
+  { header: 'Risk', value: entry => entry.riskLevel },
+  { header: 'Source', value: entry => entry.source?.type },
+  { header: 'Author', value: entry => entry.source?.author },
+  { header: 'URL', value: entry => entry.source?.url }
+];
+
+/**
+ * Export the watchlist as CSV
+ * @param {Array} items - Watchlist items
+ * @returns {string}
+ */
+export function watchlistToCsv(items) {
+  return toCsv(items, WATCHLIST_COLUMNS);
+}
+
+/**
+ * Export scan history as CSV
+ * @param {Array} entries - History entries
+ * @returns {string}
+ */
+export function historyToCsv(entries) {
+  return toCsv(entries, HISTORY_COLUMNS);
+}
@@ -13,6 +13,30 @@ export const CHAIN_IDS = {
   SOLANA: 'solana'
 };
 
+// Sentinel chain value: resolve the real chain for the address at scan time
+export const AUTO_CHAIN = 'auto';
+
+// EVM chains probed when resolving a bare 0x address (most common first)
+export const EVM_CHAIN_IDS = [
+  CHAIN_IDS.ETHEREUM,
+  CHAIN_IDS.BASE,
+  CHAIN_IDS.BSC,
+  CHAIN_IDS.ARBITRUM,
+  CHAIN_IDS.POLYGON,
+  CHAIN_IDS.AVALANCHE
+];
+
+// DexScreener chain slugs mapped to our chain IDs
+export const DEXSCREENER_CHAIN_MAP = {
+  ethereum: CHAIN_IDS.ETHEREUM,
+  bsc: CHAIN_IDS.BSC,
+  polygon: CHAIN_IDS.POLYGON,
+  arbitrum: CHAIN_IDS.ARBITRUM,
+  base: CHAIN_IDS.BASE,
+  avalanche: CHAIN_IDS.AVALANCHE,
+  solana: CHAIN_IDS.SOLANA
+};
+
 // Chain names for display
 export const CHAIN_NAMES = {
   [CHAIN_IDS.ETHEREUM]: 'Ethereum',
@@ -35,6 +59,103 @@ export const RPC_ENDPOINTS = {
   [CHAIN_IDS.SOLANA]: 'https://api.mainnet-beta.solana.com'
 };
 
+// Read-only contract calls used for on-chain inspection
+export const CONTRACT_SELECTORS = {
+  OWNER: '0x8da5cb5b',        // owner()
+  GET_OWNER: '0x893d20e8',    // getOwner()
+  TOTAL_SUPPLY: '0x18160ddd', // totalSupply()
+  DECIMALS: '0x313ce567'      // decimals()
+};
+
+// Owner-only functions that are common in rug contracts, grouped by capability.
+// Matched against PUSH4 operands in the deployed bytecode.
+export const MALICIOUS_SELECTORS = {
+  canMint: [
+    '0x40c10f19'  // mint(address,uint256)
+  ],
+  canBlacklist: [
+    '0xf9f92be4', // blacklist(address)
+    '0x44337ea1', // addToBlacklist(address)
+    '0x153b0d1e', // setBlacklist(address,bool)
+    '0xa0e38492', // setIsBlacklisted(address,bool)
+    '0x9c0db5f3', // setBots(address[],bool)
+    '0x00b8cf2a'  // blockBots(address[])
+  ],
+  canPause: [
+    '0x8456cb59', // pause()
+    '0xc2e5ec04'  // setTradingEnabled(bool)
+  ],
+  canModifyTax: [
+    '0x52f7c988', // setFee(uint256,uint256)
+    '0xc647b20e', // setTaxes(uint256,uint256)
+    '0x8b4cee08', // setSellFee(uint256)
+    '0x6db79437'  // updateFees(uint256,uint256)
+  ]
+};
+
+// EIP-1967 proxy storage slots
+export const PROXY_SLOTS = {
+  IMPLEMENTATION: '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc',
+  ADMIN: '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103',
+  BEACON: '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50'
+};
+
+// Addresses treated as "no owner"
+export const NULL_ADDRESSES = [
+  '0x0000000000000000000000000000000000000000',
+  '0x000000000000000000000000000000000000dead'
+];
+
+// ERC-20 Transfer(address,address,uint256) event topic
+export const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+// Liquidity lock and launch (sniper) analysis
+export const LAUNCH_ANALYSIS = {
+  LP_SECURED_MIN_PERCENT: 90,  // Locked + burned LP share to count liquidity as locked
+  SCAN_BLOCKS: 100,            // Blocks after pair creation searched for the first buys
+  SNIPER_BLOCKS: 3,            // Buyers within this many blocks of the first buy are snipers
+  BUNDLE_MIN_BUYERS: 4,        // Distinct buyers in the first block that indicate a bundled launch
+  BLOCK_SEARCH_SAMPLES: 15     // Blocks sampled per batch when searching by timestamp
+};
+
+// Launch-phase detection from pair creation times
+export const LAUNCH_PHASE = {
+  EARLY_HOURS: 24,             // Tokens younger than this are still in their launch phase
+  LIQUIDITY_SETTLE_HOURS: 1    // A pool opened this recently means liquidity is still being added
+};
+
+// Multi-pair liquidity analysis
+export const PAIR_ANALYSIS = {
+  THIN_LIQUIDITY: 1000,        // Pairs below this USD liquidity can be priced almost at will
+  PRICE_DEVIATION: 2,          // Thin pairs priced this many times above the main pair are fake
+  MAX_PAIRS: 30                // Pairs kept per token, most liquid first
+};
+
+// Solana token programs
+export const SOLANA_PROGRAMS = {
+  TOKEN: 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+  TOKEN_2022: 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'
+};
+
+// Token-2022 mint extension type IDs
+export const TOKEN_2022_EXTENSIONS = {
+  TRANSFER_FEE_CONFIG: 1,
+  MINT_CLOSE_AUTHORITY: 3,
+  CONFIDENTIAL_TRANSFER_MINT: 4,
+  DEFAULT_ACCOUNT_STATE: 6,
+  NON_TRANSFERABLE: 9,
+  INTEREST_BEARING_CONFIG: 10,
+  PERMANENT_DELEGATE: 12,
+  TRANSFER_HOOK: 14,
+  METADATA_POINTER: 18,
+  TOKEN_METADATA: 19
+};
+
+// Token account owners excluded from holder concentration (AMM pool vaults)
+export const SOLANA_EXCLUDED_HOLDERS = [
+  '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1' // Raydium AMM v4 authority
+];
+
 // API endpoints
 export const API_ENDPOINTS = {
   GOPLUS: 'https://api.gopluslabs.io/api/v1/token_security',
@@ -50,42 +171,279 @@ export const SCORE_THRESHOLDS = {
   DANGER: 0      // 0-49 = Red
 };
 
+// Confidence (data coverage) thresholds
+export const CONFIDENCE_THRESHOLDS = {
+  LOW: 50,                   // Below this the score is shown as tentative
+  UNKNOWN: 25                // Below this the risk level is 'unknown'
+};
+
 // Score weights for calculation
 export const SCORE_WEIGHTS = {
-  LIQUIDITY_LOCK: 0.25,      // 25% - Liquidity locked/burned
-  OWNERSHIP_RENOUNCED: 0.15, // 15% - Contract ownership renounced
-  HONEYPOT_CHECK: 0.20,      // 20% - Not a honeypot
-  HOLDER_DISTRIBUTION: 0.15, // 15% - Top holders < 50%
-  TAX_RATE: 0.10,            // 10% - Buy/sell tax < 10%
-  CONTRACT_VERIFIED: 0.10,   // 10% - Contract verified
-  TRADING_ACTIVITY: 0.05     // 5% - Active trading
+  // Token age's 5% was taken evenly from the other factors (each scaled by 0.95)
+  LIQUIDITY_LOCK: 0.2375,      // 23.75% - Liquidity locked/burned
+  OWNERSHIP_RENOUNCED: 0.1425, // 14.25% - Contract ownership renounced
+  HONEYPOT_CHECK: 0.19,        // 19% - Not a honeypot
+  HOLDER_DISTRIBUTION: 0.1425, // 14.25% - Top holders < 50%
+  TAX_RATE: 0.095,             // 9.5% - Buy/sell tax < 10%
+  CONTRACT_VERIFIED: 0.095,    // 9.5% - Contract verified
+  TRADING_ACTIVITY: 0.0475,    // 4.75% - Active trading
+  TOKEN_AGE: 0.05              // 5% - Time since the first pair was created
+};
+
+// Fields checked for disagreement between data providers
+// Booleans must match exactly, numbers within the given tolerance
+export const CONFLICT_TOLERANCES = {
+  isHoneypot: 0,
+  ownershipRenounced: 0,
+  canMint: 0,
+  canPause: 0,
+  canBlacklist: 0,
+  canModifyTax: 0,
+  isProxy: 0,
+  buyTax: 2,                 // percentage points
+  sellTax: 2,
+  topHolderPercent: 5,
+  top10HoldersPercent: 10
 };
 
+// Factor cutoffs used by the scoring functions (balanced profile)
+const BALANCED_CUTOFFS = {
+  liquidityUsd: { high: 100000, medium: 50000, low: 10000, veryLow: 5000 },
+  lockDays: { long: 365, medium: 180, short: 90, minimal: 30 },
+  top10HoldersPercent: { excellent: 20, good: 30, fair: 40, moderate: 50, poor: 60, bad: 70 },
+  topHolderPercent: { critical: 50, high: 30, elevated: 20 },
+  holderCount: { many: 10000, some: 1000, few: 100, veryFew: 50 },
+  totalTaxPercent: { low: 5, moderate: 10, elevated: 15, high: 20, extreme: 30 },
+  volume24h: { high: 1000000, medium: 100000, low: 10000, minimal: 1000 },
+  txCount24h: { high: 1000, medium: 100, low: 10, minimal: 5 },
+  sniperCount: { max: 5 },
+  tokenAgeHours: { launch: 1, young: 24, established: 168, mature: 720 }
+};
+
+// Scoring profiles: weights per breakdown factor, risk thresholds and factor cutoffs
+// 'custom' is stored in settings and edited from the popup
+export const SCORING_PROFILES = {
+  balanced: {
+    id: 'balanced',
+    name: 'Balanced',
+    weights: {
+      liquidityLock: SCORE_WEIGHTS.LIQUIDITY_LOCK,
+      ownershipRenounced: SCORE_WEIGHTS.OWNERSHIP_RENOUNCED,
+      honeypotCheck: SCORE_WEIGHTS.HONEYPOT_CHECK,
+      holderDistribution: SCORE_WEIGHTS.HOLDER_DISTRIBUTION,
+      taxRate: SCORE_WEIGHTS.TAX_RATE,
+      contractVerified: SCORE_WEIGHTS.CONTRACT_VERIFIED,
+      tradingActivity: SCORE_WEIGHTS.TRADING_ACTIVITY,
+      tokenAge: SCORE_WEIGHTS.TOKEN_AGE
+    },
+    thresholds: { safe: SCORE_THRESHOLDS.SAFE, warning: SCORE_THRESHOLDS.WARNING },
+    cutoffs: BALANCED_CUTOFFS
+  },
+  degen: {
+    id: 'degen',
+    name: 'Degen',
+    weights: {
+      liquidityLock: 0.19,
+      ownershipRenounced: 0.0475,
+      honeypotCheck: 0.3325,
+      holderDistribution: 0.095,
+      taxRate: 0.19,
+      contractVerified: 0.0475,
+      tradingActivity: 0.0475,
+      tokenAge: 0.05
+    },
+    thresholds: { safe: 65, warning: 35 },
+    cutoffs: {
+      ...BALANCED_CUTOFFS,
+      liquidityUsd: { high: 50000, medium: 20000, low: 5000, veryLow: 2000 },
+      top10HoldersPercent: { excellent: 30, good: 40, fair: 50, moderate: 60, poor: 70, bad: 80 },
+      holderCount: { many: 5000, some: 500, few: 50, veryFew: 20 }
+    }
+  },
+  conservative: {
+    id: 'conservative',
+    name: 'Conservative',
+    weights: {
+      liquidityLock: 0.2375,
+      ownershipRenounced: 0.19,
+      honeypotCheck: 0.19,
+      holderDistribution: 0.1425,
+      taxRate: 0.0475,
+      contractVerified: 0.095,
+      tradingActivity: 0.0475,
+      tokenAge: 0.05
+    },
+    thresholds: { safe: 85, warning: 65 },
+    cutoffs: {
+      ...BALANCED_CUTOFFS,
+      liquidityUsd: { high: 500000, medium: 250000, low: 50000, veryLow: 20000 },
+      top10HoldersPercent: { excellent: 15, good: 20, fair: 30, moderate: 40, poor: 50, bad: 60 },
+      topHolderPercent: { critical: 30, high: 20, elevated: 10 },
+      totalTaxPercent: { low: 2, moderate: 5, elevated: 8, high: 12, extreme: 20 }
+    }
+  }
+};
+
+export const DEFAULT_SCORING_PROFILE = 'balanced';
+export const CUSTOM_SCORING_PROFILE = 'custom';
+
+// Hard-fail rules applied after the weighted score
+// A rule triggers when all its conditions match; it can cap the score (maxScore)
+// and/or force a minimum risk level. Users can add more in settings (customRules).
+export const RULE_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'exists'];
+
+export const HARD_FAIL_RULES = [
+  {
+    id: 'honeypot',
+    conditions: [{ field: 'isHoneypot', op: 'eq', value: true }],
+    maxScore: 10,
+    riskLevel: 'danger',
+    message: 'Honeypot - selling is blocked'
+  },
+  {
+    id: 'extreme-sell-tax',
+    conditions: [{ field: 'sellTax', op: 'gt', value: 50 }],
+    riskLevel: 'danger',
+    message: 'Sell tax above 50%'
+  },
+  {
+    id: 'owner-can-mint',
+    conditions: [
+      { field: 'canMint', op: 'eq', value: true },
+      { field: 'ownershipRenounced', op: 'eq', value: false }
+    ],
+    maxScore: 40,
+    message: 'Active owner can mint new supply'
+  },
+  {
+    id: 'permanent-delegate',
+    conditions: [{ field: 'permanentDelegate', op: 'exists' }],
+    maxScore: 30,
+    message: 'Permanent delegate can move any holder\'s tokens'
+  },
+  // Launch-phase fields (tokenAgeHours, liquidityAdding) are derived at scoring time
+  {
+    id: 'launch-hour',
+    conditions: [{ field: 'tokenAgeHours', op: 'lt', value: 1 }],
+    riskLevel: 'warning',
+    message: 'Launched less than an hour ago'
+  },
+  {
+    id: 'liquidity-adding',
+    conditions: [{ field: 'liquidityAdding', op: 'eq', value: true }],
+    riskLevel: 'warning',
+    message: 'Liquidity is still being added'
+  }
+];
+
 // Cache configuration
 export const CACHE_CONFIG = {
   TTL: 5 * 60 * 1000,        // 5 minutes in milliseconds
-  MAX_ENTRIES: 500,          // Maximum cached entries
+  MARKET_TTL: 2 * 60 * 1000, // Price, liquidity and volume go stale quickly
+  SECURITY_TTL: 6 * 60 * 60 * 1000, // Contract and holder checks rarely change
+  SIMULATION_TTL: 60 * 60 * 1000, // Simulated taxes can be changed by the owner at any time
+  LAUNCH_TTL: 7 * 24 * 60 * 60 * 1000, // Launch-block trades never change once mined
+  KEY_PREFIX: 'safeca_cache:', // Each token is stored under its own key
+  SOURCE_KEY_PREFIX: 'safeca_source:', // Provider responses, one key per provider and token
+  INDEX_KEY: 'safeca_cache_index', // LRU order of token entries
+  SOURCE_INDEX_KEY: 'safeca_source_index', // LRU order of provider responses
+  INDEX_SAVE_INTERVAL: 30 * 1000, // Reads save their recency at most this often
+  // The caches share chrome.storage.local's 5 MB quota with the watchlist, history and settings
+  MAX_BYTES: 1024 * 1024,    // Scored results kept before the least recently used are evicted
+  MAX_SOURCE_BYTES: 1.5 * 1024 * 1024, // Raw provider responses are larger than scored results
   CLEANUP_INTERVAL: 60 * 1000 // Cleanup every minute
 };
 
 // Rate limiting
 export const RATE_LIMIT = {
-  REQUESTS_PER_MINUTE: 30,
+  REQUESTS_PER_MINUTE: 30,   // Default per-provider budget
   RETRY_DELAY: 1000,         // 1 second
   MAX_RETRIES: 3,
-  BACKOFF_MULTIPLIER: 2
+  BACKOFF_MULTIPLIER: 2,
+  MAX_RETRY_WAIT: 10 * 1000, // Longer Retry-After periods pause the provider instead of blocking a scan
+  DEFAULT_RETRY_AFTER: 30 * 1000 // Pause after a 429 without a Retry-After header
+};
+
+// Stop calling a provider after repeated failures
+export const CIRCUIT_BREAKER = {
+  FAILURE_THRESHOLD: 5,      // Consecutive failed requests before opening
+  COOLDOWN: 60 * 1000,       // First cooldown before a trial request
+  MAX_COOLDOWN: 10 * 60 * 1000 // Cooldown doubles after each failed trial, up to this
+};
+
+// What each poll is compared against
+export const BASELINE_MODES = {
+  FIXED: 'fixed',      // Data captured when the token was added (or last reviewed)
+  ROLLING: 'rolling',  // Data from the previous poll
+  WINDOW: 'window'     // Best value seen within a recent time window
 };
 
 // Watchlist configuration
 export const WATCHLIST_CONFIG = {
   POLL_INTERVAL: 5 * 60 * 1000,  // 5 minutes
-  MAX_ITEMS: 50,
+  MAX_ITEMS: 50,                 // Default for the watchlistMaxItems setting
+  MAX_TAGS: 10,
+  MAX_TAG_LENGTH: 24,
+  MAX_NOTE_LENGTH: 500,
   ALERT_THRESHOLDS: {
     LIQUIDITY_DROP: 10,          // Alert if liquidity drops > 10%
-    LARGE_SELL: 5,               // Alert if single sell > 5% supply
-    HOLDER_CONCENTRATION: 20,    // Alert if top holder gains > 20%
-    SCORE_DROP: 15               // Alert if score drops > 15 points
-  }
+    LARGE_SELL: 5,               // Alert if top holder sells > 5% supply
+    HOLDER_CONCENTRATION: 20,    // Alert if top holder rises above 20%
+    SCORE_DROP: 15,              // Alert if score drops > 15 points
+    TAX_INCREASE: 5              // Alert if buy or sell tax rises > 5 points
+  },
+  // Fields kept on the watchlist baseline for change detection
+  BASELINE_FIELDS: [
+    'score', 'confidence', 'liquidity', 'holderCount', 'topHolderPercent',
+    'buyTax', 'sellTax', 'isHoneypot', 'ownershipRenounced', 'ownerAddress',
+    'canMint', 'isProxy', 'implementationAddress'
+  ],
+  // Per-poll snapshots, stored with short keys to keep the watchlist small
+  SNAPSHOT_FIELDS: {
+    s: 'score',
+    l: 'liquidity',
+    p: 'priceUsd',
+    h: 'holderCount',
+    bt: 'buyTax',
+    st: 'sellTax'
+  },
+  MAX_SNAPSHOTS: 500,                         // Older half is thinned out beyond this
+  SNAPSHOT_MAX_AGE: 90 * 24 * 60 * 60 * 1000, // 90 days
+  BASELINE_WINDOW_HOURS: 24,
+  ALERT_COOLDOWN_MINUTES: 360                 // Repeat alerts per token and change type at most every 6 hours
+};
+
+// Per-token watchlist poll scheduling
+export const POLL_SCHEDULE = {
+  TICK_MINUTES: 1,                        // How often the alarm checks for due tokens
+  FAST_INTERVAL: 2 * 60 * 1000,           // New or dangerous tokens
+  SLOW_INTERVAL: 15 * 60 * 1000,          // Safe tokens
+  MIN_INTERVAL: 60 * 1000,
+  MAX_INTERVAL: 60 * 60 * 1000,
+  NEW_TOKEN_AGE: 24 * 60 * 60 * 1000,     // Pairs younger than this are polled fast
+  STABLE_GROWTH: 1.5,                     // Interval growth per poll without changes
+  MAX_STABLE_MULTIPLIER: 4,
+  BUSY_THRESHOLD: 0.8,                    // Rate limiter usage that counts as saturated
+  BUSY_BACKOFF: 2
+};
+
+// Scans that failed while providers were unreachable, retried by alarm
+export const RETRY_QUEUE = {
+  DELAY_MINUTES: 1,           // Time between retry attempts
+  MAX_ENTRIES: 50,
+  MAX_AGE: 60 * 60 * 1000     // Scans older than this are dropped instead of retried
+};
+
+// Scan history configuration
+export const HISTORY_CONFIG = {
+  MAX_ENTRIES: 300
+};
+
+// Export/import file format
+export const EXPORT_CONFIG = {
+  FORMAT: 'safeca-export',
+  VERSION: 1,
+  MODES: ['merge', 'replace']
 };
 
 // Regex patterns for CA detection
@@ -116,10 +474,11 @@ export const UI_CONFIG = {
 
 // Storage keys
 export const STORAGE_KEYS = {
-  CACHE: 'safeca_cache',
   WATCHLIST: 'safeca_watchlist',
   SETTINGS: 'safeca_settings',
-  SCAN_HISTORY: 'safeca_history'
+  SCAN_HISTORY: 'safeca_history',
+  RETRY_QUEUE: 'safeca_retry_queue',
+  SCHEMA_VERSION: 'safeca_schema_version'
 };
 
 // Default allowed websites (domains where extension works)
@@ -136,6 +495,14 @@ export const DEFAULT_SETTINGS = {
   darkMode: true,
   notifications: true,
   watchlistPolling: true,
+  staleWhileRevalidate: true,
+  watchlistMaxItems: WATCHLIST_CONFIG.MAX_ITEMS,
   alertThresholds: WATCHLIST_CONFIG.ALERT_THRESHOLDS,
+  baselineMode: BASELINE_MODES.FIXED,
+  baselineWindowHours: WATCHLIST_CONFIG.BASELINE_WINDOW_HOURS,
+  alertCooldownMinutes: WATCHLIST_CONFIG.ALERT_COOLDOWN_MINUTES,
+  scoringProfile: DEFAULT_SCORING_PROFILE,
+  customProfile: null,
+  customRules: [],
   allowedWebsites: DEFAULT_ALLOWED_WEBSITES
 };
@@ -2,7 +2,7 @@
  * Safe CA - Helper Utilities
  */
 
-import { CA_PATTERNS, CHAIN_IDS, CACHE_CONFIG, RATE_LIMIT } from './constants.js';
+import { CA_PATTERNS, CHAIN_IDS, CACHE_CONFIG, RATE_LIMIT, WATCHLIST_CONFIG } from './constants.js';
 
 /**
  * Detect if a string is a valid EVM address
@@ -230,9 +230,14 @@ export async function retryWithBackoff(fn, maxRetries = RATE_LIMIT.MAX_RETRIES)
         throw error;
       }
       
+      // Don't wait out long Retry-After periods
+      if (error.retryAfter > RATE_LIMIT.MAX_RETRY_WAIT) {
+        throw error;
+      }
+      
       if (attempt < maxRetries) {
         const delay = RATE_LIMIT.RETRY_DELAY * Math.pow(RATE_LIMIT.BACKOFF_MULTIPLIER, attempt);
-        await sleep(delay);
+        await sleep(Math.max(delay, error.retryAfter || 0));
       }
     }
   }
@@ -240,6 +245,24 @@ export async function retryWithBackoff(fn, maxRetries = RATE_LIMIT.MAX_RETRIES)
   throw lastError;
 }
 
+/**
+ * Parse a Retry-After header
+ * @param {string|null} header - Delay in seconds or an HTTP date
+ * @param {number} now - Current time
+ * @returns {number|null} - Delay in ms, or null if missing or invalid
+ */
+export function parseRetryAfter(header, now = Date.now()) {
+  if (!header) return null;
+  
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
 /**
  * Format a number with appropriate suffixes (K, M, B)
  * @param {number} num - The number to format
@@ -321,6 +344,58 @@ export function deepClone(obj) {
   return JSON.parse(JSON.stringify(obj));
 }
 
+/**
+ * Merge stored values over defaults, one level deep
+ * Nested objects such as alert thresholds pick up default fields added later.
+ * @param {object} defaults - Default values
+ * @param {object} values - Stored values
+ * @returns {object}
+ */
+export function mergeDefaults(defaults, values) {
+  const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  const merged = { ...defaults, ...values };
+  
+  for (const [key, value] of Object.entries(defaults)) {
+    if (isPlainObject(value) && isPlainObject(values?.[key])) {
+      merged[key] = { ...value, ...values[key] };
+    }
+  }
+  return merged;
+}
+
+/**
+ * Pick the fields a watchlist baseline keeps from token data
+ * @param {object} data - Token data
+ * @returns {object}
+ */
+export function pickBaseline(data) {
+  return Object.fromEntries(
+    WATCHLIST_CONFIG.BASELINE_FIELDS.map(field => [field, data[field]])
+  );
+}
+
+/**
+ * Build a notification ID that carries the token it is about
+ * @param {object} ref - Token reference ({ address, chain, field })
+ * @returns {string}
+ */
+export function createNotificationId(ref) {
+  return `watchlist:${Date.now()}:${encodeURIComponent(JSON.stringify(ref))}`;
+}
+
+/**
+ * Read the token reference back from a notification ID
+ * @param {string} notificationId - Notification ID
+ * @returns {object|null} - { address, chain, field } or null for other notifications
+ */
+export function parseNotificationId(notificationId) {
+  const match = /^watchlist:\d+:(.+)$/.exec(notificationId || '');
+  if (!match) return null;
+  
+  const ref = safeJsonParse(decodeURIComponent(match[1]));
+  return ref && ref.address && ref.chain ? ref : null;
+}
+
 /**
  * Safely parse JSON
  * @param {string} str - The string to parse
@@ -0,0 +1,137 @@
+/**
+ * Safe CA - Storage Migrations
+ * Ordered, versioned upgrades of stored data, run when the extension updates
+ */
+
+import { STORAGE_KEYS, DEFAULT_SETTINGS } from './constants.js';
+import { mergeDefaults, pickBaseline } from './helpers.js';
+import { upgradeScoringProfile } from './scoring.js';
+
+/**
+ * Migrations in the order they run
+ * Each one receives the full storage snapshot (keyed by storage key) and
+ * returns the upgraded snapshot; keys it drops are removed from storage.
+ * Never edit a released migration; add a new one.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Fill in new default fields in nested settings',
+    migrate(data) {
+      return {
+        ...data,
+        [STORAGE_KEYS.SETTINGS]: mergeDefaults(DEFAULT_SETTINGS, data[STORAGE_KEYS.SETTINGS])
+      };
+    }
+  },
+  {
+    version: 2,
+    description: 'Give watchlist items a baseline, snapshots and metadata',
+    migrate(data) {
+      const items = data[STORAGE_KEYS.WATCHLIST] || [];
+      return {
+        ...data,
+        [STORAGE_KEYS.WATCHLIST]: items.map(item => ({
+          tags: [],
+          notes: '',
+          group: null,
+          costBasis: null,
+          snapshots: [],
+          lastChanges: [],
+          alertLog: {},
+          ...item,
+          addedAt: item.addedAt || Date.now(),
+          // Older baselines only kept a few fields
+          baseline: { ...pickBaseline(item), ...item.baseline }
+        }))
+      };
+    }
+  },
+  {
+    version: 3,
+    description: 'Record an unknown source on old scan history entries',
+    migrate(data) {
+      const entries = data[STORAGE_KEYS.SCAN_HISTORY] || [];
+      return {
+        ...data,
+        [STORAGE_KEYS.SCAN_HISTORY]: entries.map(entry => ({
+          ...entry,
+          source: { type: 'unknown', url: null, author: null, ...entry.source }
+        }))
+      };
+    }
+  },
+  {
+    version: 4,
+    description: 'Drop the single-blob token cache now that tokens are cached per key',
+    migrate(data) {
+      const upgraded = { ...data };
+      delete upgraded.safeca_cache;
+      return upgraded;
+    }
+  },
+  {
+    version: 5,
+    description: 'Add the token age factor to a saved custom scoring profile',
+    migrate(data) {
+      const settings = data[STORAGE_KEYS.SETTINGS];
+      if (!settings?.customProfile) return data;
+      return {
+        ...data,
+        [STORAGE_KEYS.SETTINGS]: { ...settings, customProfile: upgradeScoringProfile(settings.customProfile) }
+      };
+    }
+  },
+  {
+    version: 6,
+    description: 'Rebaseline watchlist scores saved before the factor weights were rebalanced',
+    migrate(data) {
+      const items = data[STORAGE_KEYS.WATCHLIST];
+      if (!items?.length) return data;
+      return {
+        ...data,
+        // The next poll takes its score as the fixed baseline; rolling and window
+        // baselines leave out scores from before rebaselinedAt
+        [STORAGE_KEYS.WATCHLIST]: items.map(item => ({
+          ...item,
+          rebaselineScore: true,
+          rebaselinedAt: Date.now()
+        }))
+      };
+    }
+  }
+];
+
+// Keys earlier versions stored that are no longer in STORAGE_KEYS
+const RETIRED_KEYS = ['safeca_cache'];
+
+// Every key a migration may read, change or remove
+export const MIGRATED_KEYS = [...Object.values(STORAGE_KEYS), ...RETIRED_KEYS];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Run every migration newer than the snapshot's schema version
+ * Data stored before versioning existed counts as version 0.
+ * @param {object} data - Storage snapshot keyed by storage key
+ * @param {Array} migrations - Migrations to run, in order
+ * @returns {object} - { data, version, applied }
+ */
+export function runMigrations(data, migrations = MIGRATIONS) {
+  const fromVersion = data[STORAGE_KEYS.SCHEMA_VERSION] || 0;
+  const applied = [];
+  let result = data;
+  
+  for (const migration of migrations) {
+    if (migration.version <= fromVersion) continue;
+    result = migration.migrate(result);
+    applied.push(migration.version);
+  }
+  
+  const version = Math.max(fromVersion, ...applied);
+  return {
+    data: { ...result, [STORAGE_KEYS.SCHEMA_VERSION]: version },
+    version,
+    applied
+  };
+}
@@ -0,0 +1,257 @@
+/**
+ * Safe CA - JSON-RPC Client
+ * Talks directly to the public nodes in RPC_ENDPOINTS
+ */
+
+import { RPC_ENDPOINTS, LAUNCH_ANALYSIS } from './constants.js';
+
+let nextRequestId = 1;
+
+/**
+ * Make a single JSON-RPC call
+ * @param {string} chainId - Chain ID
+ * @param {string} method - RPC method name
+ * @param {Array} params - RPC params
+ * @returns {Promise<any>} - The `result` field of the response
+ */
+export async function rpcCall(chainId, method, params = []) {
+  const endpoint = RPC_ENDPOINTS[chainId];
+  if (!endpoint) {
+    throw new Error(`No RPC endpoint for chain ${chainId}`);
+  }
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 10000); // 10s timeout
+
+  try {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: nextRequestId++,
+        method,
+        params
+      }),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+
+    if (data.error) {
+      const error = new Error(data.error.message || 'RPC error');
+      error.code = data.error.code;
+      error.rpcError = true; // The node is up, it rejected the call
+      throw error;
+    }
+
+    return data.result;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Make several JSON-RPC calls in a single batch request
+ * Endpoints that reject batches are retried one call at a time.
+ * @param {string} chainId - Chain ID
+ * @param {Array<{method: string, params: Array}>} calls - Calls to make
+ * @returns {Promise<Array<{result: any, error: object|null}>>} - Responses in call order
+ */
+export async function rpcBatch(chainId, calls) {
+  const endpoint = RPC_ENDPOINTS[chainId];
+  if (!endpoint) {
+    throw new Error(`No RPC endpoint for chain ${chainId}`);
+  }
+  
+  if (calls.length === 0) return [];
+  
+  const requests = calls.map(call => ({
+    jsonrpc: '2.0',
+    id: nextRequestId++,
+    method: call.method,
+    params: call.params || []
+  }));
+  
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 15000); // 15s timeout
+  
+  let data;
+  try {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(requests),
+      signal: controller.signal
+    });
+    
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    
+    data = await response.json();
+  } finally {
+    clearTimeout(timeout);
+  }
+  
+  // Batch not supported - fall back to individual calls
+  if (!Array.isArray(data)) {
+    return await Promise.all(calls.map(async (call) => {
+      try {
+        return { result: await rpcCall(chainId, call.method, call.params), error: null };
+      } catch (error) {
+        return { result: null, error: { message: error.message, code: error.code } };
+      }
+    }));
+  }
+  
+  // Responses may arrive in any order - match them up by id
+  const byId = new Map(data.map(item => [item.id, item]));
+  return requests.map(request => {
+    const item = byId.get(request.id);
+    if (!item) return { result: null, error: { message: 'Missing response' } };
+    return { result: item.result ?? null, error: item.error || null };
+  });
+}
+
+/**
+ * Get the deployed bytecode at an address (EVM)
+ * @param {string} chainId - Chain ID
+ * @param {string} address - Contract address
+ * @returns {Promise<string>} - Hex bytecode ('0x' if none)
+ */
+export async function getCode(chainId, address) {
+  return await rpcCall(chainId, 'eth_getCode', [address, 'latest']);
+}
+
+/**
+ * Check whether an eth_getCode result contains a contract
+ * @param {string} code - Hex bytecode
+ * @returns {boolean}
+ */
+export function hasBytecode(code) {
+  return typeof code === 'string' && /^0x[0-9a-fA-F]+$/.test(code) && code.length > 2;
+}
+
+/**
+ * List the function selectors an EVM contract dispatches on
+ * Walks the opcodes so only PUSH4 immediates count, plus PUSH3 for selectors
+ * with a leading zero byte, which the compiler pushes in three bytes. Bytes
+ * inside other push data are skipped.
+ * @param {string} bytecode - Hex bytecode
+ * @returns {Set<string>} - Lowercase '0x'-prefixed selectors
+ */
+export function findPushedSelectors(bytecode) {
+  const selectors = new Set();
+  const code = typeof bytecode === 'string' ? bytecode.replace(/^0x/, '').toLowerCase() : '';
+  
+  for (let i = 0; i + 2 <= code.length;) {
+    const opcode = parseInt(code.slice(i, i + 2), 16);
+    i += 2;
+    
+    // PUSH1 (0x60) to PUSH32 (0x7f)
+    if (opcode >= 0x60 && opcode <= 0x7f) {
+      const size = opcode - 0x5f;
+      if (size === 3 || size === 4) {
+        const immediate = code.slice(i, i + size * 2);
+        if (immediate.length === size * 2) {
+          selectors.add('0x' + immediate.padStart(8, '0'));
+        }
+      }
+      i += size * 2;
+    }
+  }
+  
+  return selectors;
+}
+
+/**
+ * Find the last block mined at or before a timestamp (EVM)
+ * Samples the remaining range in batches, narrowing it each round.
+ * @param {string} chainId - Chain ID
+ * @param {number} timestamp - Unix time in milliseconds
+ * @returns {Promise<number>} - Block number
+ */
+export async function findBlockByTimestamp(chainId, timestamp) {
+  const target = Math.floor(timestamp / 1000);
+  const latest = await rpcCall(chainId, 'eth_getBlockByNumber', ['latest', false]);
+  
+  let lo = 0;
+  let hi = parseInt(latest.number, 16);
+  if (target >= parseInt(latest.timestamp, 16)) return hi;
+  
+  while (hi - lo > 1) {
+    const step = Math.ceil((hi - lo) / (LAUNCH_ANALYSIS.BLOCK_SEARCH_SAMPLES + 1));
+    const numbers = [];
+    for (let n = lo + step; n < hi; n += step) {
+      numbers.push(n);
+    }
+    
+    const blocks = await rpcBatch(chainId, numbers.map(n => ({
+      method: 'eth_getBlockByNumber',
+      params: ['0x' + n.toString(16), false]
+    })));
+    
+    let nextLo = lo;
+    let nextHi = hi;
+    for (let i = 0; i < numbers.length; i++) {
+      const blockTime = parseInt(blocks[i].result?.timestamp, 16);
+      if (Number.isNaN(blockTime)) {
+        throw new Error(`Block ${numbers[i]} unavailable`);
+      }
+      if (blockTime <= target) {
+        nextLo = numbers[i];
+      } else {
+        nextHi = numbers[i];
+        break;
+      }
+    }
+    
+    lo = nextLo;
+    hi = nextHi;
+  }
+  
+  return lo;
+}
+
+/**
+ * Decode an address from a 32-byte ABI word or storage slot
+ * @param {string} word - Hex word
+ * @returns {string|null} - Lowercase address or null if empty
+ */
+export function decodeAddress(word) {
+  if (typeof word !== 'string' || word.length < 42) return null;
+  return '0x' + word.slice(-40).toLowerCase();
+}
+
+/**
+ * Decode a uint256 from a 32-byte ABI word
+ * @param {string} word - Hex word
+ * @returns {bigint|null}
+ */
+export function decodeUint(word) {
+  if (typeof word !== 'string' || !/^0x[0-9a-fA-F]+$/.test(word)) return null;
+  return BigInt(word);
+}
+
+/**
+ * Convert a raw integer token amount into a decimal string
+ * @param {bigint} raw - Raw amount
+ * @param {number} decimals - Token decimals
+ * @returns {string}
+ */
+export function formatUnits(raw, decimals = 0) {
+  const value = raw.toString().padStart(decimals + 1, '0');
+  if (decimals === 0) return value;
+  const whole = value.slice(0, -decimals);
+  const fraction = value.slice(-decimals).replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : whole;
+}
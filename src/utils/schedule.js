@@ -0,0 +1,65 @@
+/**
+ * Safe CA - Watchlist Poll Scheduling
+ * Works out when each watchlist token is scanned next
+ */
+
+import { POLL_SCHEDULE, WATCHLIST_CONFIG } from './constants.js';
+
+/**
+ * Check whether a watchlist item is due for a poll
+ * @param {object} item - Watchlist item
+ * @param {number} now - Current time
+ * @returns {boolean}
+ */
+export function isPollDue(item, now = Date.now()) {
+  return !item.nextPollAt || item.nextPollAt <= now;
+}
+
+/**
+ * Base poll interval from how risky and how new a token is
+ * @param {object} data - Latest token data
+ * @param {number} now - Current time
+ * @returns {number} - Interval in ms
+ */
+export function getBaseInterval(data, now = Date.now()) {
+  const isNew = data.createdAt && now - data.createdAt < POLL_SCHEDULE.NEW_TOKEN_AGE;
+  
+  if (isNew || data.riskLevel === 'danger') return POLL_SCHEDULE.FAST_INTERVAL;
+  if (data.riskLevel === 'safe') return POLL_SCHEDULE.SLOW_INTERVAL;
+  return WATCHLIST_CONFIG.POLL_INTERVAL;
+}
+
+/**
+ * Work out the next poll for a watchlist item
+ * Tokens without changes are polled gradually less often, and every interval
+ * is stretched while the API rate limiters are saturated. Failed scans don't
+ * count as stable polls.
+ * @param {object} item - Watchlist item (holds the previous schedule)
+ * @param {object|null} data - Latest scan data, or null if the scan failed
+ * @param {object} options - { changed, pressure, now }
+ * @returns {object} - { pollInterval, nextPollAt, stablePolls } to persist on the item
+ */
+export function scheduleNextPoll(item, data, { changed = false, pressure = 0, now = Date.now() } = {}) {
+  // A failed scan says nothing about whether the token changed
+  const previousPolls = item.stablePolls || 0;
+  const stablePolls = changed ? 0 : data ? previousPolls + 1 : previousPolls;
+  const growth = Math.min(
+    Math.pow(POLL_SCHEDULE.STABLE_GROWTH, stablePolls),
+    POLL_SCHEDULE.MAX_STABLE_MULTIPLIER
+  );
+  
+  let interval = getBaseInterval(data || item, now) * growth;
+  if (pressure >= POLL_SCHEDULE.BUSY_THRESHOLD) {
+    interval *= POLL_SCHEDULE.BUSY_BACKOFF;
+  }
+  
+  const pollInterval = Math.round(
+    Math.min(Math.max(interval, POLL_SCHEDULE.MIN_INTERVAL), POLL_SCHEDULE.MAX_INTERVAL)
+  );
+  
+  return {
+    pollInterval,
+    nextPollAt: now + pollInterval,
+    stablePolls
+  };
+}
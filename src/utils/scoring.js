@@ -3,51 +3,326 @@
  * Calculates a 0-100 safety score based on multiple factors
  */
 
-import { SCORE_WEIGHTS, SCORE_THRESHOLDS } from './constants.js';
+import { 
+  SCORING_PROFILES, 
+  DEFAULT_SCORING_PROFILE, 
+  CUSTOM_SCORING_PROFILE, 
+  CONFIDENCE_THRESHOLDS,
+  HARD_FAIL_RULES,
+  RULE_OPERATORS,
+  WATCHLIST_CONFIG,
+  BASELINE_MODES,
+  LAUNCH_PHASE
+} from './constants.js';
+import { pickBaseline } from './helpers.js';
+
+const DEFAULT_PROFILE = SCORING_PROFILES[DEFAULT_SCORING_PROFILE];
+
+// Data fields each breakdown factor is computed from
+const FACTOR_INPUTS = {
+  liquidityLock: ['liquidityLocked', 'lpBurned', 'liquidity'],
+  ownershipRenounced: ['ownershipRenounced', 'canMint', 'canPause', 'canBlacklist'],
+  honeypotCheck: ['isHoneypot'],
+  holderDistribution: ['topHolderPercent', 'top10HoldersPercent', 'holderCount'],
+  taxRate: ['buyTax', 'sellTax'],
+  contractVerified: ['isVerified'],
+  tradingActivity: ['volume24h', 'txCount24h'],
+  tokenAge: ['createdAt']
+};
+
+// Risk levels from best to worst
+const RISK_ORDER = ['safe', 'warning', 'danger'];
 
 /**
  * Calculate the overall safety score for a token
  * @param {object} data - Token analysis data
+ * @param {object} profile - Scoring profile (weights, thresholds, cutoffs)
+ * @param {Array<object>} rules - Hard-fail rules to apply on top of the weighted score
  * @returns {object} - Score and breakdown
  */
-export function calculateSafetyScore(data) {
+export function calculateSafetyScore(data, profile = DEFAULT_PROFILE, rules = HARD_FAIL_RULES) {
+  const { weights, thresholds, cutoffs } = profile;
+  // Rules and flags see the launch phase as of now, so cached data ages correctly
+  const current = data ? { ...data, ...getLaunchPhase(data) } : data;
+  
   const breakdown = {
-    liquidityLock: calculateLiquidityScore(data),
+    liquidityLock: calculateLiquidityScore(data, cutoffs),
     ownershipRenounced: calculateOwnershipScore(data),
     honeypotCheck: calculateHoneypotScore(data),
-    holderDistribution: calculateHolderScore(data),
-    taxRate: calculateTaxScore(data),
+    holderDistribution: calculateHolderScore(data, cutoffs),
+    taxRate: calculateTaxScore(data, cutoffs),
     contractVerified: calculateVerificationScore(data),
-    tradingActivity: calculateActivityScore(data)
+    tradingActivity: calculateActivityScore(data, cutoffs),
+    tokenAge: calculateTokenAgeScore(current, cutoffs)
   };
 
   // Calculate weighted total
   const totalScore = Math.round(
-    breakdown.liquidityLock * SCORE_WEIGHTS.LIQUIDITY_LOCK +
-    breakdown.ownershipRenounced * SCORE_WEIGHTS.OWNERSHIP_RENOUNCED +
-    breakdown.honeypotCheck * SCORE_WEIGHTS.HONEYPOT_CHECK +
-    breakdown.holderDistribution * SCORE_WEIGHTS.HOLDER_DISTRIBUTION +
-    breakdown.taxRate * SCORE_WEIGHTS.TAX_RATE +
-    breakdown.contractVerified * SCORE_WEIGHTS.CONTRACT_VERIFIED +
-    breakdown.tradingActivity * SCORE_WEIGHTS.TRADING_ACTIVITY
+    Object.keys(FACTOR_INPUTS).reduce((total, factor) => total + breakdown[factor] * weights[factor], 0)
   );
 
   // Clamp between 0-100
-  const finalScore = Math.max(0, Math.min(100, totalScore));
+  let finalScore = Math.max(0, Math.min(100, totalScore));
+  const confidence = calculateConfidence(data, weights);
+  
+  // Too little data to tell - don't let neutral defaults pass as a verdict
+  let riskLevel = confidence < CONFIDENCE_THRESHOLDS.UNKNOWN ? 'unknown' : getRiskLevel(finalScore, thresholds);
+  
+  // Hard-fail rules cap the score and can force a worse risk level
+  const triggeredRules = evaluateRules(current, rules);
+  for (const rule of triggeredRules) {
+    if (rule.maxScore !== undefined) {
+      finalScore = Math.min(finalScore, rule.maxScore);
+    }
+  }
+  if (triggeredRules.length > 0) {
+    const levels = [getRiskLevel(finalScore, thresholds), ...triggeredRules.map(rule => rule.riskLevel)];
+    riskLevel = levels.reduce((worst, level) => 
+      RISK_ORDER.indexOf(level) > RISK_ORDER.indexOf(worst) ? level : worst
+    );
+  }
 
   return {
     score: finalScore,
+    confidence: confidence,
     breakdown: breakdown,
-    riskLevel: getRiskLevel(finalScore),
-    flags: generateFlags(data, breakdown)
+    riskLevel: riskLevel,
+    flags: [...triggeredRules.map(createRuleFlag), ...generateFlags(current, breakdown)],
+    triggeredRules: triggeredRules.map(rule => rule.id),
+    scoringProfile: profile.id
   };
 }
 
+/**
+ * Find the hard-fail rules whose conditions all match the data
+ * @param {object} data - Token analysis data
+ * @param {Array<object>} rules - Rules to evaluate
+ * @returns {Array<object>} - Triggered rules
+ */
+export function evaluateRules(data, rules = HARD_FAIL_RULES) {
+  if (!data) return [];
+  return rules.filter(rule => rule.conditions.every(condition => matchesCondition(data, condition)));
+}
+
+/**
+ * Check a single rule condition against the data
+ * Unknown fields never match, so missing data can't trigger a hard fail.
+ * @param {object} data - Token analysis data
+ * @param {object} condition - { field, op, value }
+ * @returns {boolean}
+ */
+function matchesCondition(data, { field, op, value }) {
+  const actual = data[field];
+  if (actual === undefined || actual === null) return false;
+  
+  switch (op) {
+    case 'eq': return actual === value;
+    case 'neq': return actual !== value;
+    case 'gt': return actual > value;
+    case 'gte': return actual >= value;
+    case 'lt': return actual < value;
+    case 'lte': return actual <= value;
+    case 'exists': return actual !== false && actual !== '';
+    default: return false;
+  }
+}
+
+/**
+ * Build the flag shown for a triggered rule
+ * @param {object} rule - Triggered rule
+ * @returns {object}
+ */
+function createRuleFlag(rule) {
+  const effects = [];
+  if (rule.maxScore !== undefined) effects.push(`score capped at ${rule.maxScore}`);
+  if (rule.riskLevel) effects.push(`rated ${rule.riskLevel}`);
+  
+  return {
+    type: 'critical',
+    message: `${rule.message} (${effects.join(', ')})`,
+    rule: rule.id
+  };
+}
+
+/**
+ * Validate a user-defined hard-fail rule
+ * @param {object} rule - Rule to validate
+ * @returns {{valid: boolean, errors: Array<string>}}
+ */
+export function validateRule(rule) {
+  const errors = [];
+  
+  if (!rule || typeof rule !== 'object') {
+    return { valid: false, errors: ['Rule must be an object'] };
+  }
+  
+  const label = rule.id ? `Rule "${rule.id}"` : 'Rule';
+  
+  if (typeof rule.id !== 'string' || !rule.id) {
+    errors.push('Rule needs an id');
+  }
+  if (typeof rule.message !== 'string' || !rule.message) {
+    errors.push(`${label} needs a message explaining it`);
+  }
+  if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+    errors.push(`${label} needs at least one condition`);
+  } else {
+    for (const condition of rule.conditions) {
+      if (typeof condition?.field !== 'string' || !RULE_OPERATORS.includes(condition.op)) {
+        errors.push(`${label} has a condition without a field or with an unknown operator`);
+      } else if (condition.op !== 'exists' && !['number', 'boolean', 'string'].includes(typeof condition.value)) {
+        errors.push(`${label} has a condition on ${condition.field} without a value`);
+      }
+    }
+  }
+  if (rule.maxScore === undefined && rule.riskLevel === undefined) {
+    errors.push(`${label} must set maxScore or riskLevel`);
+  }
+  if (rule.maxScore !== undefined && (!Number.isFinite(rule.maxScore) || rule.maxScore < 0 || rule.maxScore > 100)) {
+    errors.push(`${label} maxScore must be between 0 and 100`);
+  }
+  if (rule.riskLevel !== undefined && !['warning', 'danger'].includes(rule.riskLevel)) {
+    errors.push(`${label} riskLevel must be "warning" or "danger"`);
+  }
+  
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Re-score previously fetched token data with another profile
+ * Score fields are replaced; the fetched data itself is reused as-is.
+ * @param {object} data - Cached token data (merged fields plus an old score)
+ * @param {object} profile - Scoring profile
+ * @param {Array<object>} rules - Hard-fail rules
+ * @returns {object}
+ */
+export function rescoreTokenData(data, profile = DEFAULT_PROFILE, rules = HARD_FAIL_RULES) {
+  if (!data) return data;
+  return { ...data, ...calculateSafetyScore(data, profile, rules) };
+}
+
+/**
+ * Calculate how much of the scoring input was actually available (0-100)
+ * Each factor contributes its weight times the share of its inputs present.
+ * @param {object} data - Token analysis data
+ * @param {object} weights - Factor weights
+ * @returns {number}
+ */
+export function calculateConfidence(data, weights = DEFAULT_PROFILE.weights) {
+  if (!data) return 0;
+  
+  let coverage = 0;
+  for (const [factor, fields] of Object.entries(FACTOR_INPUTS)) {
+    const present = fields.filter(field => data[field] !== undefined && data[field] !== null).length;
+    coverage += weights[factor] * (present / fields.length);
+  }
+  
+  return Math.round(coverage * 100);
+}
+
+/**
+ * Get a scoring profile by id
+ * Falls back to the default profile for unknown ids or an invalid custom profile.
+ * @param {string} profileId - Profile id
+ * @param {object} customProfile - The user's custom profile, if any
+ * @returns {object}
+ */
+export function getScoringProfile(profileId, customProfile = null) {
+  if (profileId === CUSTOM_SCORING_PROFILE) {
+    if (customProfile && validateScoringProfile(customProfile).valid) {
+      return { ...customProfile, id: CUSTOM_SCORING_PROFILE };
+    }
+    return DEFAULT_PROFILE;
+  }
+  return SCORING_PROFILES[profileId] || DEFAULT_PROFILE;
+}
+
+/**
+ * Bring a profile saved by an older version up to date
+ * Factors added since get a weight of 0, so the saved weights still sum to 1,
+ * and new cutoff groups get the default values.
+ * @param {object} profile - Saved profile
+ * @returns {object}
+ */
+export function upgradeScoringProfile(profile) {
+  if (!profile || typeof profile !== 'object') return profile;
+  
+  const weights = { ...profile.weights };
+  for (const factor of Object.keys(FACTOR_INPUTS)) {
+    if (weights[factor] === undefined) weights[factor] = 0;
+  }
+  
+  return {
+    ...profile,
+    weights,
+    cutoffs: { ...DEFAULT_PROFILE.cutoffs, ...profile.cutoffs }
+  };
+}
+
+/**
+ * Validate a scoring profile
+ * Weights must be 0-1 and sum to 1, thresholds must satisfy 0 < warning < safe <= 100,
+ * and each cutoff group must be ordered the same way as the default profile's.
+ * @param {object} profile - Profile to validate
+ * @returns {{valid: boolean, errors: Array<string>}}
+ */
+export function validateScoringProfile(profile) {
+  const errors = [];
+  
+  if (!profile || typeof profile !== 'object') {
+    return { valid: false, errors: ['Profile must be an object'] };
+  }
+  
+  // Weights
+  const weights = profile.weights || {};
+  let weightSum = 0;
+  for (const factor of Object.keys(FACTOR_INPUTS)) {
+    const weight = weights[factor];
+    if (!Number.isFinite(weight) || weight < 0 || weight > 1) {
+      errors.push(`Weight for ${factor} must be between 0 and 1`);
+    } else {
+      weightSum += weight;
+    }
+  }
+  if (Math.abs(weightSum - 1) > 0.001) {
+    errors.push(`Weights must sum to 1 (currently ${weightSum.toFixed(2)})`);
+  }
+  
+  // Thresholds
+  const { safe, warning } = profile.thresholds || {};
+  if (!Number.isFinite(safe) || !Number.isFinite(warning) || warning <= 0 || warning >= safe || safe > 100) {
+    errors.push('Thresholds must satisfy 0 < warning < safe <= 100');
+  }
+  
+  // Cutoffs
+  const cutoffs = profile.cutoffs || {};
+  for (const [group, defaults] of Object.entries(DEFAULT_PROFILE.cutoffs)) {
+    const values = cutoffs[group];
+    const keys = Object.keys(defaults);
+    
+    if (!values || keys.some(key => !Number.isFinite(values[key]) || values[key] < 0)) {
+      errors.push(`Cutoffs for ${group} must be non-negative numbers`);
+      continue;
+    }
+    
+    // Keep the tier order (ascending or descending) the factor function relies on
+    for (let i = 1; i < keys.length; i++) {
+      const expected = Math.sign(defaults[keys[i]] - defaults[keys[i - 1]]);
+      if (Math.sign(values[keys[i]] - values[keys[i - 1]]) !== expected) {
+        errors.push(`Cutoffs for ${group} are out of order`);
+        break;
+      }
+    }
+  }
+  
+  return { valid: errors.length === 0, errors };
+}
+
 /**
  * Calculate liquidity lock score (0-100)
  * Higher is better - locked/burned liquidity is safer
  */
-function calculateLiquidityScore(data) {
+function calculateLiquidityScore(data, cutoffs = DEFAULT_PROFILE.cutoffs) {
   if (!data) return 0;
   
   let score = 50; // Base score
@@ -62,10 +337,11 @@ function calculateLiquidityScore(data) {
   // Check lock duration (if available)
   if (data.lockDuration) {
     const daysLocked = data.lockDuration / (24 * 60 * 60 * 1000);
-    if (daysLocked > 365) score += 20;
-    else if (daysLocked > 180) score += 15;
-    else if (daysLocked > 90) score += 10;
-    else if (daysLocked > 30) score += 5;
+    const { lockDays } = cutoffs;
+    if (daysLocked > lockDays.long) score += 20;
+    else if (daysLocked > lockDays.medium) score += 15;
+    else if (daysLocked > lockDays.short) score += 10;
+    else if (daysLocked > lockDays.minimal) score += 5;
   }
   
   // Check LP burned
@@ -73,12 +349,14 @@ function calculateLiquidityScore(data) {
     score += 20;
   }
   
-  // Check liquidity amount
-  if (data.liquidity) {
-    if (data.liquidity > 100000) score += 10;
-    else if (data.liquidity > 50000) score += 5;
-    else if (data.liquidity < 10000) score -= 10;
-    else if (data.liquidity < 5000) score -= 20;
+  // Check liquidity amount, across every genuine pair on the chain when known
+  const liquidity = data.totalLiquidity ?? data.liquidity;
+  if (liquidity) {
+    const { liquidityUsd } = cutoffs;
+    if (liquidity > liquidityUsd.high) score += 10;
+    else if (liquidity > liquidityUsd.medium) score += 5;
+    else if (liquidity < liquidityUsd.veryLow) score -= 20;
+    else if (liquidity < liquidityUsd.low) score -= 10;
   }
   
   return Math.max(0, Math.min(100, score));
@@ -131,6 +409,9 @@ function calculateHoneypotScore(data) {
     else if (data.honeypotRisk === 'medium') score = 60;
     else if (data.honeypotRisk === 'low') score = 90;
     
+    // Another provider flagged it as a honeypot
+    if (hasConflict(data, 'isHoneypot')) score = Math.min(score, 30);
+    
     return score;
   }
   
@@ -142,7 +423,7 @@ function calculateHoneypotScore(data) {
  * Calculate holder distribution score (0-100)
  * Better distribution = higher score
  */
-function calculateHolderScore(data) {
+function calculateHolderScore(data, cutoffs = DEFAULT_PROFILE.cutoffs) {
   if (!data) return 0;
   
   let score = 50;
@@ -150,29 +431,32 @@ function calculateHolderScore(data) {
   // Top 10 holders percentage
   if (data.top10HoldersPercent !== undefined) {
     const top10 = data.top10HoldersPercent;
-    if (top10 < 20) score = 100;
-    else if (top10 < 30) score = 85;
-    else if (top10 < 40) score = 70;
-    else if (top10 < 50) score = 55;
-    else if (top10 < 60) score = 40;
-    else if (top10 < 70) score = 25;
+    const tiers = cutoffs.top10HoldersPercent;
+    if (top10 < tiers.excellent) score = 100;
+    else if (top10 < tiers.good) score = 85;
+    else if (top10 < tiers.fair) score = 70;
+    else if (top10 < tiers.moderate) score = 55;
+    else if (top10 < tiers.poor) score = 40;
+    else if (top10 < tiers.bad) score = 25;
     else score = 10;
   }
   
   // Top holder percentage (single wallet)
   if (data.topHolderPercent !== undefined) {
     const topHolder = data.topHolderPercent;
-    if (topHolder > 50) score -= 30;
-    else if (topHolder > 30) score -= 20;
-    else if (topHolder > 20) score -= 10;
+    const { topHolderPercent } = cutoffs;
+    if (topHolder > topHolderPercent.critical) score -= 30;
+    else if (topHolder > topHolderPercent.high) score -= 20;
+    else if (topHolder > topHolderPercent.elevated) score -= 10;
   }
   
   // Number of holders
   if (data.holderCount !== undefined) {
-    if (data.holderCount > 10000) score += 10;
-    else if (data.holderCount > 1000) score += 5;
-    else if (data.holderCount < 100) score -= 15;
-    else if (data.holderCount < 50) score -= 25;
+    const { holderCount } = cutoffs;
+    if (data.holderCount > holderCount.many) score += 10;
+    else if (data.holderCount > holderCount.some) score += 5;
+    else if (data.holderCount < holderCount.veryFew) score -= 25;
+    else if (data.holderCount < holderCount.few) score -= 15;
   }
   
   return Math.max(0, Math.min(100, score));
@@ -182,7 +466,7 @@ function calculateHolderScore(data) {
  * Calculate tax rate score (0-100)
  * Lower taxes = higher score
  */
-function calculateTaxScore(data) {
+function calculateTaxScore(data, cutoffs = DEFAULT_PROFILE.cutoffs) {
   if (!data) return 0;
   
   let score = 100;
@@ -190,18 +474,19 @@ function calculateTaxScore(data) {
   const buyTax = data.buyTax || 0;
   const sellTax = data.sellTax || 0;
   const totalTax = buyTax + sellTax;
+  const tiers = cutoffs.totalTaxPercent;
   
   if (totalTax === 0) {
     score = 100;
-  } else if (totalTax <= 5) {
+  } else if (totalTax <= tiers.low) {
     score = 90;
-  } else if (totalTax <= 10) {
+  } else if (totalTax <= tiers.moderate) {
     score = 75;
-  } else if (totalTax <= 15) {
+  } else if (totalTax <= tiers.elevated) {
     score = 60;
-  } else if (totalTax <= 20) {
+  } else if (totalTax <= tiers.high) {
     score = 40;
-  } else if (totalTax <= 30) {
+  } else if (totalTax <= tiers.extreme) {
     score = 20;
   } else {
     score = 0; // Extremely high tax
@@ -245,25 +530,27 @@ function calculateVerificationScore(data) {
 /**
  * Calculate trading activity score (0-100)
  */
-function calculateActivityScore(data) {
+function calculateActivityScore(data, cutoffs = DEFAULT_PROFILE.cutoffs) {
   if (!data) return 0;
   
   let score = 50;
   
   // 24h volume
   if (data.volume24h !== undefined) {
-    if (data.volume24h > 1000000) score += 20;
-    else if (data.volume24h > 100000) score += 15;
-    else if (data.volume24h > 10000) score += 10;
-    else if (data.volume24h < 1000) score -= 10;
+    const { volume24h } = cutoffs;
+    if (data.volume24h > volume24h.high) score += 20;
+    else if (data.volume24h > volume24h.medium) score += 15;
+    else if (data.volume24h > volume24h.low) score += 10;
+    else if (data.volume24h < volume24h.minimal) score -= 10;
   }
   
   // Transaction count
   if (data.txCount24h !== undefined) {
-    if (data.txCount24h > 1000) score += 15;
-    else if (data.txCount24h > 100) score += 10;
-    else if (data.txCount24h > 10) score += 5;
-    else if (data.txCount24h < 5) score -= 15;
+    const { txCount24h } = cutoffs;
+    if (data.txCount24h > txCount24h.high) score += 15;
+    else if (data.txCount24h > txCount24h.medium) score += 10;
+    else if (data.txCount24h > txCount24h.low) score += 5;
+    else if (data.txCount24h < txCount24h.minimal) score -= 15;
   }
   
   // Check for suspicious activity
@@ -272,21 +559,66 @@ function calculateActivityScore(data) {
   }
   
   // Check for snipers
-  if (data.sniperCount !== undefined && data.sniperCount > 5) {
+  if (data.sniperCount !== undefined && data.sniperCount > cutoffs.sniperCount.max) {
     score -= 15;
   }
   
   return Math.max(0, Math.min(100, score));
 }
 
+/**
+ * Derive launch-phase fields from pair creation times
+ * @param {object} data - Token data (launchedAt / createdAt, newestPairAt)
+ * @param {number} now - Current time
+ * @returns {object} - { tokenAgeHours, liquidityAdding }, empty when the launch time is unknown
+ */
+export function getLaunchPhase(data, now = Date.now()) {
+  const launchedAt = data?.launchedAt || data?.createdAt;
+  if (!launchedAt) return {};
+  
+  const hour = 60 * 60 * 1000;
+  const tokenAgeHours = Math.max(0, (now - launchedAt) / hour);
+  const newestPairHours = data.newestPairAt ? Math.max(0, (now - data.newestPairAt) / hour) : tokenAgeHours;
+  
+  return {
+    tokenAgeHours: Math.round(tokenAgeHours * 100) / 100,
+    // A fresh pool on a young token: liquidity is still being set up and can move fast
+    liquidityAdding: tokenAgeHours < LAUNCH_PHASE.EARLY_HOURS && newestPairHours < LAUNCH_PHASE.LIQUIDITY_SETTLE_HOURS
+  };
+}
+
+/**
+ * Calculate token age score (0-100)
+ * Older is better - most rugs happen in the first hours after launch
+ */
+function calculateTokenAgeScore(data, cutoffs = DEFAULT_PROFILE.cutoffs) {
+  if (!data || data.tokenAgeHours === undefined) return 50;
+  
+  const { tokenAgeHours } = cutoffs;
+  let score;
+  if (data.tokenAgeHours < tokenAgeHours.launch) score = 10;
+  else if (data.tokenAgeHours < tokenAgeHours.young) score = 30;
+  else if (data.tokenAgeHours < tokenAgeHours.established) score = 55;
+  else if (data.tokenAgeHours < tokenAgeHours.mature) score = 75;
+  else score = 90;
+  
+  // Liquidity that is still being added can just as easily be pulled
+  if (data.liquidityAdding === true) {
+    score -= 10;
+  }
+  
+  return Math.max(0, Math.min(100, score));
+}
+
 /**
  * Get risk level from score
  * @param {number} score - Safety score (0-100)
+ * @param {object} thresholds - Profile thresholds ({ safe, warning })
  * @returns {string} - Risk level
  */
-export function getRiskLevel(score) {
-  if (score >= SCORE_THRESHOLDS.SAFE) return 'safe';
-  if (score >= SCORE_THRESHOLDS.WARNING) return 'warning';
+export function getRiskLevel(score, thresholds = DEFAULT_PROFILE.thresholds) {
+  if (score >= thresholds.safe) return 'safe';
+  if (score >= thresholds.warning) return 'warning';
   return 'danger';
 }
 
@@ -300,10 +632,7 @@ function generateFlags(data, breakdown) {
   const flags = [];
   
   // Critical flags (red)
-  if (data.isHoneypot === true) {
-    flags.push({ type: 'critical', message: 'Honeypot detected' });
-  }
-  
+  // Honeypots and permanent delegates are reported by their hard-fail rules
   if (data.buyTax > 20 || data.sellTax > 20) {
     flags.push({ type: 'critical', message: 'Extremely high taxes' });
   }
@@ -312,6 +641,10 @@ function generateFlags(data, breakdown) {
     flags.push({ type: 'critical', message: 'Single wallet holds >50%' });
   }
   
+  if (hasConflict(data, 'isHoneypot')) {
+    flags.push({ type: 'critical', message: 'Sources disagree on honeypot status' });
+  }
+  
   // Warning flags (yellow)
   if (data.ownershipRenounced === false) {
     flags.push({ type: 'warning', message: 'Ownership not renounced' });
@@ -330,7 +663,15 @@ function generateFlags(data, breakdown) {
   }
   
   if (data.canBlacklist === true) {
-    flags.push({ type: 'warning', message: 'Blacklist function exists' });
+    // On Solana the equivalent power is the mint's freeze authority
+    flags.push({ 
+      type: 'warning', 
+      message: data.freezeAuthority ? 'Freeze authority not revoked' : 'Blacklist function exists' 
+    });
+  }
+  
+  if (data.transferHookProgram) {
+    flags.push({ type: 'warning', message: 'Transfer hook program attached' });
   }
   
   if (data.isProxy === true) {
@@ -341,6 +682,26 @@ function generateFlags(data, breakdown) {
     flags.push({ type: 'warning', message: 'Top 10 hold >50%' });
   }
   
+  // The first hour is reported by the launch-hour rule
+  if (data.tokenAgeHours >= 1 && data.tokenAgeHours < LAUNCH_PHASE.EARLY_HOURS) {
+    flags.push({ type: 'warning', message: 'Launched less than a day ago' });
+  }
+  
+  if (data.suspiciousPairCount > 0) {
+    flags.push({ 
+      type: 'warning', 
+      message: `${data.suspiciousPairCount} thin pair${data.suspiciousPairCount > 1 ? 's' : ''} with an inflated price` 
+    });
+  }
+  
+  for (const conflict of data.conflicts || []) {
+    if (conflict.field === 'isHoneypot') continue;
+    flags.push({ 
+      type: 'warning', 
+      message: `Sources disagree on ${CONFLICT_LABELS[conflict.field] || conflict.field}` 
+    });
+  }
+  
   // Info flags (blue/green)
   if (data.isVerified === true) {
     flags.push({ type: 'info', message: 'Contract verified' });
@@ -358,38 +719,89 @@ function generateFlags(data, breakdown) {
     flags.push({ type: 'info', message: 'Ownership renounced' });
   }
   
+  if (data.mismatchedPairCount > 0) {
+    flags.push({ 
+      type: 'info', 
+      message: `${data.mismatchedPairCount} pair${data.mismatchedPairCount > 1 ? 's' : ''} on other chains` 
+    });
+  }
+  
   return flags;
 }
 
+// Readable names for fields in source conflict flags
+const CONFLICT_LABELS = {
+  isHoneypot: 'honeypot status',
+  ownershipRenounced: 'ownership',
+  canMint: 'mint function',
+  canPause: 'pause function',
+  canBlacklist: 'blacklist function',
+  canModifyTax: 'tax modification',
+  isProxy: 'proxy status',
+  buyTax: 'buy tax',
+  sellTax: 'sell tax',
+  topHolderPercent: 'top holder share',
+  top10HoldersPercent: 'top 10 holder share'
+};
+
+/**
+ * Check whether data providers disagreed on a field
+ * @param {object} data - Token analysis data
+ * @param {string} field - Field name
+ * @returns {boolean}
+ */
+function hasConflict(data, field) {
+  return Array.isArray(data.conflicts) && data.conflicts.some(c => c.field === field);
+}
+
 /**
  * Compare two token states and detect significant changes
  * @param {object} oldData - Previous token data
  * @param {object} newData - Current token data
+ * @param {object} thresholds - Alert thresholds (missing keys use the defaults)
  * @returns {Array} - List of changes
  */
-export function detectChanges(oldData, newData) {
+export function detectChanges(oldData, newData, thresholds = {}) {
   const changes = [];
   
   if (!oldData || !newData) return changes;
   
+  const limits = { ...WATCHLIST_CONFIG.ALERT_THRESHOLDS, ...thresholds };
+  const isKnown = (field) => oldData[field] !== undefined && oldData[field] !== null &&
+    newData[field] !== undefined && newData[field] !== null;
+  
   // Score change
-  if (oldData.score !== undefined && newData.score !== undefined) {
+  if (isKnown('score')) {
     const scoreDiff = newData.score - oldData.score;
-    if (Math.abs(scoreDiff) >= 15) {
+    if (Math.abs(scoreDiff) >= limits.SCORE_DROP) {
+      // A drop driven by missing data is less certain than one backed by data
+      const lowConfidence = newData.confidence < CONFIDENCE_THRESHOLDS.LOW;
       changes.push({
-        type: scoreDiff < 0 ? 'critical' : 'info',
+        type: scoreDiff < 0 ? (lowConfidence ? 'warning' : 'critical') : 'info',
         field: 'score',
-        message: `Score ${scoreDiff < 0 ? 'dropped' : 'increased'} by ${Math.abs(scoreDiff)} points`,
+        message: `Score ${scoreDiff < 0 ? 'dropped' : 'increased'} by ${Math.abs(scoreDiff)} points${lowConfidence ? ' (low confidence)' : ''}`,
         oldValue: oldData.score,
-        newValue: newData.score
+        newValue: newData.score,
+        confidence: newData.confidence
       });
     }
   }
   
+  // Data coverage change
+  if (oldData.confidence >= CONFIDENCE_THRESHOLDS.LOW && newData.confidence < CONFIDENCE_THRESHOLDS.LOW) {
+    changes.push({
+      type: 'warning',
+      field: 'confidence',
+      message: `Data coverage dropped to ${newData.confidence}%`,
+      oldValue: oldData.confidence,
+      newValue: newData.confidence
+    });
+  }
+  
   // Liquidity change
-  if (oldData.liquidity !== undefined && newData.liquidity !== undefined) {
+  if (isKnown('liquidity') && oldData.liquidity > 0) {
     const liquidityChange = ((newData.liquidity - oldData.liquidity) / oldData.liquidity) * 100;
-    if (liquidityChange < -10) {
+    if (liquidityChange < -limits.LIQUIDITY_DROP) {
       changes.push({
         type: 'critical',
         field: 'liquidity',
@@ -411,21 +823,191 @@ export function detectChanges(oldData, newData) {
     });
   }
   
-  // Top holder change
-  if (oldData.topHolderPercent !== undefined && newData.topHolderPercent !== undefined) {
-    const holderChange = newData.topHolderPercent - oldData.topHolderPercent;
-    if (holderChange > 10) {
+  // Top holder rising past the concentration threshold
+  if (isKnown('topHolderPercent') &&
+      oldData.topHolderPercent <= limits.HOLDER_CONCENTRATION &&
+      newData.topHolderPercent > limits.HOLDER_CONCENTRATION) {
+    changes.push({
+      type: 'warning',
+      field: 'topHolder',
+      message: `Top holder now holds ${newData.topHolderPercent.toFixed(1)}% (was ${oldData.topHolderPercent.toFixed(1)}%)`,
+      oldValue: oldData.topHolderPercent,
+      newValue: newData.topHolderPercent
+    });
+  }
+  
+  // Top holder selling a large share of supply
+  if (isKnown('topHolderPercent')) {
+    const sold = oldData.topHolderPercent - newData.topHolderPercent;
+    if (sold >= limits.LARGE_SELL) {
       changes.push({
         type: 'warning',
-        field: 'topHolder',
-        message: `Top holder increased by ${holderChange.toFixed(1)}%`,
+        field: 'largeSell',
+        message: `Top holder sold ${sold.toFixed(1)}% of supply`,
         oldValue: oldData.topHolderPercent,
         newValue: newData.topHolderPercent
       });
     }
   }
   
+  // Tax increases
+  for (const [field, label] of [['buyTax', 'Buy'], ['sellTax', 'Sell']]) {
+    if (!isKnown(field)) continue;
+    const taxIncrease = newData[field] - oldData[field];
+    if (taxIncrease >= limits.TAX_INCREASE) {
+      changes.push({
+        type: 'critical',
+        field: field,
+        message: `${label} tax raised from ${oldData[field]}% to ${newData[field]}%`,
+        oldValue: oldData[field],
+        newValue: newData[field]
+      });
+    }
+  }
+  
+  // Ownership reclaimed or transferred
+  if (oldData.ownershipRenounced === true && newData.ownershipRenounced === false) {
+    changes.push({
+      type: 'critical',
+      field: 'ownership',
+      message: 'Ownership is no longer renounced',
+      oldValue: oldData.ownerAddress ?? null,
+      newValue: newData.ownerAddress ?? null
+    });
+  } else if (isKnown('ownerAddress') &&
+             oldData.ownerAddress.toLowerCase() !== newData.ownerAddress.toLowerCase()) {
+    changes.push({
+      type: 'warning',
+      field: 'ownership',
+      message: 'Contract owner changed',
+      oldValue: oldData.ownerAddress,
+      newValue: newData.ownerAddress
+    });
+  }
+  
+  // Mint function enabled
+  if (oldData.canMint === false && newData.canMint === true) {
+    changes.push({
+      type: 'critical',
+      field: 'mint',
+      message: 'Minting is now enabled',
+      oldValue: false,
+      newValue: true
+    });
+  }
+  
+  // Proxy upgraded to new logic
+  if (isKnown('implementationAddress') &&
+      oldData.implementationAddress.toLowerCase() !== newData.implementationAddress.toLowerCase()) {
+    changes.push({
+      type: 'critical',
+      field: 'proxy',
+      message: 'Proxy implementation was upgraded',
+      oldValue: oldData.implementationAddress,
+      newValue: newData.implementationAddress
+    });
+  } else if (oldData.isProxy === false && newData.isProxy === true) {
+    changes.push({
+      type: 'warning',
+      field: 'proxy',
+      message: 'Contract is now behind a proxy',
+      oldValue: false,
+      newValue: true
+    });
+  }
+  
   return changes;
 }
 
+// Reference point for each snapshot field in windowed baselines:
+// drops are measured from the peak, tax increases from the low
+const WINDOW_REFERENCE = {
+  score: 'max',
+  liquidity: 'max',
+  priceUsd: 'max',
+  holderCount: 'max',
+  buyTax: 'min',
+  sellTax: 'min'
+};
+
+/**
+ * Work out what a watchlist item's next poll is compared against
+ * Scores from before the factor weights changed (item.rebaselinedAt) are left
+ * out of rolling and window baselines, since they aren't comparable.
+ * @param {object} item - Watchlist item (last poll data, baseline and snapshots)
+ * @param {string} mode - One of BASELINE_MODES
+ * @param {number} windowHours - Window size for BASELINE_MODES.WINDOW
+ * @returns {object|null} - Baseline data for detectChanges
+ */
+export function resolveBaseline(item, mode = BASELINE_MODES.FIXED, windowHours = WATCHLIST_CONFIG.BASELINE_WINDOW_HOURS) {
+  if (!item) return null;
+  
+  const rebaselinedAt = item.rebaselinedAt || 0;
+  const previous = pickBaseline(item);
+  if ((item.lastUpdated || 0) < rebaselinedAt) {
+    previous.score = undefined;
+  }
+  
+  if (mode === BASELINE_MODES.ROLLING) {
+    return previous;
+  }
+  
+  if (mode === BASELINE_MODES.WINDOW) {
+    // Nothing before the last review counts towards the window
+    const since = Math.max(Date.now() - windowHours * 60 * 60 * 1000, item.reviewedAt || 0);
+    const snapshots = (item.snapshots || []).filter(snapshot => snapshot.t >= since);
+    const baseline = previous;
+    
+    for (const [key, field] of Object.entries(WATCHLIST_CONFIG.SNAPSHOT_FIELDS)) {
+      const values = snapshots
+        .filter(snapshot => field !== 'score' || snapshot.t >= rebaselinedAt)
+        .map(snapshot => snapshot[key])
+        .filter(value => typeof value === 'number');
+      if (values.length === 0 || !WINDOW_REFERENCE[field]) continue;
+      baseline[field] = WINDOW_REFERENCE[field] === 'max' ? Math.max(...values) : Math.min(...values);
+    }
+    
+    return baseline;
+  }
+  
+  return item.baseline || null;
+}
+
+/**
+ * Drop changes that were already alerted recently or with the same value
+ * Fields no longer among the changes are dropped from the log, and a logged
+ * value is forgotten once a later poll reports another, so a flag that clears
+ * and comes back alerts again.
+ * @param {Array} changes - Changes from detectChanges
+ * @param {object} alertLog - Last alert per change field ({ field: { at, value } })
+ * @param {number} cooldownMinutes - Minimum time between alerts for the same field
+ * @returns {object} - { alerts, alertLog } with the updated log
+ */
+export function filterAlerts(changes, alertLog = {}, cooldownMinutes = WATCHLIST_CONFIG.ALERT_COOLDOWN_MINUTES) {
+  const now = Date.now();
+  const log = {};
+  const alerts = [];
+  
+  for (const change of changes) {
+    const last = alertLog[change.field];
+    const coolingDown = last && now - last.at < cooldownMinutes * 60 * 1000;
+    const duplicate = last && 'value' in last && last.value === change.newValue;
+    
+    if (duplicate) {
+      log[change.field] = last;
+      continue;
+    }
+    if (coolingDown) {
+      // Keep the cooldown but not the old value
+      log[change.field] = { at: last.at };
+      continue;
+    }
+    
+    alerts.push(change);
+    log[change.field] = { at: now, value: change.newValue };
+  }
+  
+  return { alerts, alertLog: log };
+}
+
 export default calculateSafetyScore;
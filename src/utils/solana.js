@@ -0,0 +1,163 @@
+/**
+ * Safe CA - Solana Account Decoding
+ * Decodes SPL Token and Token-2022 mint accounts read from the RPC
+ */
+
+import { TOKEN_2022_EXTENSIONS } from './constants.js';
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// SPL mint layout
+const MINT_SIZE = 82;
+// Token-2022 pads mints to the token account size before the account type byte
+const ACCOUNT_TYPE_OFFSET = 165;
+const ACCOUNT_TYPE_MINT = 1;
+
+/**
+ * Encode bytes as a base58 string
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string}
+ */
+export function encodeBase58(bytes) {
+  let value = 0n;
+  for (const byte of bytes) {
+    value = (value << 8n) + BigInt(byte);
+  }
+
+  let encoded = '';
+  while (value > 0n) {
+    encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+
+  // Leading zero bytes are encoded as '1'
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    encoded = '1' + encoded;
+  }
+
+  return encoded;
+}
+
+/**
+ * Decode a base64 string into bytes
+ * @param {string} base64 - Base64 data
+ * @returns {Uint8Array}
+ */
+export function decodeBase64(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+/**
+ * Read a little-endian unsigned integer
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Start offset
+ * @param {number} length - Byte length
+ * @returns {bigint}
+ */
+function readUintLE(bytes, offset, length) {
+  let value = 0n;
+  for (let i = length - 1; i >= 0; i--) {
+    value = (value << 8n) + BigInt(bytes[offset + i]);
+  }
+  return value;
+}
+
+/**
+ * Read a 32-byte public key, treating all zeros as "none"
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Start offset
+ * @returns {string|null}
+ */
+function readPubkey(bytes, offset) {
+  const key = bytes.slice(offset, offset + 32);
+  if (key.length < 32 || key.every(b => b === 0)) return null;
+  return encodeBase58(key);
+}
+
+/**
+ * Decode a SPL Token or Token-2022 mint account
+ * @param {Uint8Array} bytes - Raw account data
+ * @returns {object|null} - Decoded mint or null if not a mint
+ */
+export function decodeMintAccount(bytes) {
+  if (!bytes || bytes.length < MINT_SIZE) return null;
+
+  const hasMintAuthority = readUintLE(bytes, 0, 4) === 1n;
+  const hasFreezeAuthority = readUintLE(bytes, 46, 4) === 1n;
+
+  return {
+    mintAuthority: hasMintAuthority ? readPubkey(bytes, 4) : null,
+    supply: readUintLE(bytes, 36, 8),
+    decimals: bytes[44],
+    isInitialized: bytes[45] === 1,
+    freezeAuthority: hasFreezeAuthority ? readPubkey(bytes, 50) : null,
+    extensions: decodeMintExtensions(bytes)
+  };
+}
+
+/**
+ * Decode the Token-2022 TLV extensions that follow the base mint
+ * @param {Uint8Array} bytes - Raw account data
+ * @returns {object} - Extensions keyed by name (empty for classic SPL mints)
+ */
+export function decodeMintExtensions(bytes) {
+  const extensions = {};
+
+  if (bytes.length <= ACCOUNT_TYPE_OFFSET || bytes[ACCOUNT_TYPE_OFFSET] !== ACCOUNT_TYPE_MINT) {
+    return extensions;
+  }
+
+  let offset = ACCOUNT_TYPE_OFFSET + 1;
+  while (offset + 4 <= bytes.length) {
+    const type = Number(readUintLE(bytes, offset, 2));
+    const length = Number(readUintLE(bytes, offset + 2, 2));
+    const start = offset + 4;
+
+    if (type === 0 || start + length > bytes.length) break;
+
+    switch (type) {
+      case TOKEN_2022_EXTENSIONS.TRANSFER_FEE_CONFIG:
+        // Authorities, withheld amount, older fee, then the newer (active) fee
+        extensions.transferFee = {
+          authority: readPubkey(bytes, start),
+          withdrawAuthority: readPubkey(bytes, start + 32),
+          basisPoints: Number(readUintLE(bytes, start + 106, 2)),
+          maximumFee: readUintLE(bytes, start + 98, 8)
+        };
+        break;
+      case TOKEN_2022_EXTENSIONS.MINT_CLOSE_AUTHORITY:
+        extensions.mintCloseAuthority = readPubkey(bytes, start);
+        break;
+      case TOKEN_2022_EXTENSIONS.CONFIDENTIAL_TRANSFER_MINT:
+        extensions.confidentialTransfers = true;
+        break;
+      case TOKEN_2022_EXTENSIONS.DEFAULT_ACCOUNT_STATE:
+        // 1 = initialized, 2 = frozen
+        extensions.defaultAccountFrozen = bytes[start] === 2;
+        break;
+      case TOKEN_2022_EXTENSIONS.NON_TRANSFERABLE:
+        extensions.nonTransferable = true;
+        break;
+      case TOKEN_2022_EXTENSIONS.INTEREST_BEARING_CONFIG:
+        extensions.interestBearing = true;
+        break;
+      case TOKEN_2022_EXTENSIONS.PERMANENT_DELEGATE:
+        extensions.permanentDelegate = readPubkey(bytes, start);
+        break;
+      case TOKEN_2022_EXTENSIONS.TRANSFER_HOOK:
+        extensions.transferHook = {
+          authority: readPubkey(bytes, start),
+          programId: readPubkey(bytes, start + 32)
+        };
+        break;
+      default:
+        // Metadata and other benign extensions
+        break;
+    }
+
+    offset = start + length;
+  }
+
+  return extensions;
+}
@@ -3,8 +3,9 @@
  * Handles chrome.storage operations with caching and error handling
  */
 
-import { STORAGE_KEYS, CACHE_CONFIG, DEFAULT_SETTINGS } from './constants.js';
-import { getCacheKey, isCacheValid, deepClone } from './helpers.js';
+import { STORAGE_KEYS, CACHE_CONFIG, DEFAULT_SETTINGS, WATCHLIST_CONFIG, HISTORY_CONFIG, RETRY_QUEUE } from './constants.js';
+import { getCacheKey, deepClone, pickBaseline, mergeDefaults } from './helpers.js';
+import { runMigrations, MIGRATED_KEYS, SCHEMA_VERSION } from './migrations.js';
 
 /**
  * Storage wrapper for chrome.storage API
@@ -13,6 +14,16 @@ class StorageManager {
   constructor() {
     this.memoryCache = new Map();
     this.initialized = false;
+    this.quotaHandlers = [];
+    this.freeingSpace = null;
+  }
+
+  /**
+   * Register a callback that frees space when a write runs into the storage quota
+   * @param {Function} handler - async () => void
+   */
+  onQuotaExceeded(handler) {
+    this.quotaHandlers.push(handler);
   }
 
   /**
@@ -26,6 +37,8 @@ class StorageManager {
       const settings = await this.get(STORAGE_KEYS.SETTINGS);
       if (!settings) {
         await this.set(STORAGE_KEYS.SETTINGS, DEFAULT_SETTINGS);
+        // Fresh data is already in the current shape
+        await this.set(STORAGE_KEYS.SCHEMA_VERSION, SCHEMA_VERSION);
       }
       
       // Initialize empty watchlist if needed
@@ -34,10 +47,10 @@ class StorageManager {
         await this.set(STORAGE_KEYS.WATCHLIST, []);
       }
       
-      // Initialize cache
-      const cache = await this.get(STORAGE_KEYS.CACHE);
-      if (!cache) {
-        await this.set(STORAGE_KEYS.CACHE, {});
+      // Initialize empty scan history if needed
+      const history = await this.get(STORAGE_KEYS.SCAN_HISTORY);
+      if (!history) {
+        await this.set(STORAGE_KEYS.SCAN_HISTORY, []);
       }
       
       this.initialized = true;
@@ -46,6 +59,37 @@ class StorageManager {
     }
   }
 
+  /**
+   * Upgrade stored data to the current schema version
+   * @returns {Promise<number[]>} - Versions of the migrations that ran
+   */
+  async migrate() {
+    try {
+      const snapshot = {};
+      for (const key of MIGRATED_KEYS) {
+        snapshot[key] = await this.get(key);
+      }
+      
+      const { data, version, applied } = runMigrations(snapshot);
+      if (applied.length === 0) return [];
+      
+      // Migrations return untouched keys as-is, so only changed keys are written
+      for (const key of new Set([...MIGRATED_KEYS, ...Object.keys(data)])) {
+        if (data[key] === undefined && snapshot[key] !== undefined) {
+          await this.remove(key);
+        } else if (data[key] !== undefined && data[key] !== snapshot[key]) {
+          await this.set(key, data[key]);
+        }
+      }
+      
+      console.log('[SafeCA] Migrated storage to schema version', version, 'with', applied);
+      return applied;
+    } catch (error) {
+      console.error('[SafeCA] Storage migration error:', error);
+      return [];
+    }
+  }
+
   /**
    * Get a value from storage
    * @param {string} key - Storage key
@@ -85,7 +129,20 @@ class StorageManager {
    */
   async set(key, value) {
     try {
-      await chrome.storage.local.set({ [key]: value });
+      try {
+        await chrome.storage.local.set({ [key]: value });
+      } catch (error) {
+        // Make room by evicting cached data, then try once more
+        if (!isQuotaError(error) || this.freeingSpace || this.quotaHandlers.length === 0) throw error;
+        console.warn('[SafeCA] Storage quota exceeded, evicting cached data');
+        this.freeingSpace = Promise.all(this.quotaHandlers.map(handler => handler()));
+        try {
+          await this.freeingSpace;
+        } finally {
+          this.freeingSpace = null;
+        }
+        await chrome.storage.local.set({ [key]: value });
+      }
       
       // Update memory cache
       this.memoryCache.set(key, {
@@ -101,14 +158,14 @@ class StorageManager {
   }
 
   /**
-   * Remove a value from storage
-   * @param {string} key - Storage key
+   * Remove one or more values from storage
+   * @param {string|Array<string>} key - Storage key or keys
    * @returns {Promise<boolean>}
    */
   async remove(key) {
     try {
       await chrome.storage.local.remove(key);
-      this.memoryCache.delete(key);
+      [].concat(key).forEach(k => this.memoryCache.delete(k));
       return true;
     } catch (error) {
       console.error(`[SafeCA] Storage remove error for ${key}:`, error);
@@ -133,30 +190,349 @@ class StorageManager {
 }
 
 /**
- * Cache manager for token data
+ * Whether a chrome.storage error means the storage quota is full
+ * @param {Error} error - Error thrown by chrome.storage
+ * @returns {boolean}
  */
-class CacheManager {
-  constructor(storage) {
+function isQuotaError(error) {
+  return /quota/i.test(error?.message || '');
+}
+
+/**
+ * Per-key LRU store on top of chrome.storage
+ * Every entry is stored under its own key, so a write touches only that entry
+ * and concurrent scans cannot overwrite each other. An index of last use times
+ * and sizes, ordered from least to most recently used, drives LRU eviction and
+ * is saved under its own key so it survives service worker restarts.
+ */
+class IndexedCache {
+  /**
+   * @param {StorageManager} storage - Storage wrapper
+   * @param {string} prefix - Prefix of every key in this store
+   * @param {string} indexKey - Key the LRU index is saved under
+   * @param {number} maxBytes - Size kept before the least recently used are evicted
+   */
+  constructor(storage, prefix, indexKey, maxBytes) {
     this.storage = storage;
+    this.prefix = prefix;
+    this.indexKey = indexKey;
+    this.maxBytes = maxBytes;
+    this.index = null;
+    this.indexLoading = null;
+    this.indexSaving = null;
+    this.indexSavedAt = 0;
+    this.indexDirty = false;
+    
+    // Cached data is the first thing to go when storage fills up
+    storage.onQuotaExceeded(() => this.shrink());
+  }
+
+  /**
+   * Get the LRU index (storage key -> { usedAt, bytes }), loading it on first use
+   * Falls back to the write times stored in each entry when no index was saved.
+   * @returns {Promise<Map<string, object>>}
+   */
+  async getIndex() {
+    if (this.index) return this.index;
+    
+    if (!this.indexLoading) {
+      this.indexLoading = (async () => {
+        try {
+          const saved = await this.storage.get(this.indexKey);
+          if (saved && typeof saved === 'object') {
+            this.index = toIndex(Object.entries(saved)
+              .map(([key, [usedAt, bytes] = []]) => [key, { usedAt: usedAt || 0, bytes: bytes || 0 }]));
+          } else {
+            const all = await chrome.storage.local.get(null) || {};
+            this.index = toIndex(Object.entries(all)
+              .filter(([key]) => key.startsWith(this.prefix))
+              .map(([key, entry]) => [key, indexEntry(key, entry)]));
+            await this.saveIndex();
+          }
+        } catch (error) {
+          console.error('[SafeCA] Cache index load error:', error);
+          this.index = new Map();
+        }
+        this.indexLoading = null;
+        return this.index;
+      })();
+    }
+    
+    return this.indexLoading;
+  }
+
+  /**
+   * Save the LRU index, sharing one write between concurrent callers
+   * @returns {Promise<boolean>}
+   */
+  saveIndex() {
+    if (!this.indexSaving) {
+      this.indexSaving = Promise.resolve().then(() => {
+        this.indexSaving = null;
+        this.indexDirty = false;
+        this.indexSavedAt = Date.now();
+        const saved = [...(this.index || [])].map(([key, { usedAt, bytes }]) => [key, [usedAt, bytes]]);
+        return this.storage.set(this.indexKey, Object.fromEntries(saved));
+      });
+    }
+    return this.indexSaving;
+  }
+
+  /**
+   * Mark a key as the most recently used
+   * @param {Map} index - LRU index
+   * @param {string} key - Storage key
+   * @param {number} [bytes] - New size of the entry, when it was rewritten
+   */
+  touch(index, key, bytes = index.get(key)?.bytes || 0) {
+    index.delete(key);
+    index.set(key, { usedAt: Date.now(), bytes });
+  }
+
+  /**
+   * Read an entry, marking it as used
+   * Recency from reads is saved at most every CACHE_CONFIG.INDEX_SAVE_INTERVAL;
+   * until then it rides along with the next write or cleanup.
+   * @param {string} key - Storage key
+   * @returns {Promise<object|null>}
+   */
+  async read(key) {
+    const [entry, index] = await Promise.all([this.storage.get(key), this.getIndex()]);
+    if (entry) {
+      this.touch(index, key);
+      if (Date.now() - this.indexSavedAt >= CACHE_CONFIG.INDEX_SAVE_INTERVAL) {
+        this.saveIndex();
+      } else {
+        this.indexDirty = true;
+      }
+    }
+    return entry || null;
+  }
+
+  /**
+   * Write an entry and evict past the size limit
+   * @param {string} key - Storage key
+   * @param {object} entry - Entry to store
+   * @returns {Promise<boolean>}
+   */
+  async write(key, entry) {
+    const stored = { ...entry, accessedAt: Date.now() };
+    const written = await this.storage.set(key, stored);
+    const index = await this.getIndex();
+    if (written) {
+      this.touch(index, key, indexEntry(key, stored).bytes);
+    }
+    await this.evict(index);
+    await this.saveIndex();
+    return written;
+  }
+
+  /**
+   * Remove least recently used entries past the size limit
+   * @param {Map} index - LRU index
+   * @param {number} maxBytes - Size to get under
+   * @returns {Promise<void>}
+   */
+  async evict(index, maxBytes = this.maxBytes) {
+    let bytes = 0;
+    index.forEach(entry => { bytes += entry.bytes; });
+    
+    const excess = [];
+    for (const [key, entry] of index) {
+      if (bytes <= maxBytes) break;
+      excess.push(key);
+      bytes -= entry.bytes;
+    }
+    
+    if (excess.length > 0) {
+      excess.forEach(key => index.delete(key));
+      await this.storage.remove(excess);
+    }
   }
 
   /**
-   * Get cached token data
+   * Free space after a write ran into the storage quota
+   * Evicts down to half of what is stored, or of the limit if that is lower.
+   * @returns {Promise<void>}
+   */
+  async shrink() {
+    try {
+      const index = await this.getIndex();
+      let bytes = 0;
+      index.forEach(entry => { bytes += entry.bytes; });
+      
+      await this.evict(index, Math.min(this.maxBytes, bytes) / 2);
+      await this.saveIndex();
+    } catch (error) {
+      console.error('[SafeCA] Cache shrink error:', error);
+    }
+  }
+
+  /**
+   * Remove one entry
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>}
+   */
+  async removeEntry(key) {
+    const index = await this.getIndex();
+    index.delete(key);
+    await this.saveIndex();
+    return await this.storage.remove(key);
+  }
+
+  /**
+   * Remove entries that are no longer usable
+   * Also brings the index back in line with the entries actually stored.
+   * @param {Function} isExpired - (entry, now) => boolean
+   * @returns {Promise<void>}
+   */
+  async removeExpired(isExpired) {
+    try {
+      const all = await chrome.storage.local.get(null) || {};
+      const now = Date.now();
+      const stored = Object.entries(all).filter(([key]) => key.startsWith(this.prefix));
+      const expired = stored
+        .filter(([, entry]) => isExpired(entry || {}, now))
+        .map(([key]) => key);
+      
+      const index = await this.getIndex();
+      const storedKeys = new Set(stored.map(([key]) => key));
+      let changed = this.indexDirty || expired.length > 0;
+      for (const key of index.keys()) {
+        if (!storedKeys.has(key)) {
+          index.delete(key);
+          changed = true;
+        }
+      }
+      const missing = stored.filter(([key]) => !index.has(key));
+      if (missing.length > 0) {
+        const merged = toIndex([...index, ...missing.map(([key, entry]) => [key, indexEntry(key, entry)])]);
+        index.clear();
+        merged.forEach((value, key) => index.set(key, value));
+        changed = true;
+      }
+      expired.forEach(key => index.delete(key));
+      
+      if (expired.length > 0) {
+        await this.storage.remove(expired);
+      }
+      if (changed) {
+        await this.saveIndex();
+      }
+    } catch (error) {
+      console.error('[SafeCA] Cache cleanup error:', error);
+    }
+  }
+
+  /**
+   * Clear all entries in this store
+   * @returns {Promise<boolean>}
+   */
+  async clearAll() {
+    const index = await this.getIndex();
+    const keys = [...index.keys()];
+    index.clear();
+    await this.saveIndex();
+    return keys.length === 0 || await this.storage.remove(keys);
+  }
+}
+
+/**
+ * Build an LRU index ordered from least to most recently used
+ * @param {Array<[string, object]>} entries - [storage key, { usedAt, bytes }]
+ * @returns {Map<string, object>}
+ */
+function toIndex(entries) {
+  return new Map(entries.sort((a, b) => a[1].usedAt - b[1].usedAt));
+}
+
+/**
+ * Index entry for a stored cache entry
+ * Size is measured the way chrome.storage counts it: key plus JSON value.
+ * @param {string} key - Storage key
+ * @param {object} entry - Stored entry
+ * @returns {object} - { usedAt, bytes }
+ */
+function indexEntry(key, entry) {
+  return { usedAt: entry?.accessedAt || 0, bytes: key.length + JSON.stringify(entry ?? null).length };
+}
+
+/**
+ * Cache manager for scored token data
+ * Market and security data expire separately (CACHE_CONFIG.MARKET_TTL / SECURITY_TTL).
+ */
+class CacheManager extends IndexedCache {
+  constructor(storage) {
+    super(storage, CACHE_CONFIG.KEY_PREFIX, CACHE_CONFIG.INDEX_KEY, CACHE_CONFIG.MAX_BYTES);
+  }
+
+  /**
+   * Get a cached entry with the freshness of each part
+   * Entries whose security data has expired are treated as missing.
    * @param {string} address - Contract address
    * @param {string} chain - Chain ID
-   * @returns {Promise<object|null>}
+   * @returns {Promise<{data: object, marketFresh: boolean}|null>}
    */
-  async getToken(address, chain) {
+  async getEntry(address, chain) {
     try {
-      const cache = await this.storage.get(STORAGE_KEYS.CACHE) || {};
-      const key = getCacheKey(address, chain);
-      const entry = cache[key];
+      const entry = await this.read(this.prefix + getCacheKey(address, chain));
+      const now = Date.now();
       
-      if (entry && isCacheValid(entry)) {
-        return entry.data;
+      if (!entry || now - entry.securityAt >= CACHE_CONFIG.SECURITY_TTL) {
+        return null;
       }
       
+      return {
+        data: entry.data,
+        marketFresh: now - entry.marketAt < CACHE_CONFIG.MARKET_TTL
+      };
+    } catch (error) {
+      console.error('[SafeCA] Cache get error:', error);
       return null;
+    }
+  }
+
+  /**
+   * Get cached token data if both market and security data are fresh
+   * @param {string} address - Contract address
+   * @param {string} chain - Chain ID
+   * @returns {Promise<object|null>}
+   */
+  async getToken(address, chain) {
+    const entry = await this.getEntry(address, chain);
+    return entry?.marketFresh ? entry.data : null;
+  }
+
+  /**
+   * Get cached token data regardless of age, for when providers are unreachable
+   * @param {string} address - Contract address
+   * @param {string} chain - Chain ID
+   * @returns {Promise<{data: object, timestamp: number}|null>}
+   */
+  async getLastKnown(address, chain) {
+    try {
+      const entry = await this.read(this.prefix + getCacheKey(address, chain));
+      return entry ? { data: entry.data, timestamp: entry.marketAt } : null;
+    } catch (error) {
+      console.error('[SafeCA] Cache get error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Find how an earlier scan resolved an auto-detected chain for an address
+   * A token's chain doesn't change, so entries are used regardless of age.
+   * @param {string} address - Contract address
+   * @param {Array<string>} chainIds - Chains the address could be on
+   * @returns {Promise<{chain: string, chainResolution: object}|null>}
+   */
+  async findResolution(address, chainIds) {
+    try {
+      const entries = await Promise.all(
+        chainIds.map(chain => this.storage.get(this.prefix + getCacheKey(address, chain)))
+      );
+      const entry = entries.find(entry => entry?.data?.chainResolution);
+      return entry ? { chain: entry.data.chain, chainResolution: entry.data.chainResolution } : null;
     } catch (error) {
       console.error('[SafeCA] Cache get error:', error);
       return null;
@@ -168,25 +544,16 @@ class CacheManager {
    * @param {string} address - Contract address
    * @param {string} chain - Chain ID
    * @param {object} data - Token data to cache
+   * @param {object} options - { securityAt: when the oldest security data used was fetched }
    * @returns {Promise<boolean>}
    */
-  async setToken(address, chain, data) {
+  async setToken(address, chain, data, { securityAt = Date.now() } = {}) {
     try {
-      const cache = await this.storage.get(STORAGE_KEYS.CACHE) || {};
-      const key = getCacheKey(address, chain);
-      
-      cache[key] = {
-        data: data,
-        timestamp: Date.now()
-      };
-      
-      // Cleanup old entries if cache is too large
-      const keys = Object.keys(cache);
-      if (keys.length > CACHE_CONFIG.MAX_ENTRIES) {
-        await this.cleanup(cache);
-      }
-      
-      return await this.storage.set(STORAGE_KEYS.CACHE, cache);
+      return await this.write(this.prefix + getCacheKey(address, chain), {
+        data,
+        marketAt: Date.now(),
+        securityAt
+      });
     } catch (error) {
       console.error('[SafeCA] Cache set error:', error);
       return false;
@@ -200,58 +567,146 @@ class CacheManager {
    * @returns {Promise<boolean>}
    */
   async removeToken(address, chain) {
+    return await this.removeEntry(this.prefix + getCacheKey(address, chain));
+  }
+
+  /**
+   * Remove entries whose security data has expired
+   * @returns {Promise<void>}
+   */
+  async cleanup() {
+    await this.removeExpired((entry, now) => !(now - entry.securityAt < CACHE_CONFIG.SECURITY_TTL));
+  }
+}
+
+/**
+ * Cache of individual provider responses
+ * Lets a scan reuse whatever responses are still fresh and refetch only the
+ * stale providers. Freshness is decided by each provider's cacheTtl in api.js.
+ */
+class SourceCacheManager extends IndexedCache {
+  constructor(storage) {
+    super(storage, CACHE_CONFIG.SOURCE_KEY_PREFIX, CACHE_CONFIG.SOURCE_INDEX_KEY, CACHE_CONFIG.MAX_SOURCE_BYTES);
+  }
+
+  /**
+   * Storage key for one provider's response about a token
+   */
+  keyFor(providerId, address, chain) {
+    return `${this.prefix}${providerId}:${getCacheKey(address, chain)}`;
+  }
+
+  /**
+   * Get cached responses for a token
+   * @param {string} address - Contract address
+   * @param {string} chain - Chain ID
+   * @param {Array<string>} providerIds - Providers to look up
+   * @returns {Promise<object>} - { [providerId]: { data, timestamp } }
+   */
+  async getSources(address, chain, providerIds) {
     try {
-      const cache = await this.storage.get(STORAGE_KEYS.CACHE) || {};
-      const key = getCacheKey(address, chain);
-      delete cache[key];
-      return await this.storage.set(STORAGE_KEYS.CACHE, cache);
+      const entries = await Promise.all(
+        providerIds.map(id => this.read(this.keyFor(id, address, chain)))
+      );
+      return Object.fromEntries(
+        providerIds
+          .map((id, i) => [id, entries[i]])
+          .filter(([, entry]) => entry)
+      );
     } catch (error) {
-      console.error('[SafeCA] Cache remove error:', error);
-      return false;
+      console.error('[SafeCA] Source cache get error:', error);
+      return {};
     }
   }
 
   /**
-   * Cleanup expired cache entries
-   * @param {object} cache - Cache object
-   * @returns {Promise<void>}
+   * Cache freshly fetched responses for a token
+   * @param {string} address - Contract address
+   * @param {string} chain - Chain ID
+   * @param {object} sources - { [providerId]: data }
+   * @returns {Promise<boolean>}
    */
-  async cleanup(cache = null) {
+  async setSources(address, chain, sources) {
     try {
-      if (!cache) {
-        cache = await this.storage.get(STORAGE_KEYS.CACHE) || {};
-      }
-      
-      const now = Date.now();
-      const entries = Object.entries(cache);
-      
-      // Sort by timestamp (oldest first)
-      entries.sort((a, b) => a[1].timestamp - b[1].timestamp);
-      
-      // Remove expired and excess entries
-      const cleaned = {};
-      let count = 0;
-      
-      for (const [key, entry] of entries.reverse()) {
-        if (count < CACHE_CONFIG.MAX_ENTRIES && now - entry.timestamp < CACHE_CONFIG.TTL) {
-          cleaned[key] = entry;
-          count++;
-        }
-      }
-      
-      await this.storage.set(STORAGE_KEYS.CACHE, cleaned);
+      const timestamp = Date.now();
+      const results = await Promise.all(
+        Object.entries(sources).map(([id, data]) =>
+          this.write(this.keyFor(id, address, chain), { data, timestamp })
+        )
+      );
+      return results.every(Boolean);
     } catch (error) {
-      console.error('[SafeCA] Cache cleanup error:', error);
+      console.error('[SafeCA] Source cache set error:', error);
+      return false;
     }
   }
 
   /**
-   * Clear all cached data
-   * @returns {Promise<boolean>}
+   * Remove responses older than the longest provider TTL
+   * @returns {Promise<void>}
    */
-  async clearAll() {
-    return await this.storage.set(STORAGE_KEYS.CACHE, {});
+  async cleanup() {
+    await this.removeExpired((entry, now) => !(now - entry.timestamp < CACHE_CONFIG.LAUNCH_TTL));
+  }
+}
+
+/**
+ * Build a compact snapshot of token data
+ * @param {object} data - Token data
+ * @returns {object} - { t, s, l, ... } using WATCHLIST_CONFIG.SNAPSHOT_FIELDS keys
+ */
+function createSnapshot(data) {
+  const snapshot = { t: Date.now() };
+  for (const [key, field] of Object.entries(WATCHLIST_CONFIG.SNAPSHOT_FIELDS)) {
+    if (typeof data[field] === 'number' && Number.isFinite(data[field])) {
+      snapshot[key] = data[field];
+    }
   }
+  return snapshot;
+}
+
+/**
+ * Apply snapshot retention limits
+ * Drops snapshots past the maximum age, then thins out the older half until
+ * the count fits, so the series still reaches back to when the token was added.
+ * @param {Array} snapshots - Snapshots, oldest first
+ * @returns {Array}
+ */
+function pruneSnapshots(snapshots) {
+  const cutoff = Date.now() - WATCHLIST_CONFIG.SNAPSHOT_MAX_AGE;
+  let kept = snapshots.filter(snapshot => snapshot.t >= cutoff);
+  
+  while (kept.length > WATCHLIST_CONFIG.MAX_SNAPSHOTS) {
+    const half = Math.floor(kept.length / 2);
+    kept = [
+      ...kept.slice(0, half).filter((_, i) => i % 2 === 0),
+      ...kept.slice(half)
+    ];
+  }
+  
+  return kept;
+}
+
+/**
+ * Clean up user metadata for a watchlist item
+ * @param {object} meta - { tags, notes, group, costBasis }
+ * @returns {object} - Normalized metadata with defaults for missing fields
+ */
+export function normalizeMeta(meta = {}) {
+  const tags = Array.isArray(meta.tags) ? meta.tags : [];
+  const entryPrice = Number(meta.costBasis?.entryPrice);
+  const amount = Number(meta.costBasis?.amount);
+  
+  return {
+    tags: [...new Set(
+      tags
+        .map(tag => String(tag).trim().toLowerCase().slice(0, WATCHLIST_CONFIG.MAX_TAG_LENGTH))
+        .filter(Boolean)
+    )].slice(0, WATCHLIST_CONFIG.MAX_TAGS),
+    notes: typeof meta.notes === 'string' ? meta.notes.slice(0, WATCHLIST_CONFIG.MAX_NOTE_LENGTH) : '',
+    group: typeof meta.group === 'string' && meta.group.trim() ? meta.group.trim() : null,
+    costBasis: entryPrice > 0 ? { entryPrice, amount: amount > 0 ? amount : null } : null
+  };
 }
 
 /**
@@ -278,12 +733,18 @@ class WatchlistManager {
   /**
    * Add a token to watchlist
    * @param {object} token - Token data
+   * @param {number} maxItems - Watchlist size limit
    * @returns {Promise<boolean>}
    */
-  async add(token) {
+  async add(token, maxItems = WATCHLIST_CONFIG.MAX_ITEMS) {
     try {
       const watchlist = await this.getAll();
       
+      if (watchlist.length >= maxItems) {
+        console.log('[SafeCA] Watchlist is full:', watchlist.length, 'of', maxItems);
+        return false;
+      }
+      
       // Normalize addresses for comparison
       const normalizedAddress = token.address.toLowerCase();
       
@@ -297,16 +758,14 @@ class WatchlistManager {
         return false;
       }
       
-      // Add with timestamp and baseline
+      // Add with timestamp, baseline and a first snapshot
       watchlist.push({
         ...token,
+        ...normalizeMeta(token),
         address: token.address, // Keep original case
         addedAt: Date.now(),
-        baseline: {
-          score: token.score,
-          liquidity: token.liquidity,
-          holders: token.holderCount || token.holders
-        }
+        baseline: pickBaseline(token),
+        snapshots: [createSnapshot(token)]
       });
       
       return await this.storage.set(STORAGE_KEYS.WATCHLIST, watchlist);
@@ -366,6 +825,92 @@ class WatchlistManager {
     }
   }
 
+  /**
+   * Update a token's user metadata (tags, notes, group and cost basis)
+   * @param {string} address - Contract address
+   * @param {string} chain - Chain ID
+   * @param {object} meta - Metadata fields to change
+   * @returns {Promise<boolean>}
+   */
+  async updateMeta(address, chain, meta) {
+    const updates = normalizeMeta(meta);
+    // Only touch the fields that were passed in
+    for (const field of Object.keys(updates)) {
+      if (!(field in meta)) delete updates[field];
+    }
+    return await this.update(address, chain, updates);
+  }
+
+  /**
+   * Append a snapshot of the latest scan to a watchlist item
+   * @param {string} address - Contract address
+   * @param {string} chain - Chain ID
+   * @param {object} data - Scan result data
+   * @returns {Promise<boolean>}
+   */
+  async addSnapshot(address, chain, data) {
+    try {
+      const watchlist = await this.getAll();
+      const normalizedAddress = address.toLowerCase();
+      const item = watchlist.find(
+        item => item.address.toLowerCase() === normalizedAddress && item.chain === chain
+      );
+      
+      if (!item) return false;
+      
+      item.snapshots = pruneSnapshots([...(item.snapshots || []), createSnapshot(data)]);
+      
+      return await this.storage.set(STORAGE_KEYS.WATCHLIST, watchlist);
+    } catch (error) {
+      console.error('[SafeCA] Watchlist snapshot error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Mark a token's changes as reviewed and use its current data as the new baseline
+   * @param {string} address - Contract address
+   * @param {string} chain - Chain ID
+   * @returns {Promise<boolean>}
+   */
+  async resetBaseline(address, chain) {
+    const item = (await this.getAll()).find(
+      item => item.address.toLowerCase() === address.toLowerCase() && item.chain === chain
+    );
+    
+    if (!item) return false;
+    
+    return await this.update(address, chain, {
+      baseline: pickBaseline(item),
+      lastChanges: [],
+      alertLog: {},
+      reviewedAt: Date.now()
+    });
+  }
+
+  /**
+   * Replace the whole watchlist (used by import)
+   * @param {Array} items - Watchlist items
+   * @returns {Promise<boolean>}
+   */
+  async setAll(items) {
+    return await this.storage.set(STORAGE_KEYS.WATCHLIST, items);
+  }
+
+  /**
+   * Get a watchlist item
+   * @param {string} address - Contract address
+   * @param {string|null} chain - Chain ID (null matches any chain)
+   * @returns {Promise<object|null>}
+   */
+  async get(address, chain = null) {
+    const watchlist = await this.getAll();
+    const normalizedAddress = address.toLowerCase();
+    return watchlist.find(
+      item => item.address.toLowerCase() === normalizedAddress && (chain === null || item.chain === chain)
+    ) || null;
+  }
+
   /**
    * Check if a token is in watchlist
    * @param {string} address - Contract address
@@ -381,6 +926,142 @@ class WatchlistManager {
   }
 }
 
+/**
+ * Scan history manager
+ * Keeps the most recent scans, newest first
+ */
+class HistoryManager {
+  constructor(storage) {
+    this.storage = storage;
+    this.writes = Promise.resolve(); // Tail of the write chain
+    this.pending = [];               // Scans waiting for the next write
+    this.pendingWrite = null;
+  }
+
+  /**
+   * Run a history write after the ones already queued
+   * @param {Function} write - async () => result
+   * @returns {Promise<any>}
+   */
+  serialize(write) {
+    const run = this.writes.then(write, write);
+    this.writes = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Get all history entries
+   * @returns {Promise<Array>}
+   */
+  async getAll() {
+    try {
+      return await this.storage.get(STORAGE_KEYS.SCAN_HISTORY) || [];
+    } catch (error) {
+      console.error('[SafeCA] History get error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Record a scan result
+   * Seeing the same token in the same place again refreshes the existing entry.
+   * Scans recorded while a write is waiting are saved together in that write.
+   * @param {object} data - Scan result data
+   * @param {object} source - Where the token was seen ({ type, url, author })
+   * @returns {Promise<boolean>}
+   */
+  add(data, source = {}) {
+    this.pending.push({ data, source, seenAt: Date.now() });
+    
+    if (!this.pendingWrite) {
+      this.pendingWrite = this.serialize(async () => {
+        const scans = this.pending;
+        this.pending = [];
+        this.pendingWrite = null;
+        
+        try {
+          const history = await this.getAll();
+          for (const scan of scans) {
+            addScan(history, scan);
+          }
+          return await this.storage.set(STORAGE_KEYS.SCAN_HISTORY, history.slice(0, HISTORY_CONFIG.MAX_ENTRIES));
+        } catch (error) {
+          console.error('[SafeCA] History add error:', error);
+          return false;
+        }
+      });
+    }
+    
+    return this.pendingWrite;
+  }
+
+  /**
+   * Get the most recent scan of a token
+   * @param {string} address - Contract address
+   * @param {string|null} chain - Chain ID (null matches any chain)
+   * @returns {Promise<object|null>}
+   */
+  async findLatest(address, chain = null) {
+    const history = await this.getAll();
+    const normalizedAddress = address.toLowerCase();
+    return history.find(
+      entry => entry.address.toLowerCase() === normalizedAddress && (chain === null || entry.chain === chain)
+    ) || null;
+  }
+
+  /**
+   * Replace all history entries (used by import)
+   * @param {Array} entries - History entries, newest first
+   * @returns {Promise<boolean>}
+   */
+  setAll(entries) {
+    return this.serialize(() => this.storage.set(STORAGE_KEYS.SCAN_HISTORY, entries.slice(0, HISTORY_CONFIG.MAX_ENTRIES)));
+  }
+
+  /**
+   * Clear scan history
+   * @returns {Promise<boolean>}
+   */
+  clear() {
+    return this.serialize(() => this.storage.set(STORAGE_KEYS.SCAN_HISTORY, []));
+  }
+}
+
+/**
+ * Put a scan at the top of the history, merging it with an earlier sighting
+ * @param {Array} history - History entries, newest first (modified)
+ * @param {object} scan - { data, source, seenAt }
+ */
+function addScan(history, { data, source, seenAt }) {
+  const entrySource = {
+    type: source.type || 'unknown',
+    url: source.url || null,
+    author: source.author || null
+  };
+  
+  const index = history.findIndex(entry =>
+    entry.address.toLowerCase() === data.address.toLowerCase() &&
+    entry.chain === data.chain &&
+    entry.source.type === entrySource.type &&
+    entry.source.url === entrySource.url
+  );
+  const previous = index === -1 ? null : history.splice(index, 1)[0];
+  
+  history.unshift({
+    address: data.address,
+    chain: data.chain,
+    tokenName: data.tokenName,
+    tokenSymbol: data.tokenSymbol,
+    score: data.score,
+    riskLevel: data.riskLevel,
+    confidence: data.confidence,
+    source: entrySource,
+    firstSeen: previous?.firstSeen || seenAt,
+    timestamp: seenAt,
+    seenCount: (previous?.seenCount || 0) + 1
+  });
+}
+
 /**
  * Settings manager
  */
@@ -396,7 +1077,7 @@ class SettingsManager {
   async getAll() {
     try {
       const settings = await this.storage.get(STORAGE_KEYS.SETTINGS);
-      return { ...DEFAULT_SETTINGS, ...settings };
+      return mergeDefaults(DEFAULT_SETTINGS, settings);
     } catch (error) {
       console.error('[SafeCA] Settings get error:', error);
       return DEFAULT_SETTINGS;
@@ -438,11 +1119,76 @@ class SettingsManager {
   }
 }
 
+/**
+ * Queue of scans to retry once providers are reachable again
+ */
+class RetryQueueManager {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Get all queued scans
+   * @returns {Promise<Array>}
+   */
+  async getAll() {
+    try {
+      return await this.storage.get(STORAGE_KEYS.RETRY_QUEUE) || [];
+    } catch (error) {
+      console.error('[SafeCA] Retry queue get error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Queue a scan, replacing an earlier one for the same token and tab
+   * @param {object} scan - { address, chain, source, tabId }
+   * @returns {Promise<boolean>}
+   */
+  async add(scan) {
+    try {
+      const queue = (await this.getAll()).filter(entry =>
+        !(entry.address.toLowerCase() === scan.address.toLowerCase() &&
+          entry.chain === scan.chain &&
+          entry.tabId === scan.tabId)
+      );
+      
+      queue.push({
+        address: scan.address,
+        chain: scan.chain,
+        source: scan.source || {},
+        tabId: scan.tabId ?? null,
+        queuedAt: Date.now()
+      });
+      
+      return await this.storage.set(STORAGE_KEYS.RETRY_QUEUE, queue.slice(-RETRY_QUEUE.MAX_ENTRIES));
+    } catch (error) {
+      console.error('[SafeCA] Retry queue add error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Empty the queue, returning the scans that are still worth retrying
+   * @returns {Promise<Array>}
+   */
+  async takeAll() {
+    const queue = await this.getAll();
+    await this.storage.set(STORAGE_KEYS.RETRY_QUEUE, []);
+    
+    const now = Date.now();
+    return queue.filter(entry => now - entry.queuedAt < RETRY_QUEUE.MAX_AGE);
+  }
+}
+
 // Create singleton instances
 const storage = new StorageManager();
 const cache = new CacheManager(storage);
+const sourceCache = new SourceCacheManager(storage);
 const watchlist = new WatchlistManager(storage);
 const settings = new SettingsManager(storage);
+const history = new HistoryManager(storage);
+const retryQueue = new RetryQueueManager(storage);
 
-export { storage, cache, watchlist, settings };
+export { storage, cache, sourceCache, watchlist, settings, history, retryQueue };
 export default storage;
@@ -0,0 +1,65 @@
+/**
+ * Safe CA - Storage Snapshots for Migration Tests
+ * Raw chrome.storage.local contents as written by earlier versions
+ */
+
+// Before schema versioning: flat alert thresholds, bare watchlist items and
+// history entries without a source
+export const UNVERSIONED = {
+  safeca_settings: {
+    autoScan: true,
+    showBadges: false,
+    darkMode: true,
+    notifications: true,
+    watchlistPolling: true,
+    alertThresholds: {
+      SCORE_DROP: 15,
+      LIQUIDITY_DROP: 30,
+      HOLDER_CONCENTRATION: 20
+    },
+    allowedWebsites: ['x.com', 'dexscreener.com']
+  },
+  safeca_watchlist: [
+    {
+      address: '0x1234567890abcdef1234567890abcdef12345678',
+      chain: '1',
+      tokenSymbol: 'OLD',
+      score: 55,
+      liquidity: 42000,
+      confidence: 70,
+      addedAt: 1700000000000,
+      baseline: { score: 72, liquidity: 80000 }
+    },
+    {
+      address: '0xabcdefabcdefabcdefabcdefabcdefabcdefabcd',
+      chain: '56',
+      tokenSymbol: 'BARE',
+      score: 40,
+      liquidity: 5000,
+      addedAt: 1700000500000
+    }
+  ],
+  safeca_history: [
+    { address: '0x1234567890abcdef1234567890abcdef12345678', chain: '1', score: 55, timestamp: 1700000000000 }
+  ],
+  safeca_cache: {}
+};
+
+// Version 3: token cache still kept in a single blob
+export const SINGLE_BLOB_CACHE = {
+  safeca_settings: { showBadges: true },
+  safeca_watchlist: [],
+  safeca_history: [],
+  safeca_cache: {
+    '1:0x1234567890abcdef1234567890abcdef12345678': { data: { score: 55 }, timestamp: 1700000000000 }
+  },
+  safeca_schema_version: 3
+};
+
+// Current schema: migrations must leave it alone
+export const CURRENT = {
+  safeca_settings: { showBadges: true },
+  safeca_watchlist: [],
+  safeca_history: [],
+  safeca_schema_version: 6
+};
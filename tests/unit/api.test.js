@@ -0,0 +1,633 @@
+/**
+ * Safe CA - Unit Tests for API Functions
+ */
+
+import {
+  rankChainCandidates,
+  fetchOnChainData,
+  registerProvider,
+  unregisterProvider,
+  getProviders,
+  mergeTokenData,
+  fetchAllTokenData,
+  fetchGoPlusData,
+  fetchDexScreenerData,
+  analyzePairs,
+  fetchLaunchAnalysis,
+  getRateLimitPressure,
+  getProviderHealth,
+  resolveEvmChain
+} from '../../src/utils/api.js';
+import { CHAIN_IDS, EVM_CHAIN_IDS, CONTRACT_SELECTORS, PROXY_SLOTS, CIRCUIT_BREAKER, CACHE_CONFIG } from '../../src/utils/constants.js';
+
+const TOKEN = '0x1234567890123456789012345678901234567890';
+const word = (hex) => '0x' + hex.replace(/^0x/, '').padStart(64, '0');
+
+/**
+ * Mock fetch as a JSON-RPC node answering from a handler
+ */
+function mockRpc(handler) {
+  global.fetch.mockImplementation(async (url, options) => {
+    const body = JSON.parse(options.body);
+    const respond = (request) => ({ jsonrpc: '2.0', id: request.id, ...handler(request) });
+    return {
+      ok: true,
+      json: async () => Array.isArray(body) ? body.map(respond) : respond(body)
+    };
+  });
+}
+
+describe('rankChainCandidates', () => {
+  const probe = (chainId, deployed) => ({ chainId, deployed });
+
+  test('should prefer chains with trading pairs', () => {
+    const result = rankChainCandidates(
+      [CHAIN_IDS.BASE],
+      [probe(CHAIN_IDS.ETHEREUM, true), probe(CHAIN_IDS.BASE, true)]
+    );
+
+    expect(result.chainId).toBe(CHAIN_IDS.BASE);
+    expect(result.candidates).toEqual([CHAIN_IDS.BASE, CHAIN_IDS.ETHEREUM]);
+    expect(result.ambiguous).toBe(true);
+    expect(result.source).toBe('dexscreener');
+  });
+
+  test('should fall back to chains where bytecode exists', () => {
+    const result = rankChainCandidates(
+      [],
+      [probe(CHAIN_IDS.ETHEREUM, false), probe(CHAIN_IDS.BSC, true)]
+    );
+
+    expect(result.chainId).toBe(CHAIN_IDS.BSC);
+    expect(result.ambiguous).toBe(false);
+    expect(result.source).toBe('rpc');
+  });
+
+  test('should drop listed chains where the RPC reports no contract', () => {
+    const result = rankChainCandidates(
+      [CHAIN_IDS.POLYGON, CHAIN_IDS.BASE],
+      [probe(CHAIN_IDS.POLYGON, false), probe(CHAIN_IDS.BASE, true)]
+    );
+
+    expect(result.candidates).toEqual([CHAIN_IDS.BASE]);
+  });
+
+  test('should keep listed chains when the RPC is unreachable', () => {
+    const result = rankChainCandidates(
+      [CHAIN_IDS.ARBITRUM],
+      [probe(CHAIN_IDS.ARBITRUM, null)]
+    );
+
+    expect(result.chainId).toBe(CHAIN_IDS.ARBITRUM);
+  });
+
+  test('should default to Ethereum when nothing is found', () => {
+    const result = rankChainCandidates([], [probe(CHAIN_IDS.ETHEREUM, null)]);
+
+    expect(result.chainId).toBe(CHAIN_IDS.ETHEREUM);
+    expect(result.candidates).toHaveLength(0);
+    expect(result.source).toBe('default');
+  });
+});
+
+describe('resolveEvmChain', () => {
+  test('should share one lookup between concurrent resolutions of an address', async () => {
+    const address = '0x' + 'c'.repeat(40);
+    global.fetch.mockImplementation(async (url, options) => {
+      if (!options?.body) {
+        return { ok: true, json: async () => ({ pairs: [] }) };
+      }
+      const body = JSON.parse(options.body);
+      return { ok: true, json: async () => ({ jsonrpc: '2.0', id: body.id, result: '0x6080' }) };
+    });
+
+    const [first, second] = await Promise.all([resolveEvmChain(address), resolveEvmChain(address.toUpperCase().replace('0X', '0x'))]);
+
+    // One DexScreener request plus one eth_getCode per chain
+    expect(global.fetch).toHaveBeenCalledTimes(1 + EVM_CHAIN_IDS.length);
+    expect(second).toBe(first);
+  });
+});
+
+describe('fetchOnChainData', () => {
+  test('should read owner, supply and dangerous selectors in one batch', async () => {
+    mockRpc(({ method, params }) => {
+      if (method === 'eth_getCode') return { result: '0x6080604052' + '6340c10f19' + '63f9f92be4' };
+      if (method === 'eth_getStorageAt') return { result: word('0') };
+      const data = params[0].data;
+      if (data === CONTRACT_SELECTORS.OWNER) return { result: word('000000000000000000000000000000000000dead') };
+      if (data === CONTRACT_SELECTORS.TOTAL_SUPPLY) return { result: word((10n ** 21n).toString(16)) };
+      if (data === CONTRACT_SELECTORS.DECIMALS) return { result: word('12') };
+      return { error: { code: -32000, message: 'execution reverted' } };
+    });
+
+    const result = await fetchOnChainData(TOKEN, CHAIN_IDS.ETHEREUM);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(result.ownershipRenounced).toBe(true);
+    expect(result.totalSupply).toBe('1000');
+    expect(result.decimals).toBe(18);
+    expect(result.canMint).toBe(true);
+    expect(result.canBlacklist).toBe(true);
+    expect(result.canPause).toBe(false);
+    expect(result.isProxy).toBe(false);
+  });
+
+  test('should follow EIP-1967 proxies to the implementation bytecode', async () => {
+    const implementation = '0xabcdefabcdefabcdefabcdefabcdefabcdefabcd';
+    mockRpc(({ method, params }) => {
+      if (method === 'eth_getCode') {
+        return { result: params[0] === implementation ? '0x60806040' + '638456cb59' : '0x60806040' };
+      }
+      if (method === 'eth_getStorageAt') {
+        return { result: params[1] === PROXY_SLOTS.IMPLEMENTATION ? word(implementation) : word('0') };
+      }
+      return { error: { code: -32000, message: 'execution reverted' } };
+    });
+
+    const result = await fetchOnChainData(TOKEN, CHAIN_IDS.BASE);
+
+    expect(result.isProxy).toBe(true);
+    expect(result.implementationAddress).toBe(implementation);
+    expect(result.canPause).toBe(true);
+    expect(result.ownershipRenounced).toBeUndefined();
+  });
+
+  test('should only match selectors the contract pushes, including PUSH3 for a leading zero byte', async () => {
+    // mint() selector hidden inside PUSH32 data, blockBots() pushed with PUSH3
+    const pushData = '7f' + '0000006340c10f19'.padEnd(64, '0');
+    mockRpc(({ method }) => {
+      if (method === 'eth_getCode') return { result: '0x6080604052' + pushData + '62b8cf2a' };
+      if (method === 'eth_getStorageAt') return { result: word('0') };
+      return { error: { code: -32000, message: 'execution reverted' } };
+    });
+
+    const result = await fetchOnChainData(TOKEN, CHAIN_IDS.ETHEREUM);
+
+    expect(result.canMint).toBe(false);
+    expect(result.canBlacklist).toBe(true);
+    expect(result.maliciousSelectors).toEqual(['0x00b8cf2a']);
+  });
+
+  test('should return null when no contract is deployed', async () => {
+    mockRpc(() => ({ result: '0x' }));
+
+    expect(await fetchOnChainData(TOKEN, CHAIN_IDS.BSC)).toBeNull();
+  });
+
+  test('should skip Solana', async () => {
+    expect(await fetchOnChainData(TOKEN, CHAIN_IDS.SOLANA)).toBeNull();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('provider registry', () => {
+  afterEach(() => {
+    unregisterProvider('test');
+  });
+
+  test('should register the built-in providers per chain', () => {
+    const evm = getProviders(CHAIN_IDS.ETHEREUM).map(p => p.id);
+    const solana = getProviders(CHAIN_IDS.SOLANA).map(p => p.id);
+
+    expect(evm).toEqual(['dexScreener', 'goPlus', 'honeypot', 'onChain', 'launchAnalysis']);
+    expect(solana).toEqual(['dexScreener', 'rugCheck', 'solanaRpc']);
+  });
+
+  test('should reject providers without fetch or fields', () => {
+    expect(() => registerProvider({ id: 'test', fields: ['priceUsd'] })).toThrow();
+    expect(() => registerProvider({ id: 'test', fetch: async () => null })).toThrow();
+  });
+
+  test('should fetch from a registered provider into sources', async () => {
+    const fetchTest = jest.fn(async () => ({ sniperCount: 3 }));
+    registerProvider({
+      id: 'test',
+      chains: [CHAIN_IDS.BASE],
+      fields: ['sniperCount'],
+      priority: 50,
+      fetch: fetchTest
+    });
+    global.fetch.mockRejectedValue(new Error('offline'));
+
+    const result = await fetchAllTokenData(TOKEN, CHAIN_IDS.BASE);
+
+    expect(fetchTest).toHaveBeenCalledWith(TOKEN, CHAIN_IDS.BASE, expect.any(Object));
+    expect(result.sources.test).toEqual({ sniperCount: 3 });
+    expect(result.merged.sniperCount).toBe(3);
+  });
+
+  test('should report saturation of the busiest rate limiter', async () => {
+    registerProvider({
+      id: 'test',
+      chains: [CHAIN_IDS.BASE],
+      fields: ['sniperCount'],
+      rateLimit: 2,
+      fetch: async () => null
+    });
+    const { limiter } = getProviders(CHAIN_IDS.BASE).find(p => p.id === 'test');
+
+    await limiter.acquire();
+    expect(getRateLimitPressure()).toBeGreaterThanOrEqual(0.5);
+
+    await limiter.acquire();
+    expect(getRateLimitPressure()).toBe(1);
+  });
+
+  test('should reuse cached responses that are still fresh', async () => {
+    const fetchTest = jest.fn(async () => ({ sniperCount: 3 }));
+    registerProvider({
+      id: 'test',
+      chains: [CHAIN_IDS.BASE],
+      fields: ['sniperCount'],
+      cacheTtl: 60000,
+      fetch: fetchTest
+    });
+    const timestamp = Date.now() - 1000;
+
+    const result = await fetchAllTokenData(TOKEN, CHAIN_IDS.BASE, {
+      providers: ['test'],
+      cachedSources: { test: { data: { sniperCount: 1 }, timestamp } }
+    });
+
+    expect(fetchTest).not.toHaveBeenCalled();
+    expect(result.merged.sniperCount).toBe(1);
+    expect(result.fetchedSources).toEqual({});
+    expect(result.oldestSourceAt).toBe(timestamp);
+  });
+
+  test('should not age the result by responses cached longer than security data', async () => {
+    registerProvider({
+      id: 'test',
+      chains: [CHAIN_IDS.BASE],
+      fields: ['sniperCount'],
+      cacheTtl: CACHE_CONFIG.LAUNCH_TTL,
+      fetch: jest.fn(async () => ({ sniperCount: 3 }))
+    });
+    const timestamp = Date.now() - CACHE_CONFIG.SECURITY_TTL - 1000;
+
+    const result = await fetchAllTokenData(TOKEN, CHAIN_IDS.BASE, {
+      providers: ['test'],
+      cachedSources: { test: { data: { sniperCount: 1 }, timestamp } }
+    });
+
+    expect(result.merged.sniperCount).toBe(1);
+    expect(result.oldestSourceAt).toBe(result.timestamp);
+  });
+
+  test('should refetch providers whose cached response is stale', async () => {
+    const fetchTest = jest.fn(async () => ({ sniperCount: 3 }));
+    registerProvider({
+      id: 'test',
+      chains: [CHAIN_IDS.BASE],
+      fields: ['sniperCount'],
+      cacheTtl: 60000,
+      fetch: fetchTest
+    });
+
+    const result = await fetchAllTokenData(TOKEN, CHAIN_IDS.BASE, {
+      providers: ['test'],
+      cachedSources: { test: { data: { sniperCount: 1 }, timestamp: Date.now() - 120000 } }
+    });
+
+    expect(fetchTest).toHaveBeenCalledTimes(1);
+    expect(result.merged.sniperCount).toBe(3);
+    expect(result.fetchedSources).toEqual({ test: { sniperCount: 3 } });
+  });
+});
+
+describe('provider health', () => {
+  const healthOf = (id) => getProviderHealth().find(p => p.id === id);
+
+  afterEach(() => {
+    unregisterProvider('flaky');
+    jest.restoreAllMocks();
+    for (const id of ['goPlus', 'onChain']) {
+      const provider = getProviders(CHAIN_IDS.ETHEREUM).find(p => p.id === id);
+      provider.limiter.pausedUntil = 0;
+      provider.breaker.recordSuccess();
+    }
+  });
+
+  const registerFlaky = (fetch) => registerProvider({
+    id: 'flaky',
+    name: 'Flaky',
+    chains: [CHAIN_IDS.BASE],
+    fields: ['sniperCount'],
+    fetch
+  });
+
+  test('should stop calling a provider after repeated failures', async () => {
+    const fetchFlaky = jest.fn().mockRejectedValue(new Error('boom'));
+    registerFlaky(fetchFlaky);
+
+    for (let i = 0; i < CIRCUIT_BREAKER.FAILURE_THRESHOLD; i++) {
+      await fetchAllTokenData(TOKEN, CHAIN_IDS.BASE, { providers: ['flaky'] });
+    }
+    const result = await fetchAllTokenData(TOKEN, CHAIN_IDS.BASE, { providers: ['flaky'] });
+
+    expect(fetchFlaky).toHaveBeenCalledTimes(CIRCUIT_BREAKER.FAILURE_THRESHOLD);
+    expect(result.unavailable).toEqual(['flaky']);
+    expect(healthOf('flaky')).toMatchObject({ status: 'down', lastError: 'boom' });
+  });
+
+  test('should let one trial call through after the cooldown', async () => {
+    const fetchFlaky = jest.fn().mockRejectedValue(new Error('boom'));
+    registerFlaky(fetchFlaky);
+    for (let i = 0; i < CIRCUIT_BREAKER.FAILURE_THRESHOLD; i++) {
+      await fetchAllTokenData(TOKEN, CHAIN_IDS.BASE, { providers: ['flaky'] });
+    }
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + CIRCUIT_BREAKER.COOLDOWN + 1000);
+    expect(healthOf('flaky').status).toBe('recovering');
+
+    fetchFlaky.mockResolvedValue({ sniperCount: 1 });
+    const result = await fetchAllTokenData(TOKEN, CHAIN_IDS.BASE, { providers: ['flaky'] });
+
+    expect(result.sources.flaky).toEqual({ sniperCount: 1 });
+    expect(healthOf('flaky')).toMatchObject({ status: 'ok', failures: 0 });
+  });
+
+  test('should pause a provider for the Retry-After period of a 429', async () => {
+    global.fetch.mockResolvedValue({
+      ok: false,
+      status: 429,
+      headers: { get: (name) => (name === 'Retry-After' ? '120' : null) }
+    });
+
+    expect(await fetchGoPlusData(TOKEN, CHAIN_IDS.ETHEREUM)).toBeNull();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    const health = healthOf('goPlus');
+    expect(health.status).toBe('rate-limited');
+    expect(health.retryAt).toBeGreaterThan(Date.now() + 110000);
+
+    const result = await fetchAllTokenData(TOKEN, CHAIN_IDS.ETHEREUM, { providers: ['goPlus'] });
+    expect(result.unavailable).toEqual(['goPlus']);
+  });
+
+  test('should report unreachable when every provider fails', async () => {
+    registerFlaky(jest.fn().mockRejectedValue(new Error('offline')));
+
+    const result = await fetchAllTokenData(TOKEN, CHAIN_IDS.BASE, { providers: ['flaky'] });
+
+    expect(result.failed).toEqual(['flaky']);
+    expect(result.unreachable).toBe(true);
+  });
+
+  test('should not report unreachable for tokens no provider knows', async () => {
+    registerFlaky(jest.fn().mockResolvedValue(null));
+
+    const result = await fetchAllTokenData(TOKEN, CHAIN_IDS.BASE, { providers: ['flaky'] });
+
+    expect(result.failed).toEqual([]);
+    expect(result.unreachable).toBe(false);
+  });
+
+  test('should count a failed RPC provider call once, with a rate limit slot per attempt', async () => {
+    global.fetch.mockRejectedValue(new Error('network down'));
+    const onChain = getProviders(CHAIN_IDS.BASE).find(p => p.id === 'onChain');
+    const slotsBefore = onChain.limiter.requests.length;
+
+    const result = await fetchAllTokenData(TOKEN, CHAIN_IDS.BASE, { providers: ['onChain'] });
+
+    // One retry
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(onChain.limiter.requests.length - slotsBefore).toBe(2);
+    expect(result.failed).toEqual(['onChain']);
+    expect(healthOf('onChain')).toMatchObject({ status: 'degraded', failures: 1, lastError: 'network down' });
+  });
+
+  test('should not count JSON-RPC errors against a provider', async () => {
+    mockRpc(() => ({ error: { code: -32000, message: 'query returned more than 10000 results' } }));
+
+    expect(await fetchLaunchAnalysis(TOKEN, CHAIN_IDS.ETHEREUM, { pairAddress: TOKEN, createdAt: Date.now() })).toBeNull();
+    expect(healthOf('launchAnalysis')).toMatchObject({ status: 'ok', failures: 0 });
+  });
+
+  test('should not count client errors against a provider', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 404 });
+
+    expect(await fetchGoPlusData(TOKEN, CHAIN_IDS.ETHEREUM)).toBeNull();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(healthOf('goPlus')).toMatchObject({ status: 'ok', failures: 0 });
+  });
+});
+
+describe('mergeTokenData', () => {
+  test('should take each field from the highest-priority provider with a value', () => {
+    const merged = mergeTokenData({
+      dexScreener: { tokenSymbol: 'ABC', liquidity: 50000 },
+      goPlus: { tokenSymbol: 'XYZ', canMint: undefined, ownershipRenounced: false },
+      onChain: { canMint: true, ownershipRenounced: true }
+    }, CHAIN_IDS.ETHEREUM);
+
+    expect(merged.tokenSymbol).toBe('ABC');
+    expect(merged.canMint).toBe(true);
+    expect(merged.ownershipRenounced).toBe(false);
+  });
+
+  test('should prefer simulated taxes over static analysis', () => {
+    const merged = mergeTokenData({
+      goPlus: { buyTax: 0, sellTax: 0 },
+      honeypot: { buyTax: 5, sellTax: 12 }
+    }, CHAIN_IDS.BSC);
+
+    expect(merged.buyTax).toBe(5);
+    expect(merged.sellTax).toBe(12);
+  });
+
+  test('should ignore providers for other chains', () => {
+    const merged = mergeTokenData({
+      goPlus: { isHoneypot: true },
+      rugCheck: { isHoneypot: false }
+    }, CHAIN_IDS.SOLANA);
+
+    expect(merged.isHoneypot).toBe(false);
+  });
+
+  test('should record which provider supplied each field', () => {
+    const merged = mergeTokenData({
+      dexScreener: { liquidity: 50000 },
+      goPlus: { canMint: false, buyTax: 0 },
+      honeypot: { buyTax: 1 }
+    }, CHAIN_IDS.ETHEREUM);
+
+    expect(merged.provenance).toEqual({ liquidity: 'dexScreener', canMint: 'goPlus', buyTax: 'honeypot' });
+    expect(merged.conflicts).toEqual([]);
+  });
+
+  test('should report providers that disagree', () => {
+    const merged = mergeTokenData({
+      goPlus: { isHoneypot: false, sellTax: 0 },
+      honeypot: { isHoneypot: true, sellTax: 25 }
+    }, CHAIN_IDS.ETHEREUM);
+
+    expect(merged.isHoneypot).toBe(false);
+    expect(merged.conflicts).toEqual([
+      {
+        field: 'isHoneypot',
+        chosen: 'goPlus',
+        values: [{ source: 'goPlus', value: false }, { source: 'honeypot', value: true }]
+      },
+      {
+        field: 'sellTax',
+        chosen: 'honeypot',
+        values: [{ source: 'goPlus', value: 0 }, { source: 'honeypot', value: 25 }]
+      }
+    ]);
+  });
+});
+
+describe('fetchGoPlusData', () => {
+  test('should derive LP lock status, lock time and audit status from LP holders', async () => {
+    const unlock = new Date(Date.now() + 200 * 24 * 60 * 60 * 1000).toISOString();
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        code: 1,
+        result: {
+          [TOKEN]: {
+            trust_list: '1',
+            lp_holders: [
+              { address: '0x000000000000000000000000000000000000dead', percent: '0.40', is_locked: 1 },
+              { address: '0xabc', percent: '0.55', is_locked: 1, locked_detail: [{ end_time: unlock }] },
+              { address: '0xdef', percent: '0.05', is_locked: 0 }
+            ]
+          }
+        }
+      })
+    });
+
+    const result = await fetchGoPlusData(TOKEN, CHAIN_IDS.ETHEREUM);
+    const lockDays = result.lockDuration / (24 * 60 * 60 * 1000);
+
+    expect(result.liquidityLocked).toBe(true);
+    expect(result.lpBurned).toBe(false);
+    expect(result.lpLockedPercent).toBeCloseTo(55);
+    expect(lockDays).toBeGreaterThan(199);
+    expect(lockDays).toBeLessThanOrEqual(200);
+    expect(result.isAudited).toBe(true);
+  });
+});
+
+describe('analyzePairs', () => {
+  const pair = (overrides) => ({
+    chainId: CHAIN_IDS.BSC,
+    pairAddress: '0xpair',
+    dexId: 'pancakeswap',
+    quoteSymbol: 'WBNB',
+    quoteAddress: '0xwbnb',
+    priceUsd: 1,
+    liquidity: 50000,
+    ...overrides
+  });
+
+  test('should total liquidity and split it by quote token', () => {
+    const result = analyzePairs([
+      pair({ liquidity: 60000 }),
+      pair({ liquidity: 30000, quoteSymbol: 'USDT', quoteAddress: '0xusdt' }),
+      pair({ liquidity: 10000, dexId: 'biswap' })
+    ], CHAIN_IDS.BSC);
+
+    expect(result.totalLiquidity).toBe(100000);
+    expect(result.pairCount).toBe(3);
+    expect(result.liquidityByQuote).toEqual([
+      { symbol: 'WBNB', address: '0xwbnb', liquidity: 70000, percent: 70 },
+      { symbol: 'USDT', address: '0xusdt', liquidity: 30000, percent: 30 }
+    ]);
+  });
+
+  test('should mark thin pairs with an inflated price as suspicious', () => {
+    const result = analyzePairs([
+      pair({ liquidity: 50000, priceUsd: 1 }),
+      pair({ liquidity: 200, priceUsd: 40, quoteSymbol: 'FAKE', quoteAddress: '0xfake' }),
+      pair({ liquidity: 300, priceUsd: 1.1 })
+    ], CHAIN_IDS.BSC);
+
+    expect(result.pairs.map(p => p.suspicious)).toEqual([false, true, false]);
+    expect(result.suspiciousPairCount).toBe(1);
+    expect(result.totalLiquidity).toBe(50300);
+  });
+
+  test('should flag pairs on other chains and leave them out of the totals', () => {
+    const result = analyzePairs([
+      pair({ chainId: CHAIN_IDS.ETHEREUM, liquidity: 900000 }),
+      pair({ liquidity: 50000 }),
+      pair({ chainId: null, dexChain: 'sui', liquidity: 1000 })
+    ], CHAIN_IDS.BSC);
+
+    expect(result.pairs.map(p => p.chainMismatch)).toEqual([true, false, true]);
+    expect(result.mismatchedPairCount).toBe(2);
+    expect(result.pairCount).toBe(1);
+    expect(result.totalLiquidity).toBe(50000);
+  });
+});
+
+describe('fetchDexScreenerData', () => {
+  test('should take token fields from the most liquid pair on the scanned chain', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        pairs: [
+          { chainId: 'ethereum', pairAddress: '0xeth', priceUsd: '2', liquidity: { usd: 900000 }, baseToken: { symbol: 'ABC' }, quoteToken: { symbol: 'WETH' } },
+          { chainId: 'bsc', pairAddress: '0xbsc', priceUsd: '1', liquidity: { usd: 40000 }, baseToken: { symbol: 'ABC' }, quoteToken: { symbol: 'WBNB' } }
+        ]
+      })
+    });
+
+    const result = await fetchDexScreenerData(TOKEN, CHAIN_IDS.BSC);
+
+    expect(result.pairAddress).toBe('0xbsc');
+    expect(result.liquidity).toBe(40000);
+    expect(result.totalLiquidity).toBe(40000);
+    expect(result.mismatchedPairCount).toBe(1);
+    expect(result.pairs).toHaveLength(2);
+  });
+});
+
+describe('fetchLaunchAnalysis', () => {
+  const PAIR = '0x9999999999999999999999999999999999999999';
+  const LAUNCH_BLOCK = 1000;
+
+  test('should count snipers and bundled buys in the first blocks', async () => {
+    const buy = (block, buyer) => ({
+      blockNumber: '0x' + block.toString(16),
+      topics: ['0xddf252ad', word(PAIR), word(buyer)]
+    });
+    mockRpc(({ method, params }) => {
+      if (method === 'eth_getBlockByNumber') {
+        // One block per 12 seconds from genesis at t=0
+        const number = params[0] === 'latest' ? 2000 : parseInt(params[0], 16);
+        return { result: { number: '0x' + number.toString(16), timestamp: '0x' + (number * 12).toString(16) } };
+      }
+      if (method === 'eth_getLogs') {
+        expect(params[0].fromBlock).toBe('0x' + LAUNCH_BLOCK.toString(16));
+        return {
+          result: [
+            buy(1001, 'a1'), buy(1001, 'a2'), buy(1001, 'a3'), buy(1001, 'a4'),
+            buy(1002, 'b1'), buy(1003, 'b2'), buy(1010, 'c1')
+          ]
+        };
+      }
+      return { error: { code: -32601, message: 'method not found' } };
+    });
+
+    const result = await fetchLaunchAnalysis(TOKEN, CHAIN_IDS.ETHEREUM, {
+      pairAddress: PAIR,
+      createdAt: LAUNCH_BLOCK * 12 * 1000 + 5000
+    });
+
+    expect(result.launchBlock).toBe(1001);
+    expect(result.bundledBuys).toBe(4);
+    expect(result.sniperCount).toBe(6);
+    expect(result.hasSuspiciousActivity).toBe(true);
+  });
+
+  test('should return null without a pair on this chain', async () => {
+    expect(await fetchLaunchAnalysis(TOKEN, CHAIN_IDS.ETHEREUM, undefined)).toBeNull();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
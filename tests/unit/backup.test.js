@@ -0,0 +1,254 @@
+/**
+ * Safe CA - Unit Tests for Export and Import
+ */
+
+import {
+  createExport,
+  validateExport,
+  applyImport,
+  watchlistToCsv,
+  historyToCsv
+} from '../../src/utils/backup.js';
+import { DEFAULT_SETTINGS, EXPORT_CONFIG } from '../../src/utils/constants.js';
+
+const ADDRESS_A = '0x' + 'a'.repeat(40);
+const ADDRESS_B = '0x' + 'b'.repeat(40);
+
+const item = (address, overrides = {}) => ({
+  address,
+  chain: '1',
+  tokenSymbol: 'TEST',
+  score: 70,
+  tags: [],
+  notes: '',
+  group: null,
+  costBasis: null,
+  ...overrides
+});
+
+const entry = (address, timestamp, overrides = {}) => ({
+  address,
+  chain: '1',
+  tokenSymbol: 'TEST',
+  score: 70,
+  source: { type: 'popup', url: null, author: null },
+  timestamp,
+  ...overrides
+});
+
+const exportOf = (data = {}) => ({
+  format: EXPORT_CONFIG.FORMAT,
+  version: EXPORT_CONFIG.VERSION,
+  watchlist: [],
+  settings: {},
+  allowedWebsites: [],
+  history: [],
+  ...data
+});
+
+describe('createExport', () => {
+  test('should tag the export and split allowed websites out of settings', () => {
+    const data = createExport({
+      watchlist: [item(ADDRESS_A)],
+      settings: { darkMode: false, allowedWebsites: ['x.com'] },
+      history: []
+    });
+
+    expect(data).toMatchObject({ format: EXPORT_CONFIG.FORMAT, version: EXPORT_CONFIG.VERSION });
+    expect(data.settings).toEqual({ darkMode: false });
+    expect(data.allowedWebsites).toEqual(['x.com']);
+    expect(data.watchlist).toHaveLength(1);
+  });
+
+  test('should pass its own validation', () => {
+    const data = createExport({ watchlist: [item(ADDRESS_A)], settings: DEFAULT_SETTINGS, history: [entry(ADDRESS_B, 1)] });
+    expect(validateExport(data)).toEqual({ valid: true, errors: [] });
+  });
+});
+
+describe('validateExport', () => {
+  test('should reject files that are not exports', () => {
+    expect(validateExport(null).valid).toBe(false);
+    expect(validateExport({ watchlist: [] }).errors).toContain('Not a Safe CA export');
+  });
+
+  test('should reject newer versions', () => {
+    const { valid, errors } = validateExport(exportOf({ version: EXPORT_CONFIG.VERSION + 1 }));
+    expect(valid).toBe(false);
+    expect(errors[0]).toMatch(/Unsupported export version/);
+  });
+
+  test('should reject sections of the wrong type', () => {
+    expect(validateExport(exportOf({ watchlist: {} })).errors).toContain('watchlist must be a list');
+    expect(validateExport(exportOf({ settings: [] })).errors).toContain('settings must be an object');
+  });
+
+  test('should reject invalid addresses, chains and websites', () => {
+    const { errors } = validateExport(exportOf({
+      watchlist: [item('0x123'), item(ADDRESS_A, { chain: '999' })],
+      history: [entry('not-an-address', 1)],
+      allowedWebsites: ['https://x.com/<script>']
+    }));
+
+    expect(errors).toHaveLength(4);
+  });
+
+  test('should validate custom rules', () => {
+    const { valid, errors } = validateExport(exportOf({ settings: { customRules: [{ id: 'r1' }] } }));
+    expect(valid).toBe(false);
+    expect(errors[0]).toMatch(/^Custom rule 1:/);
+  });
+});
+
+describe('applyImport', () => {
+  const current = {
+    watchlist: [item(ADDRESS_A, { score: 80, tags: ['ai'], notes: 'mine' })],
+    settings: { ...DEFAULT_SETTINGS, darkMode: true, allowedWebsites: ['x.com'] },
+    history: [entry(ADDRESS_A, 200)]
+  };
+
+  test('should merge watchlist items, keeping current data and combining tags', () => {
+    const result = applyImport(current, exportOf({
+      watchlist: [
+        item(ADDRESS_A.toUpperCase().replace('0X', '0x'), { score: 10, tags: ['ai', 'meme'], notes: 'theirs', group: 'Memes' }),
+        item(ADDRESS_B)
+      ]
+    }), 'merge', 50);
+
+    expect(result.watchlist).toHaveLength(2);
+    expect(result.watchlist[0]).toMatchObject({ score: 80, tags: ['ai', 'meme'], notes: 'mine', group: 'Memes' });
+    expect(result.skipped).toBe(0);
+  });
+
+  test('should merge settings, websites and history', () => {
+    const result = applyImport(current, exportOf({
+      settings: { darkMode: false, unknownKey: 1, notifications: 'yes' },
+      allowedWebsites: ['dexscreener.com', 'x.com'],
+      history: [entry(ADDRESS_A, 100), entry(ADDRESS_B, 300)]
+    }), 'merge', 50);
+
+    expect(result.settings.darkMode).toBe(false);
+    expect(result.settings).not.toHaveProperty('unknownKey');
+    expect(result.settings.notifications).toBe(true);
+    expect(result.settings.allowedWebsites).toEqual(['x.com', 'dexscreener.com']);
+    expect(result.history.map(e => e.timestamp)).toEqual([300, 200]);
+  });
+
+  test('should replace everything in replace mode', () => {
+    const result = applyImport(current, exportOf({
+      watchlist: [item(ADDRESS_B)],
+      settings: { darkMode: false },
+      allowedWebsites: ['dexscreener.com']
+    }), 'replace', 50);
+
+    expect(result.watchlist.map(i => i.address)).toEqual([ADDRESS_B]);
+    expect(result.history).toEqual([]);
+    expect(result.settings).toEqual({ ...DEFAULT_SETTINGS, darkMode: false, allowedWebsites: ['dexscreener.com'] });
+  });
+
+  test('should respect the watchlist size limit', () => {
+    const result = applyImport(current, exportOf({ watchlist: [item(ADDRESS_B)] }), 'merge', 1);
+
+    expect(result.watchlist).toHaveLength(1);
+    expect(result.skipped).toBe(1);
+  });
+
+  test('should fill in missing metadata on imported items', () => {
+    const result = applyImport(current, exportOf({ watchlist: [{ address: ADDRESS_B, chain: '1' }] }), 'replace', 50);
+    expect(result.watchlist[0]).toMatchObject({ tags: [], notes: '', group: null, snapshots: [] });
+  });
+
+  test('should not let malformed tags and snapshots through', () => {
+    const result = applyImport(current, exportOf({
+      watchlist: [item(ADDRESS_A, { tags: 'meme', snapshots: 'x' }), item(ADDRESS_B, { snapshots: [{ t: 1, s: 50 }, { s: 60 }, null] })]
+    }), 'merge', 50);
+
+    expect(result.watchlist[0].tags).toEqual(['ai']);
+    expect(result.watchlist[1].tags).toEqual([]);
+    expect(result.watchlist[1].snapshots).toEqual([{ t: 1, s: 50 }]);
+  });
+
+  test('should keep only known fields of the expected type', () => {
+    const result = applyImport(current, exportOf({
+      watchlist: [item(ADDRESS_B, {
+        score: '<img src=x onerror=alert(1)>',
+        riskLevel: '"><script>',
+        liquidity: 5000,
+        costBasis: { entryPrice: '"><b>', amount: 3 },
+        baseline: { score: 60, liquidity: 'lots' },
+        alertThresholds: { SCORE_DROP: 5, LIQUIDITY_DROP: 'x', EVIL: 1 },
+        lastChanges: [{ message: '<b>' }],
+        unknownField: 1
+      })]
+    }), 'replace', 50);
+    const [imported] = result.watchlist;
+
+    expect(imported).not.toHaveProperty('score');
+    expect(imported).not.toHaveProperty('riskLevel');
+    expect(imported).not.toHaveProperty('lastChanges');
+    expect(imported).not.toHaveProperty('unknownField');
+    expect(imported.liquidity).toBe(5000);
+    expect(imported.costBasis).toBeNull();
+    expect(imported.baseline).toMatchObject({ score: 60, liquidity: undefined });
+    expect(imported.alertThresholds).toEqual({ SCORE_DROP: 5 });
+  });
+
+  test('should rebuild imported history entries from typed fields', () => {
+    const result = applyImport(current, exportOf({
+      history: [entry(ADDRESS_B, 300, {
+        score: '<img src=x onerror=alert(1)>',
+        riskLevel: '"><script>',
+        confidence: 80,
+        source: { type: 'page', url: 'javascript:alert(1)', author: { name: 'x' } },
+        unknownField: 1
+      }), entry(ADDRESS_A, 'yesterday', { source: { type: 'page', url: 'https://x.com/a/status/1', author: '@a' } })]
+    }), 'replace', 50);
+    const [imported, dated] = result.history;
+
+    expect(imported).not.toHaveProperty('score');
+    expect(imported).not.toHaveProperty('riskLevel');
+    expect(imported).not.toHaveProperty('unknownField');
+    expect(imported.confidence).toBe(80);
+    expect(imported.source).toEqual({ type: 'page', url: null, author: null });
+    expect(dated.timestamp).toEqual(expect.any(Number));
+    expect(dated.source).toEqual({ type: 'page', url: 'https://x.com/a/status/1', author: '@a' });
+  });
+
+  test('should collapse duplicate items in replace mode', () => {
+    const result = applyImport(current, exportOf({
+      watchlist: [item(ADDRESS_B, { tags: ['a'] }), item(ADDRESS_B.toUpperCase().replace('0X', '0x'), { tags: ['b'] })]
+    }), 'replace', 50);
+
+    expect(result.watchlist).toHaveLength(1);
+    expect(result.watchlist[0].tags).toEqual(['a', 'b']);
+  });
+});
+
+describe('CSV export', () => {
+  test('should write a header and one row per item', () => {
+    const csv = watchlistToCsv([item(ADDRESS_A, { tags: ['ai', 'meme'], costBasis: { entryPrice: 0.5, amount: 10 } })]);
+    const [header, row] = csv.split('\r\n');
+
+    expect(header.startsWith('Symbol,Name,Address,Chain')).toBe(true);
+    expect(row).toContain(ADDRESS_A);
+    expect(row).toContain('ai meme');
+    expect(row).toContain('0.5,10');
+  });
+
+  test('should quote cells with commas, quotes and newlines', () => {
+    const csv = watchlistToCsv([item(ADDRESS_A, { notes: 'said "buy", then\nsold' })]);
+    expect(csv).toContain('"said ""buy"", then\nsold"');
+  });
+
+  test('should neutralize cells that spreadsheets would run as formulas', () => {
+    const csv = historyToCsv([entry(ADDRESS_A, 1, { tokenSymbol: '=HYPERLINK("x")', score: -5 })]);
+    expect(csv).toContain(`"'=HYPERLINK(""x"")"`);
+    expect(csv).toContain(',-5,');
+  });
+
+  test('should neutralize formulas that start like a negative number', () => {
+    const csv = historyToCsv([entry(ADDRESS_A, 1, { tokenName: "-1+1+cmd|' /C calc'!A0", tokenSymbol: '-2.5' })]);
+    expect(csv).toContain(`'-1+1+cmd|' /C calc'!A0`);
+    expect(csv).toContain(',-2.5,');
+  });
+});
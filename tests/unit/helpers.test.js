@@ -19,10 +19,14 @@ import {
   throttle,
   sleep,
   safeJsonParse,
-  generateId
+  generateId,
+  createNotificationId,
+  parseNotificationId,
+  parseRetryAfter,
+  retryWithBackoff
 } from '../../src/utils/helpers.js';
 
-import { CHAIN_IDS } from '../../src/utils/constants.js';
+import { CHAIN_IDS, RATE_LIMIT } from '../../src/utils/constants.js';
 
 describe('Address Validation', () => {
   describe('isEVMAddress', () => {
@@ -331,4 +335,60 @@ describe('Utility Functions', () => {
       expect(id1.length).toBeGreaterThan(0);
     });
   });
+
+  describe('notification IDs', () => {
+    test('should round-trip a token reference', () => {
+      const ref = { address: '0x6982508145454ce325ddbe47a25d4ec3d2311933', chain: '1', field: 'liquidity' };
+      expect(parseNotificationId(createNotificationId(ref))).toEqual(ref);
+    });
+
+    test('should keep addresses and fields containing separators intact', () => {
+      const ref = { address: 'So1-ana:Mint-Address', chain: 'solana', field: 'sell-tax' };
+      expect(parseNotificationId(createNotificationId(ref))).toEqual(ref);
+    });
+
+    test('should return null for other notifications', () => {
+      expect(parseNotificationId('welcome')).toBeNull();
+      expect(parseNotificationId('test-123')).toBeNull();
+      expect(parseNotificationId('watchlist:1:not-json')).toBeNull();
+    });
+  });
+});
+
+describe('Retry Utilities', () => {
+  describe('parseRetryAfter', () => {
+    test('should parse delays in seconds', () => {
+      expect(parseRetryAfter('120')).toBe(120000);
+      expect(parseRetryAfter('0')).toBe(0);
+    });
+
+    test('should parse HTTP dates', () => {
+      const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT');
+      expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:30 GMT', now)).toBe(30000);
+      expect(parseRetryAfter('Wed, 21 Oct 2026 07:27:00 GMT', now)).toBe(0);
+    });
+
+    test('should return null for missing or invalid headers', () => {
+      expect(parseRetryAfter(null)).toBeNull();
+      expect(parseRetryAfter('soon')).toBeNull();
+    });
+  });
+
+  describe('retryWithBackoff', () => {
+    test('should not retry client errors', async () => {
+      const error = Object.assign(new Error('HTTP 404'), { status: 404 });
+      const fn = jest.fn().mockRejectedValue(error);
+
+      await expect(retryWithBackoff(fn)).rejects.toBe(error);
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test('should give up at once when Retry-After is too long to wait', async () => {
+      const error = Object.assign(new Error('HTTP 429'), { status: 429, retryAfter: RATE_LIMIT.MAX_RETRY_WAIT + 1 });
+      const fn = jest.fn().mockRejectedValue(error);
+
+      await expect(retryWithBackoff(fn)).rejects.toBe(error);
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+  });
 });
@@ -0,0 +1,177 @@
+/**
+ * Safe CA - Unit Tests for Storage Migrations
+ */
+
+import { MIGRATIONS, SCHEMA_VERSION, runMigrations } from '../../src/utils/migrations.js';
+import { storage, settings } from '../../src/utils/storage.js';
+import { STORAGE_KEYS, DEFAULT_SETTINGS, WATCHLIST_CONFIG, SCORING_PROFILES } from '../../src/utils/constants.js';
+import { validateScoringProfile } from '../../src/utils/scoring.js';
+import { deepClone } from '../../src/utils/helpers.js';
+import { UNVERSIONED, SINGLE_BLOB_CACHE, CURRENT } from '../fixtures/storage-snapshots.js';
+
+describe('MIGRATIONS', () => {
+  test('should be in strictly increasing version order', () => {
+    const versions = MIGRATIONS.map(m => m.version);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(new Set(versions).size).toBe(versions.length);
+    expect(SCHEMA_VERSION).toBe(versions[versions.length - 1]);
+  });
+});
+
+describe('runMigrations', () => {
+  test('should upgrade unversioned data to the current schema', () => {
+    const { data, version, applied } = runMigrations(deepClone(UNVERSIONED));
+
+    expect(version).toBe(SCHEMA_VERSION);
+    expect(applied).toEqual(MIGRATIONS.map(m => m.version));
+    expect(data[STORAGE_KEYS.SCHEMA_VERSION]).toBe(SCHEMA_VERSION);
+  });
+
+  test('should fill new nested settings defaults and keep user choices', () => {
+    const { data } = runMigrations(deepClone(UNVERSIONED));
+    const migrated = data[STORAGE_KEYS.SETTINGS];
+
+    expect(migrated.showBadges).toBe(false);
+    expect(migrated.allowedWebsites).toEqual(['x.com', 'dexscreener.com']);
+    expect(migrated.alertThresholds).toEqual({
+      ...WATCHLIST_CONFIG.ALERT_THRESHOLDS,
+      SCORE_DROP: 15,
+      LIQUIDITY_DROP: 30
+    });
+    expect(migrated.baselineMode).toBe(DEFAULT_SETTINGS.baselineMode);
+  });
+
+  test('should give old watchlist items metadata, snapshots and a full baseline', () => {
+    const { data } = runMigrations(deepClone(UNVERSIONED));
+    const [old, bare] = data[STORAGE_KEYS.WATCHLIST];
+
+    expect(old).toMatchObject({ tags: [], notes: '', group: null, costBasis: null, snapshots: [], addedAt: 1700000000000 });
+    // Stored baseline values win over the current data
+    expect(old.baseline).toMatchObject({ score: 72, liquidity: 80000, confidence: 70 });
+    expect(bare.baseline).toMatchObject({ score: 40, liquidity: 5000 });
+  });
+
+  test('should give old history entries a source', () => {
+    const { data } = runMigrations(deepClone(UNVERSIONED));
+    expect(data[STORAGE_KEYS.SCAN_HISTORY][0].source).toEqual({ type: 'unknown', url: null, author: null });
+  });
+
+  test('should drop the single-blob token cache', () => {
+    const { data, applied } = runMigrations(deepClone(SINGLE_BLOB_CACHE));
+
+    expect(applied).toEqual([4, 5, 6]);
+    expect(data).not.toHaveProperty('safeca_cache');
+    expect(data[STORAGE_KEYS.SETTINGS]).toEqual(SINGLE_BLOB_CACHE[STORAGE_KEYS.SETTINGS]);
+  });
+
+  test('should add the token age factor to a saved custom profile', () => {
+    const { tokenAge, ...weights } = SCORING_PROFILES.balanced.weights;
+    const snapshot = {
+      ...deepClone(CURRENT),
+      safeca_settings: { customProfile: { ...SCORING_PROFILES.balanced, id: 'custom', weights: { ...weights, taxRate: weights.taxRate + tokenAge } } },
+      safeca_schema_version: 4
+    };
+    const { data, applied } = runMigrations(snapshot);
+    const profile = data[STORAGE_KEYS.SETTINGS].customProfile;
+
+    expect(applied).toEqual([5, 6]);
+    expect(profile.weights.tokenAge).toBe(0);
+    expect(validateScoringProfile(profile).valid).toBe(true);
+  });
+
+  test('should flag watchlist scores saved before the weights were rebalanced', () => {
+    const snapshot = {
+      ...deepClone(CURRENT),
+      safeca_watchlist: [{
+        address: '0xabc',
+        chain: '1',
+        score: 70,
+        baseline: { score: 72, liquidity: 1000 },
+        snapshots: [{ t: 1, s: 72, l: 1000 }]
+      }],
+      safeca_schema_version: 5
+    };
+    const { data, applied } = runMigrations(snapshot);
+    const [item] = data[STORAGE_KEYS.WATCHLIST];
+
+    expect(applied).toEqual([6]);
+    expect(item.rebaselineScore).toBe(true);
+    expect(item.rebaselinedAt).toEqual(expect.any(Number));
+    expect(item.baseline).toEqual({ score: 72, liquidity: 1000 });
+    // Score history stays for the sparkline
+    expect(item.snapshots).toEqual([{ t: 1, s: 72, l: 1000 }]);
+  });
+
+  test('should not run migrations for data already at the current version', () => {
+    const { data, applied } = runMigrations(deepClone(CURRENT));
+
+    expect(applied).toEqual([]);
+    expect(data).toEqual(CURRENT);
+  });
+
+  test('should only run migrations newer than the stored version', () => {
+    const migrations = [
+      { version: 1, migrate: jest.fn(data => data) },
+      { version: 2, migrate: jest.fn(data => ({ ...data, upgraded: true })) }
+    ];
+
+    const { data, applied } = runMigrations({ [STORAGE_KEYS.SCHEMA_VERSION]: 1 }, migrations);
+
+    expect(migrations[0].migrate).not.toHaveBeenCalled();
+    expect(applied).toEqual([2]);
+    expect(data.upgraded).toBe(true);
+  });
+});
+
+describe('StorageManager.migrate', () => {
+  let data;
+
+  const useSnapshot = (snapshot) => {
+    data = deepClone(snapshot);
+    storage.memoryCache.clear();
+    chrome.storage.local.get = jest.fn(async (key) => ({ [key]: data[key] }));
+    chrome.storage.local.set = jest.fn(async (items) => Object.assign(data, items));
+    chrome.storage.local.remove = jest.fn(async (key) => [].concat(key).forEach(k => delete data[k]));
+  };
+
+  beforeEach(() => {
+    useSnapshot(UNVERSIONED);
+  });
+
+  test('should write migrated data and the schema version', async () => {
+    expect(await storage.migrate()).toEqual(MIGRATIONS.map(m => m.version));
+
+    expect(data[STORAGE_KEYS.SCHEMA_VERSION]).toBe(SCHEMA_VERSION);
+    expect(data[STORAGE_KEYS.WATCHLIST][1].tags).toEqual([]);
+  });
+
+  test('should remove dropped keys and leave unchanged keys alone', async () => {
+    useSnapshot(SINGLE_BLOB_CACHE);
+
+    await storage.migrate();
+
+    expect(data).not.toHaveProperty('safeca_cache');
+    expect(chrome.storage.local.set).toHaveBeenCalledTimes(1);
+    expect(chrome.storage.local.set).toHaveBeenCalledWith({ [STORAGE_KEYS.SCHEMA_VERSION]: SCHEMA_VERSION });
+  });
+
+  test('should do nothing the second time', async () => {
+    await storage.migrate();
+    chrome.storage.local.set.mockClear();
+
+    expect(await storage.migrate()).toEqual([]);
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+  });
+});
+
+describe('SettingsManager.getAll', () => {
+  test('should fill missing fields in nested settings', async () => {
+    storage.memoryCache.clear();
+    chrome.storage.local.get = jest.fn(async (key) => ({
+      [key]: { alertThresholds: { SCORE_DROP: 5 } }
+    }));
+
+    const all = await settings.getAll();
+    expect(all.alertThresholds).toEqual({ ...WATCHLIST_CONFIG.ALERT_THRESHOLDS, SCORE_DROP: 5 });
+  });
+});
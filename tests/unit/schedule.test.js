@@ -0,0 +1,80 @@
+/**
+ * Safe CA - Unit Tests for Watchlist Poll Scheduling
+ */
+
+import {
+  isPollDue,
+  getBaseInterval,
+  scheduleNextPoll
+} from '../../src/utils/schedule.js';
+import { POLL_SCHEDULE, WATCHLIST_CONFIG } from '../../src/utils/constants.js';
+
+const NOW = 1700000000000;
+
+describe('isPollDue', () => {
+  test('should be due without a schedule or once the time has passed', () => {
+    expect(isPollDue({}, NOW)).toBe(true);
+    expect(isPollDue({ nextPollAt: NOW - 1 }, NOW)).toBe(true);
+    expect(isPollDue({ nextPollAt: NOW + 1 }, NOW)).toBe(false);
+  });
+});
+
+describe('getBaseInterval', () => {
+  test('should poll new and dangerous tokens fast', () => {
+    expect(getBaseInterval({ riskLevel: 'safe', createdAt: NOW - 60 * 60 * 1000 }, NOW)).toBe(POLL_SCHEDULE.FAST_INTERVAL);
+    expect(getBaseInterval({ riskLevel: 'danger' }, NOW)).toBe(POLL_SCHEDULE.FAST_INTERVAL);
+  });
+
+  test('should poll safe tokens slowly and others at the default', () => {
+    expect(getBaseInterval({ riskLevel: 'safe', createdAt: NOW - 30 * 24 * 60 * 60 * 1000 }, NOW)).toBe(POLL_SCHEDULE.SLOW_INTERVAL);
+    expect(getBaseInterval({ riskLevel: 'warning' }, NOW)).toBe(WATCHLIST_CONFIG.POLL_INTERVAL);
+  });
+});
+
+describe('scheduleNextPoll', () => {
+  const data = { riskLevel: 'warning' };
+
+  test('should back off while nothing changes', () => {
+    const first = scheduleNextPoll({}, data, { now: NOW });
+    const second = scheduleNextPoll(first, data, { now: NOW });
+
+    expect(second.stablePolls).toBe(2);
+    expect(second.pollInterval).toBeGreaterThan(first.pollInterval);
+    expect(second.nextPollAt).toBe(NOW + second.pollInterval);
+  });
+
+  test('should cap the stable back-off', () => {
+    const schedule = scheduleNextPoll({ stablePolls: 50 }, data, { now: NOW });
+    expect(schedule.pollInterval).toBe(WATCHLIST_CONFIG.POLL_INTERVAL * POLL_SCHEDULE.MAX_STABLE_MULTIPLIER);
+  });
+
+  test('should return to the base interval after a change', () => {
+    const schedule = scheduleNextPoll({ stablePolls: 5 }, data, { changed: true, now: NOW });
+    expect(schedule.stablePolls).toBe(0);
+    expect(schedule.pollInterval).toBe(WATCHLIST_CONFIG.POLL_INTERVAL);
+  });
+
+  test('should stretch intervals while rate limits are saturated', () => {
+    const idle = scheduleNextPoll({}, data, { changed: true, pressure: 0.2, now: NOW });
+    const busy = scheduleNextPoll({}, data, { changed: true, pressure: 0.9, now: NOW });
+    expect(busy.pollInterval).toBe(idle.pollInterval * POLL_SCHEDULE.BUSY_BACKOFF);
+  });
+
+  test('should stay within the allowed range', () => {
+    const schedule = scheduleNextPoll({ stablePolls: 50 }, { riskLevel: 'safe' }, { pressure: 1, now: NOW });
+    expect(schedule.pollInterval).toBe(POLL_SCHEDULE.MAX_INTERVAL);
+  });
+
+  test('should fall back to the stored item data when the scan failed', () => {
+    const schedule = scheduleNextPoll({ riskLevel: 'danger' }, null, { changed: true, now: NOW });
+    expect(schedule.pollInterval).toBe(POLL_SCHEDULE.FAST_INTERVAL);
+  });
+
+  test('should not count a failed scan as a stable poll', () => {
+    const item = { ...data, stablePolls: 2 };
+    const failed = scheduleNextPoll(item, null, { now: NOW });
+
+    expect(failed.stablePolls).toBe(2);
+    expect(failed.pollInterval).toBe(scheduleNextPoll({ ...item, stablePolls: 1 }, data, { now: NOW }).pollInterval);
+  });
+});
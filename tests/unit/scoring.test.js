@@ -4,9 +4,20 @@
 
 import {
   calculateSafetyScore,
+  calculateConfidence,
   getRiskLevel,
-  detectChanges
+  detectChanges,
+  getScoringProfile,
+  validateScoringProfile,
+  rescoreTokenData,
+  evaluateRules,
+  validateRule,
+  resolveBaseline,
+  filterAlerts,
+  getLaunchPhase,
+  upgradeScoringProfile
 } from '../../src/utils/scoring.js';
+import { SCORING_PROFILES, BASELINE_MODES } from '../../src/utils/constants.js';
 
 describe('calculateSafetyScore', () => {
   describe('Overall Score Calculation', () => {
@@ -97,6 +108,13 @@ describe('calculateSafetyScore', () => {
       expect(result.breakdown).toHaveProperty('tradingActivity');
     });
 
+    test('should score liquidity across all genuine pairs when known', () => {
+      const mainPairOnly = calculateSafetyScore({ liquidity: 5000 });
+      const allPairs = calculateSafetyScore({ liquidity: 5000, totalLiquidity: 200000 });
+      
+      expect(allPairs.breakdown.liquidityLock).toBeGreaterThan(mainPairOnly.breakdown.liquidityLock);
+    });
+
     test('should score liquidity correctly', () => {
       const lockedLiquidity = calculateSafetyScore({ liquidityLocked: true, liquidity: 200000 });
       const unlockedLiquidity = calculateSafetyScore({ liquidityLocked: false, liquidity: 5000 });
@@ -177,6 +195,14 @@ describe('calculateSafetyScore', () => {
       expect(ownerFlag.type).toBe('warning');
     });
 
+    test('should warn about thin pairs with an inflated price', () => {
+      const result = calculateSafetyScore({ suspiciousPairCount: 2 });
+      const pairFlag = result.flags.find(f => f.message.includes('inflated price'));
+      
+      expect(pairFlag).toBeDefined();
+      expect(pairFlag.type).toBe('warning');
+    });
+
     test('should generate info flags for positive attributes', () => {
       const result = calculateSafetyScore({ 
         isVerified: true, 
@@ -188,6 +214,29 @@ describe('calculateSafetyScore', () => {
       expect(infoFlags.length).toBeGreaterThan(0);
     });
 
+    test('should flag providers disagreeing on honeypot status as critical', () => {
+      const conflicts = [{ 
+        field: 'isHoneypot', 
+        chosen: 'goPlus', 
+        values: [{ source: 'goPlus', value: false }, { source: 'honeypot', value: true }] 
+      }];
+      const agreed = calculateSafetyScore({ isHoneypot: false });
+      const disputed = calculateSafetyScore({ isHoneypot: false, conflicts });
+      const conflictFlag = disputed.flags.find(f => f.message.includes('disagree'));
+      
+      expect(conflictFlag.type).toBe('critical');
+      expect(disputed.breakdown.honeypotCheck).toBeLessThan(agreed.breakdown.honeypotCheck);
+    });
+
+    test('should warn when providers disagree on other fields', () => {
+      const result = calculateSafetyScore({ 
+        conflicts: [{ field: 'sellTax', chosen: 'honeypot', values: [] }] 
+      });
+      const conflictFlag = result.flags.find(f => f.message === 'Sources disagree on sell tax');
+      
+      expect(conflictFlag.type).toBe('warning');
+    });
+
     test('should include type in flags', () => {
       const result = calculateSafetyScore({ isHoneypot: true });
       result.flags.forEach(flag => {
@@ -198,6 +247,248 @@ describe('calculateSafetyScore', () => {
   });
 });
 
+describe('calculateConfidence', () => {
+  test('should be 0 when no inputs are known', () => {
+    expect(calculateConfidence({})).toBe(0);
+    expect(calculateConfidence(null)).toBe(0);
+  });
+
+  test('should weight each factor by the share of its inputs present', () => {
+    // Honeypot (19%) fully known, taxes (9.5%) half known
+    expect(calculateConfidence({ isHoneypot: false, buyTax: 0 })).toBe(24);
+  });
+
+  test('should be 100 when every input is present', () => {
+    const confidence = calculateConfidence({
+      liquidityLocked: true, lpBurned: false, liquidity: 100000,
+      ownershipRenounced: true, canMint: false, canPause: false, canBlacklist: false,
+      isHoneypot: false,
+      topHolderPercent: 5, top10HoldersPercent: 20, holderCount: 1000,
+      buyTax: 0, sellTax: 0,
+      isVerified: true,
+      volume24h: 50000, txCount24h: 200,
+      createdAt: Date.now() - 86400000
+    });
+    
+    expect(confidence).toBe(100);
+  });
+
+  test('should report unknown risk when almost nothing is known', () => {
+    const result = calculateSafetyScore({});
+    
+    expect(result.confidence).toBe(0);
+    expect(result.riskLevel).toBe('unknown');
+  });
+});
+
+describe('scoring profiles', () => {
+  const token = {
+    liquidityLocked: false,
+    lpBurned: false,
+    liquidity: 30000,
+    ownershipRenounced: false,
+    canMint: false,
+    canPause: false,
+    canBlacklist: false,
+    isHoneypot: false,
+    top10HoldersPercent: 45,
+    topHolderPercent: 8,
+    holderCount: 800,
+    buyTax: 0,
+    sellTax: 0,
+    isVerified: true,
+    volume24h: 40000,
+    txCount24h: 300
+  };
+
+  test('should ship valid built-in profiles', () => {
+    for (const profile of Object.values(SCORING_PROFILES)) {
+      expect(validateScoringProfile(profile)).toEqual({ valid: true, errors: [] });
+    }
+  });
+
+  test('should reject weights that do not sum to 1', () => {
+    const profile = {
+      ...SCORING_PROFILES.balanced,
+      weights: { ...SCORING_PROFILES.balanced.weights, taxRate: 0.5 }
+    };
+    const result = validateScoringProfile(profile);
+    
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toContain('sum to 1');
+  });
+
+  test('should reject inverted thresholds and out-of-order cutoffs', () => {
+    const profile = {
+      ...SCORING_PROFILES.balanced,
+      thresholds: { safe: 40, warning: 60 },
+      cutoffs: {
+        ...SCORING_PROFILES.balanced.cutoffs,
+        liquidityUsd: { high: 1000, medium: 50000, low: 10000, veryLow: 5000 }
+      }
+    };
+    
+    expect(validateScoringProfile(profile).errors).toHaveLength(2);
+  });
+
+  test('should fall back to the default profile for an invalid custom profile', () => {
+    expect(getScoringProfile('custom', { weights: {} }).id).toBe('balanced');
+    expect(getScoringProfile('missing').id).toBe('balanced');
+    expect(getScoringProfile('custom', SCORING_PROFILES.degen).id).toBe('custom');
+  });
+
+  test('should score the same data differently per profile', () => {
+    const degen = calculateSafetyScore(token, SCORING_PROFILES.degen);
+    const conservative = calculateSafetyScore(token, SCORING_PROFILES.conservative);
+    
+    expect(degen.riskLevel).toBe('safe');
+    expect(conservative.riskLevel).not.toBe('safe');
+    expect(degen.scoringProfile).toBe('degen');
+  });
+
+  test('should rescore cached data without losing fetched fields', () => {
+    const cached = { ...token, tokenSymbol: 'ABC', ...calculateSafetyScore(token) };
+    const rescored = rescoreTokenData(cached, SCORING_PROFILES.conservative);
+    
+    expect(rescored.tokenSymbol).toBe('ABC');
+    expect(rescored.scoringProfile).toBe('conservative');
+    expect(rescored.score).toBe(calculateSafetyScore(token, SCORING_PROFILES.conservative).score);
+  });
+
+  test('should upgrade a profile saved before the token age factor', () => {
+    const { tokenAge, ...weights } = SCORING_PROFILES.balanced.weights;
+    const { tokenAgeHours, ...cutoffs } = SCORING_PROFILES.balanced.cutoffs;
+    const saved = { ...SCORING_PROFILES.balanced, id: 'custom', weights: { ...weights, taxRate: weights.taxRate + tokenAge }, cutoffs };
+    
+    expect(validateScoringProfile(saved).valid).toBe(false);
+    
+    const upgraded = upgradeScoringProfile(saved);
+    expect(upgraded.weights.tokenAge).toBe(0);
+    expect(upgraded.cutoffs.tokenAgeHours).toEqual(tokenAgeHours);
+    expect(validateScoringProfile(upgraded)).toEqual({ valid: true, errors: [] });
+  });
+});
+
+describe('token age', () => {
+  const hour = 60 * 60 * 1000;
+  const now = Date.now();
+  const token = {
+    liquidityLocked: true,
+    lpBurned: true,
+    liquidity: 500000,
+    ownershipRenounced: true,
+    isHoneypot: false,
+    top10HoldersPercent: 15,
+    holderCount: 20000,
+    buyTax: 0,
+    sellTax: 0,
+    isVerified: true,
+    volume24h: 2000000,
+    txCount24h: 5000
+  };
+
+  test('should derive the age from the first pair and detect a fresh pool', () => {
+    expect(getLaunchPhase({ launchedAt: now - 5 * hour, createdAt: now - 2 * hour, newestPairAt: now - hour / 2 }, now))
+      .toEqual({ tokenAgeHours: 5, liquidityAdding: true });
+    expect(getLaunchPhase({ createdAt: now - 48 * hour, newestPairAt: now - hour / 2 }, now))
+      .toEqual({ tokenAgeHours: 48, liquidityAdding: false });
+    expect(getLaunchPhase({}, now)).toEqual({});
+  });
+
+  test('should score older tokens higher', () => {
+    const scoreAt = (hours) => calculateSafetyScore({ ...token, createdAt: now - hours * hour, newestPairAt: now - 48 * hour }).breakdown.tokenAge;
+    
+    expect(scoreAt(0.5)).toBeLessThan(scoreAt(12));
+    expect(scoreAt(12)).toBeLessThan(scoreAt(72));
+    expect(scoreAt(72)).toBeLessThan(scoreAt(24 * 60));
+    expect(calculateSafetyScore(token).breakdown.tokenAge).toBe(50);
+  });
+
+  test('should force a warning in the first hour', () => {
+    const result = calculateSafetyScore({ ...token, createdAt: now - hour / 4 });
+    
+    expect(result.riskLevel).toBe('warning');
+    expect(result.triggeredRules).toEqual(['launch-hour', 'liquidity-adding']);
+  });
+
+  test('should flag a token launched within the day', () => {
+    const result = calculateSafetyScore({ ...token, createdAt: now - 6 * hour });
+    
+    expect(result.triggeredRules).toEqual([]);
+    expect(result.flags).toContainEqual({ type: 'warning', message: 'Launched less than a day ago' });
+  });
+});
+
+describe('hard-fail rules', () => {
+  const goodToken = {
+    liquidityLocked: true,
+    lpBurned: true,
+    liquidity: 500000,
+    ownershipRenounced: true,
+    top10HoldersPercent: 15,
+    holderCount: 20000,
+    buyTax: 0,
+    sellTax: 0,
+    isVerified: true,
+    volume24h: 2000000,
+    txCount24h: 5000
+  };
+
+  test('should cap a honeypot with otherwise good data', () => {
+    const result = calculateSafetyScore({ ...goodToken, isHoneypot: true });
+    const ruleFlag = result.flags.find(f => f.rule === 'honeypot');
+    
+    expect(result.score).toBeLessThanOrEqual(10);
+    expect(result.riskLevel).toBe('danger');
+    expect(result.triggeredRules).toEqual(['honeypot']);
+    expect(ruleFlag.type).toBe('critical');
+    expect(ruleFlag.message).toContain('score capped at 10');
+  });
+
+  test('should force danger for extreme sell tax', () => {
+    const result = calculateSafetyScore({ ...goodToken, sellTax: 60 });
+    
+    expect(result.riskLevel).toBe('danger');
+    expect(result.triggeredRules).toContain('extreme-sell-tax');
+  });
+
+  test('should require all conditions to match', () => {
+    expect(evaluateRules({ canMint: true, ownershipRenounced: true })).toHaveLength(0);
+    expect(evaluateRules({ canMint: true, ownershipRenounced: false }).map(r => r.id)).toEqual(['owner-can-mint']);
+  });
+
+  test('should not trigger on unknown fields', () => {
+    expect(evaluateRules({})).toHaveLength(0);
+  });
+
+  test('should apply user-defined rules', () => {
+    const rules = [{
+      id: 'thin-liquidity',
+      conditions: [{ field: 'liquidity', op: 'lt', value: 1000000 }],
+      maxScore: 55,
+      message: 'Liquidity under $1M'
+    }];
+    const result = calculateSafetyScore(goodToken, SCORING_PROFILES.balanced, rules);
+    
+    expect(result.score).toBe(55);
+    expect(result.riskLevel).toBe('warning');
+    expect(result.flags[0].message).toBe('Liquidity under $1M (score capped at 55)');
+  });
+
+  test('should validate user-defined rules', () => {
+    expect(validateRule({
+      id: 'x', 
+      conditions: [{ field: 'liquidity', op: 'lt', value: 1 }], 
+      riskLevel: 'danger', 
+      message: 'x'
+    }).valid).toBe(true);
+    
+    const result = validateRule({ id: 'x', conditions: [{ field: 'liquidity', op: 'between' }] });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toHaveLength(3);
+  });
+});
+
 describe('getRiskLevel', () => {
   test('should return "safe" for scores >= 80', () => {
     expect(getRiskLevel(80)).toBe('safe');
@@ -275,6 +566,19 @@ describe('detectChanges', () => {
     expect(holderChange.type).toBe('warning');
   });
 
+  test('should soften score drops backed by little data', () => {
+    const changes = detectChanges(
+      { score: 80, confidence: 90 },
+      { score: 50, confidence: 30 }
+    );
+    const scoreChange = changes.find(c => c.field === 'score');
+    const coverageChange = changes.find(c => c.field === 'confidence');
+    
+    expect(scoreChange.type).toBe('warning');
+    expect(scoreChange.message).toContain('low confidence');
+    expect(coverageChange.type).toBe('warning');
+  });
+
   test('should return empty array for no changes', () => {
     const oldData = { score: 80, liquidity: 100000 };
     const newData = { score: 82, liquidity: 99000 };
@@ -283,6 +587,52 @@ describe('detectChanges', () => {
     expect(changes).toHaveLength(0);
   });
 
+  test('should use the supplied alert thresholds', () => {
+    const oldData = { score: 80, liquidity: 100000 };
+    const newData = { score: 72, liquidity: 94000 };
+    
+    expect(detectChanges(oldData, newData)).toHaveLength(0);
+    
+    const changes = detectChanges(oldData, newData, { SCORE_DROP: 5, LIQUIDITY_DROP: 5 });
+    expect(changes.map(c => c.field)).toEqual(['score', 'liquidity']);
+  });
+
+  test('should detect large sells and concentration from the top holder', () => {
+    const sell = detectChanges({ topHolderPercent: 18 }, { topHolderPercent: 11 });
+    expect(sell.find(c => c.field === 'largeSell')).toBeDefined();
+    
+    const smallSell = detectChanges({ topHolderPercent: 18 }, { topHolderPercent: 11 }, { LARGE_SELL: 10 });
+    expect(smallSell).toHaveLength(0);
+    
+    const alreadyConcentrated = detectChanges({ topHolderPercent: 30 }, { topHolderPercent: 32 });
+    expect(alreadyConcentrated.find(c => c.field === 'topHolder')).toBeUndefined();
+  });
+
+  test('should detect tax increases', () => {
+    const changes = detectChanges({ buyTax: 2, sellTax: 3 }, { buyTax: 4, sellTax: 15 });
+    
+    expect(changes.find(c => c.field === 'buyTax')).toBeUndefined();
+    expect(changes.find(c => c.field === 'sellTax').type).toBe('critical');
+  });
+
+  test('should detect ownership, mint and proxy changes', () => {
+    const changes = detectChanges(
+      { ownershipRenounced: true, canMint: false, implementationAddress: '0xAAA' },
+      { ownershipRenounced: false, ownerAddress: '0xbbb', canMint: true, implementationAddress: '0xccc' }
+    );
+    
+    expect(changes.find(c => c.field === 'ownership').type).toBe('critical');
+    expect(changes.find(c => c.field === 'mint').type).toBe('critical');
+    expect(changes.find(c => c.field === 'proxy').newValue).toBe('0xccc');
+  });
+
+  test('should detect owner transfers without flagging address casing', () => {
+    const transfer = detectChanges({ ownerAddress: '0xaaa' }, { ownerAddress: '0xbbb' });
+    expect(transfer.find(c => c.field === 'ownership').type).toBe('warning');
+    
+    expect(detectChanges({ ownerAddress: '0xAAA' }, { ownerAddress: '0xaaa' })).toHaveLength(0);
+  });
+
   test('should handle null/undefined data', () => {
     expect(detectChanges(null, null)).toHaveLength(0);
     expect(detectChanges(undefined, {})).toHaveLength(0);
@@ -290,6 +640,112 @@ describe('detectChanges', () => {
   });
 });
 
+describe('resolveBaseline', () => {
+  const hoursAgo = (hours) => Date.now() - hours * 60 * 60 * 1000;
+  const item = {
+    score: 60,
+    liquidity: 70000,
+    sellTax: 8,
+    isHoneypot: false,
+    baseline: { score: 80, liquidity: 100000 },
+    snapshots: [
+      { t: hoursAgo(48), s: 90, l: 200000, st: 1 },
+      { t: hoursAgo(10), s: 75, l: 120000, st: 3 },
+      { t: hoursAgo(1), s: 60, l: 70000, st: 8 }
+    ]
+  };
+
+  test('should use the add-time baseline in fixed mode', () => {
+    expect(resolveBaseline(item, BASELINE_MODES.FIXED)).toBe(item.baseline);
+  });
+
+  test('should use the previous poll in rolling mode', () => {
+    const baseline = resolveBaseline(item, BASELINE_MODES.ROLLING);
+    expect(baseline.score).toBe(60);
+    expect(baseline.isHoneypot).toBe(false);
+    expect(baseline.snapshots).toBeUndefined();
+  });
+
+  test('should use the best values within the window', () => {
+    const baseline = resolveBaseline(item, BASELINE_MODES.WINDOW, 24);
+    expect(baseline.score).toBe(75);
+    expect(baseline.liquidity).toBe(120000);
+    expect(baseline.sellTax).toBe(3);
+  });
+
+  test('should ignore snapshots from before the last review', () => {
+    const baseline = resolveBaseline({ ...item, reviewedAt: hoursAgo(2) }, BASELINE_MODES.WINDOW, 24);
+    expect(baseline.liquidity).toBe(70000);
+  });
+
+  test('should leave out scores from before the weights were rebalanced', () => {
+    const rebalanced = { ...item, lastUpdated: hoursAgo(3), rebaselinedAt: hoursAgo(2) };
+
+    const window = resolveBaseline(rebalanced, BASELINE_MODES.WINDOW, 24);
+    expect(window.score).toBe(60);
+    expect(window.liquidity).toBe(120000);
+    expect(resolveBaseline(rebalanced, BASELINE_MODES.ROLLING).score).toBeUndefined();
+    expect(resolveBaseline({ ...rebalanced, lastUpdated: hoursAgo(1) }, BASELINE_MODES.ROLLING).score).toBe(60);
+  });
+
+  test('should not alert again once the baseline rolls forward', () => {
+    const newData = { score: 60, liquidity: 70000 };
+    expect(detectChanges(resolveBaseline(item, BASELINE_MODES.FIXED), newData)).not.toHaveLength(0);
+    expect(detectChanges(resolveBaseline(item, BASELINE_MODES.ROLLING), newData)).toHaveLength(0);
+  });
+});
+
+describe('filterAlerts', () => {
+  const drop = (newValue) => ({ type: 'critical', field: 'liquidity', newValue });
+
+  test('should pass new changes and log them', () => {
+    const { alerts, alertLog } = filterAlerts([drop(80000)], {});
+    expect(alerts).toHaveLength(1);
+    expect(alertLog.liquidity).toEqual({ at: expect.any(Number), value: 80000 });
+  });
+
+  test('should hold back repeats within the cooldown', () => {
+    const log = { liquidity: { at: Date.now() - 10 * 60 * 1000, value: 80000 } };
+    expect(filterAlerts([drop(75000)], log, 60).alerts).toHaveLength(0);
+    expect(filterAlerts([drop(75000)], log, 5).alerts).toHaveLength(1);
+  });
+
+  test('should drop duplicates of the last alert even after the cooldown', () => {
+    const log = { liquidity: { at: Date.now() - 24 * 60 * 60 * 1000, value: 80000 } };
+    expect(filterAlerts([drop(80000)], log, 60).alerts).toHaveLength(0);
+  });
+
+  test('should track each change type separately', () => {
+    const log = { liquidity: { at: Date.now(), value: 80000 } };
+    const { alerts } = filterAlerts([drop(70000), { type: 'critical', field: 'honeypot', newValue: true }], log);
+    expect(alerts.map(a => a.field)).toEqual(['honeypot']);
+  });
+
+  test('should alert again when a flag clears and comes back', () => {
+    const honeypot = { type: 'critical', field: 'honeypot', newValue: true };
+
+    const first = filterAlerts([honeypot], {}, 0);
+    expect(first.alerts).toHaveLength(1);
+
+    // The next poll no longer reports the flag
+    const cleared = filterAlerts([], first.alertLog, 0);
+    expect(cleared.alertLog).toEqual({});
+
+    expect(filterAlerts([honeypot], cleared.alertLog, 0).alerts).toHaveLength(1);
+  });
+
+  test('should forget a logged value once a later poll reports another', () => {
+    const log = { liquidity: { at: Date.now(), value: 80000 } };
+
+    const held = filterAlerts([drop(70000)], log, 60);
+    expect(held.alerts).toHaveLength(0);
+
+    // Back at the first value after the cooldown
+    held.alertLog.liquidity.at -= 2 * 60 * 60 * 1000;
+    expect(filterAlerts([drop(80000)], held.alertLog, 60).alerts).toHaveLength(1);
+  });
+});
+
 describe('Edge Cases', () => {
   test('should handle completely empty data', () => {
     const result = calculateSafetyScore({});
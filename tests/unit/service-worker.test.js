@@ -0,0 +1,161 @@
+/**
+ * Safe CA - Unit Tests for the Background Service Worker
+ */
+
+import { storage, cache, sourceCache } from '../../src/utils/storage.js';
+import { CHAIN_IDS, CACHE_CONFIG, EVM_CHAIN_IDS, STORAGE_KEYS } from '../../src/utils/constants.js';
+
+const DEXSCREENER_PAIR = {
+  chainId: 'ethereum',
+  pairAddress: '0x' + 'f'.repeat(40),
+  dexId: 'uniswap',
+  baseToken: { name: 'Test', symbol: 'TEST' },
+  quoteToken: { symbol: 'WETH', address: '0x' + 'e'.repeat(40) },
+  priceUsd: '0.01',
+  liquidity: { usd: 250000 },
+  volume: { h24: 50000 },
+  txns: { h24: { buys: 100, sells: 80 } }
+};
+
+let onMessage;
+let data;
+
+/**
+ * Send a runtime message to the service worker and wait for its response
+ */
+const send = (message, sender = { tab: { id: 7 } }) => new Promise(resolve => onMessage(message, sender, resolve));
+
+const scan = (address, chain = 'auto') => send({ type: 'SCAN_TOKEN', payload: { address, chain, source: { type: 'page' } } });
+
+/**
+ * Answer DexScreener with one pair and every other request with nothing useful
+ */
+function mockProviders() {
+  global.fetch.mockImplementation(async (url, options) => {
+    if (options?.body) {
+      const body = JSON.parse(options.body);
+      const respond = (request) => ({ jsonrpc: '2.0', id: request.id, result: '0x' });
+      return { ok: true, json: async () => Array.isArray(body) ? body.map(respond) : respond(body) };
+    }
+    const pairs = url.includes('dexscreener') ? [DEXSCREENER_PAIR] : undefined;
+    return { ok: true, json: async () => ({ pairs }) };
+  });
+}
+
+const dexScreenerCalls = () => global.fetch.mock.calls.filter(([url]) => url.includes('dexscreener')).length;
+
+beforeAll(async () => {
+  chrome.notifications.onButtonClicked = { addListener: jest.fn() };
+  chrome.tabs.onUpdated = { addListener: jest.fn() };
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+
+  // The keep-alive timer would hold the test run open
+  const setIntervalSpy = jest.spyOn(global, 'setInterval').mockImplementation(() => 0);
+  await import('../../src/background/service-worker.js');
+  setIntervalSpy.mockRestore();
+
+  onMessage = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+});
+
+beforeEach(() => {
+  data = {};
+  storage.memoryCache.clear();
+  storage.initialized = false;
+  for (const store of [cache, sourceCache]) {
+    store.index = null;
+    store.indexSavedAt = 0;
+    store.indexDirty = false;
+  }
+  chrome.storage.local.get = jest.fn(async (key) => (key === null ? { ...data } : { [key]: data[key] }));
+  chrome.storage.local.set = jest.fn(async (items) => Object.assign(data, items));
+  chrome.storage.local.remove = jest.fn(async (key) => [].concat(key).forEach(k => delete data[k]));
+  chrome.tabs.sendMessage = jest.fn().mockResolvedValue(undefined);
+  mockProviders();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('SCAN_TOKEN', () => {
+  test('should resolve the chain and fetch once for concurrent scans of an address', async () => {
+    const address = '0x' + '1'.repeat(40);
+
+    const results = await Promise.all([scan(address), scan(address), scan(address.toUpperCase().replace('0X', '0x'))]);
+
+    expect(results.every(result => result.success)).toBe(true);
+    expect(results.map(result => result.data.chain)).toEqual([CHAIN_IDS.ETHEREUM, CHAIN_IDS.ETHEREUM, CHAIN_IDS.ETHEREUM]);
+    // The lookup made while resolving the chain also serves as the token data
+    expect(dexScreenerCalls()).toBe(1);
+    const probes = global.fetch.mock.calls.filter(([, options]) => {
+      const body = options?.body ? JSON.parse(options.body) : null;
+      return body && !Array.isArray(body) && body.method === 'eth_getCode';
+    });
+    expect(probes).toHaveLength(EVM_CHAIN_IDS.length);
+  });
+
+  test('should reuse the chain an earlier scan resolved', async () => {
+    const address = '0x' + '4'.repeat(40);
+    const chainResolution = { chainId: CHAIN_IDS.BSC, candidates: [CHAIN_IDS.BSC], ambiguous: false, source: 'dexscreener' };
+    await cache.setToken(address, CHAIN_IDS.BSC, { address, chain: CHAIN_IDS.BSC, chainResolution, tokenSymbol: 'OLD' }, { securityAt: 0 });
+
+    const result = await scan(address);
+
+    expect(result.success).toBe(true);
+    expect(result.data.chain).toBe(CHAIN_IDS.BSC);
+    expect(result.data.chainResolution).toEqual(chainResolution);
+    const probes = global.fetch.mock.calls.filter(([, options]) => options?.body && JSON.parse(options.body).method === 'eth_getCode');
+    expect(probes).toHaveLength(0);
+  });
+
+  test('should serve stale data at once and send the refreshed data to the tab', async () => {
+    const address = '0x' + '2'.repeat(40);
+    await cache.setToken(address, CHAIN_IDS.ETHEREUM, { address, chain: CHAIN_IDS.ETHEREUM, tokenSymbol: 'OLD', score: 40 });
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + CACHE_CONFIG.MARKET_TTL + 1000);
+
+    const result = await scan(address, CHAIN_IDS.ETHEREUM);
+
+    expect(result).toMatchObject({ success: true, cached: true, stale: true });
+    expect(result.data.tokenSymbol).toBe('OLD');
+
+    // The background refresh finishes after the response
+    for (let i = 0; i < 50 && chrome.tabs.sendMessage.mock.calls.length === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(7, {
+      type: 'TOKEN_UPDATED',
+      data: expect.objectContaining({ tokenSymbol: 'TEST' })
+    });
+  });
+});
+
+describe('watchlist polling', () => {
+  test('should take a fresh score baseline for items flagged after a weight change', async () => {
+    const address = '0x' + '3'.repeat(40);
+    data[STORAGE_KEYS.WATCHLIST] = [{
+      address,
+      chain: CHAIN_IDS.ETHEREUM,
+      score: 99,
+      baseline: { score: 99, liquidity: 250000 },
+      snapshots: [],
+      alertLog: {},
+      rebaselineScore: true
+    }];
+
+    await send({ type: 'TEST_WATCHLIST_POLL' });
+    // The poll saves the item's next poll once it is done with the item
+    const polled = () => data[STORAGE_KEYS.WATCHLIST][0];
+    for (let i = 0; i < 100 && !polled().pollInterval; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    const item = polled();
+    expect(item.rebaselineScore).toBe(false);
+    expect(item.baseline.score).toBe(item.score);
+    expect(item.baseline.liquidity).toBe(250000);
+    expect((item.lastChanges || []).some(change => change.field === 'score')).toBe(false);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Safe CA - Unit Tests for Solana Account Decoding
+ */
+
+import {
+  encodeBase58,
+  decodeMintAccount
+} from '../../src/utils/solana.js';
+import { TOKEN_2022_EXTENSIONS } from '../../src/utils/constants.js';
+
+/**
+ * Build raw mint account bytes
+ */
+function buildMint({ mintAuthority = null, freezeAuthority = null, supply = 0n, decimals = 9, extensions = [] }) {
+  const size = extensions.length > 0 ? 166 + extensions.reduce((n, e) => n + 4 + e.data.length, 0) : 82;
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+
+  if (mintAuthority) {
+    view.setUint32(0, 1, true);
+    bytes.set(mintAuthority, 4);
+  }
+  view.setBigUint64(36, supply, true);
+  bytes[44] = decimals;
+  bytes[45] = 1;
+  if (freezeAuthority) {
+    view.setUint32(46, 1, true);
+    bytes.set(freezeAuthority, 50);
+  }
+
+  if (extensions.length > 0) {
+    bytes[165] = 1; // Account type: mint
+    let offset = 166;
+    for (const { type, data } of extensions) {
+      view.setUint16(offset, type, true);
+      view.setUint16(offset + 2, data.length, true);
+      bytes.set(data, offset + 4);
+      offset += 4 + data.length;
+    }
+  }
+
+  return bytes;
+}
+
+const key = (fill) => new Uint8Array(32).fill(fill);
+
+describe('encodeBase58', () => {
+  test('should encode the system program address', () => {
+    expect(encodeBase58(new Uint8Array(32))).toBe('11111111111111111111111111111111');
+  });
+
+  test('should encode known byte values', () => {
+    expect(encodeBase58(new Uint8Array([0, 0, 1]))).toBe('112');
+    expect(encodeBase58(new Uint8Array([255]))).toBe('5Q');
+  });
+});
+
+describe('decodeMintAccount', () => {
+  test('should decode a classic SPL mint with revoked authorities', () => {
+    const mint = decodeMintAccount(buildMint({ supply: 1000000000000n, decimals: 6 }));
+
+    expect(mint.mintAuthority).toBeNull();
+    expect(mint.freezeAuthority).toBeNull();
+    expect(mint.supply).toBe(1000000000000n);
+    expect(mint.decimals).toBe(6);
+    expect(mint.isInitialized).toBe(true);
+    expect(mint.extensions).toEqual({});
+  });
+
+  test('should decode active mint and freeze authorities', () => {
+    const mint = decodeMintAccount(buildMint({ mintAuthority: key(1), freezeAuthority: key(2) }));
+
+    expect(mint.mintAuthority).toBe(encodeBase58(key(1)));
+    expect(mint.freezeAuthority).toBe(encodeBase58(key(2)));
+  });
+
+  test('should decode Token-2022 transfer fee, permanent delegate and transfer hook', () => {
+    const feeConfig = new Uint8Array(108);
+    feeConfig.set(key(3), 0);
+    new DataView(feeConfig.buffer).setUint16(106, 500, true);
+
+    const hook = new Uint8Array(64);
+    hook.set(key(5), 32);
+
+    const mint = decodeMintAccount(buildMint({
+      extensions: [
+        { type: TOKEN_2022_EXTENSIONS.TRANSFER_FEE_CONFIG, data: feeConfig },
+        { type: TOKEN_2022_EXTENSIONS.PERMANENT_DELEGATE, data: key(4) },
+        { type: TOKEN_2022_EXTENSIONS.TRANSFER_HOOK, data: hook }
+      ]
+    }));
+
+    expect(mint.extensions.transferFee.basisPoints).toBe(500);
+    expect(mint.extensions.transferFee.authority).toBe(encodeBase58(key(3)));
+    expect(mint.extensions.permanentDelegate).toBe(encodeBase58(key(4)));
+    expect(mint.extensions.transferHook.programId).toBe(encodeBase58(key(5)));
+  });
+
+  test('should return null for data that is too short', () => {
+    expect(decodeMintAccount(new Uint8Array(10))).toBeNull();
+    expect(decodeMintAccount(null)).toBeNull();
+  });
+});
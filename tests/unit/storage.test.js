@@ -0,0 +1,500 @@
+/**
+ * Safe CA - Unit Tests for Storage Managers
+ */
+
+import { storage, cache, sourceCache, history, watchlist, retryQueue } from '../../src/utils/storage.js';
+import { STORAGE_KEYS, HISTORY_CONFIG, WATCHLIST_CONFIG, CACHE_CONFIG, RETRY_QUEUE } from '../../src/utils/constants.js';
+
+/**
+ * Back chrome.storage.local with a plain object
+ */
+function useMemoryStorage() {
+  const data = {};
+  storage.memoryCache.clear();
+  for (const store of [cache, sourceCache]) {
+    store.index = null;
+    store.indexSavedAt = 0;
+    store.indexDirty = false;
+  }
+  chrome.storage.local.get = jest.fn(async (key) => (key === null ? { ...data } : { [key]: data[key] }));
+  chrome.storage.local.set = jest.fn(async (items) => Object.assign(data, items));
+  chrome.storage.local.remove = jest.fn(async (key) => [].concat(key).forEach(k => delete data[k]));
+  return data;
+}
+
+const token = (address, overrides = {}) => ({
+  address,
+  chain: '1',
+  tokenSymbol: 'TEST',
+  score: 70,
+  riskLevel: 'warning',
+  confidence: 80,
+  ...overrides
+});
+
+describe('HistoryManager', () => {
+  beforeEach(() => {
+    useMemoryStorage();
+  });
+
+  test('should record scans newest first with their source', async () => {
+    await history.add(token('0xaaa'), { type: 'page', url: 'https://x.com/a/status/1', author: '@a' });
+    await history.add(token('0xbbb'), { type: 'popup' });
+
+    const entries = await history.getAll();
+    expect(entries.map(e => e.address)).toEqual(['0xbbb', '0xaaa']);
+    expect(entries[1].source).toEqual({ type: 'page', url: 'https://x.com/a/status/1', author: '@a' });
+    expect(entries[1].timestamp).toEqual(expect.any(Number));
+  });
+
+  test('should refresh an entry seen again in the same place', async () => {
+    const source = { type: 'page', url: 'https://x.com/a/status/1' };
+    await history.add(token('0xaaa', { score: 70 }), source);
+    await history.add(token('0xbbb'), { type: 'popup' });
+    await history.add(token('0xAAA', { score: 40 }), source);
+
+    const entries = await history.getAll();
+    expect(entries).toHaveLength(2);
+    expect(entries[0].score).toBe(40);
+    expect(entries[0].seenCount).toBe(2);
+  });
+
+  test('should keep separate entries for different pages', async () => {
+    await history.add(token('0xaaa'), { type: 'page', url: 'https://x.com/a/status/1' });
+    await history.add(token('0xaaa'), { type: 'page', url: 'https://x.com/b/status/2' });
+
+    expect(await history.getAll()).toHaveLength(2);
+  });
+
+  test('should be bounded', async () => {
+    const data = useMemoryStorage();
+    data[STORAGE_KEYS.SCAN_HISTORY] = Array.from({ length: HISTORY_CONFIG.MAX_ENTRIES }, (_, i) => ({
+      ...token(`0x${i}`),
+      source: { type: 'popup', url: null, author: null }
+    }));
+
+    await history.add(token('0xnew'), { type: 'page', url: 'https://x.com' });
+
+    const entries = await history.getAll();
+    expect(entries).toHaveLength(HISTORY_CONFIG.MAX_ENTRIES);
+    expect(entries[0].address).toBe('0xnew');
+  });
+
+  test('should find the latest scan of a token', async () => {
+    await history.add(token('0xaaa', { score: 40 }), { type: 'popup' });
+    await history.add(token('0xbbb'), { type: 'popup' });
+    await history.add(token('0xAAA', { score: 55 }), { type: 'page', url: 'https://x.com' });
+
+    expect((await history.findLatest('0xaaa', '1')).score).toBe(55);
+    expect(await history.findLatest('0xaaa', '56')).toBeNull();
+    expect((await history.findLatest('0xaaa')).score).toBe(55);
+  });
+
+  test('should clear all entries', async () => {
+    await history.add(token('0xaaa'), { type: 'popup' });
+    await history.clear();
+
+    expect(await history.getAll()).toEqual([]);
+  });
+
+  test('should keep every concurrent scan and save them in one write', async () => {
+    await Promise.all([
+      history.add(token('0xaaa'), { type: 'popup' }),
+      history.add(token('0xbbb'), { type: 'page', url: 'https://x.com/a' }),
+      history.add(token('0xaaa'), { type: 'popup' })
+    ]);
+
+    const entries = await history.getAll();
+    expect(entries.map(e => e.address)).toEqual(['0xaaa', '0xbbb']);
+    expect(entries[0].seenCount).toBe(2);
+    expect(chrome.storage.local.set).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not lose scans recorded while a write is in progress', async () => {
+    const first = history.add(token('0xaaa'), { type: 'popup' });
+    await Promise.resolve();
+    const second = history.add(token('0xbbb'), { type: 'popup' });
+    await Promise.all([first, second]);
+
+    expect((await history.getAll()).map(e => e.address)).toEqual(['0xbbb', '0xaaa']);
+  });
+});
+
+describe('WatchlistManager snapshots', () => {
+  beforeEach(() => {
+    useMemoryStorage();
+  });
+
+  test('should take a first snapshot when a token is added', async () => {
+    await watchlist.add(token('0xaaa', { liquidity: 50000, priceUsd: 0.01, buyTax: 1, sellTax: undefined }));
+
+    const [item] = await watchlist.getAll();
+    expect(item.snapshots).toHaveLength(1);
+    expect(item.snapshots[0]).toEqual({ t: expect.any(Number), s: 70, l: 50000, p: 0.01, bt: 1 });
+  });
+
+  test('should append compact snapshots on each poll', async () => {
+    await watchlist.add(token('0xAAA'));
+    await watchlist.addSnapshot('0xaaa', '1', { score: 55, liquidity: 40000, holderCount: 120 });
+
+    const [item] = await watchlist.getAll();
+    expect(item.snapshots).toHaveLength(2);
+    expect(item.snapshots[1]).toMatchObject({ s: 55, l: 40000, h: 120 });
+  });
+
+  test('should return false for tokens not in the watchlist', async () => {
+    expect(await watchlist.addSnapshot('0xmissing', '1', { score: 50 })).toBe(false);
+  });
+
+  test('should drop old snapshots and thin out the rest past the limit', async () => {
+    const data = useMemoryStorage();
+    const now = Date.now();
+    const expired = { t: now - WATCHLIST_CONFIG.SNAPSHOT_MAX_AGE - 1000, s: -1 };
+    const recent = Array.from({ length: WATCHLIST_CONFIG.MAX_SNAPSHOTS }, (_, i) => ({
+      t: now - (WATCHLIST_CONFIG.MAX_SNAPSHOTS - i) * 1000,
+      s: i
+    }));
+    data[STORAGE_KEYS.WATCHLIST] = [{ ...token('0xaaa'), snapshots: [expired, ...recent] }];
+
+    await watchlist.addSnapshot('0xaaa', '1', { score: 60 });
+
+    const [item] = await watchlist.getAll();
+    expect(item.snapshots.length).toBeLessThanOrEqual(WATCHLIST_CONFIG.MAX_SNAPSHOTS);
+    expect(item.snapshots[0].s).toBe(0);
+    expect(item.snapshots[item.snapshots.length - 1].s).toBe(60);
+  });
+});
+
+describe('WatchlistManager.resetBaseline', () => {
+  beforeEach(() => {
+    useMemoryStorage();
+  });
+
+  test('should use current data as the baseline and clear alerts', async () => {
+    await watchlist.add(token('0xaaa', { score: 80, liquidity: 100000 }));
+    await watchlist.update('0xaaa', '1', {
+      score: 50,
+      liquidity: 60000,
+      lastChanges: [{ type: 'critical', field: 'liquidity' }],
+      alertLog: { liquidity: { at: Date.now(), value: 60000 } }
+    });
+
+    expect(await watchlist.resetBaseline('0xAAA', '1')).toBe(true);
+
+    const [item] = await watchlist.getAll();
+    expect(item.baseline).toMatchObject({ score: 50, liquidity: 60000 });
+    expect(item.lastChanges).toEqual([]);
+    expect(item.alertLog).toEqual({});
+    expect(item.reviewedAt).toEqual(expect.any(Number));
+  });
+
+  test('should return false for tokens not in the watchlist', async () => {
+    expect(await watchlist.resetBaseline('0xmissing', '1')).toBe(false);
+  });
+});
+
+describe('WatchlistManager limits and metadata', () => {
+  beforeEach(() => {
+    useMemoryStorage();
+  });
+
+  test('should refuse tokens past the size limit', async () => {
+    expect(await watchlist.add(token('0xaaa'), 2)).toBe(true);
+    expect(await watchlist.add(token('0xbbb'), 2)).toBe(true);
+    expect(await watchlist.add(token('0xccc'), 2)).toBe(false);
+    expect(await watchlist.getAll()).toHaveLength(2);
+  });
+
+  test('should start items with empty metadata', async () => {
+    await watchlist.add(token('0xaaa'));
+
+    const [item] = await watchlist.getAll();
+    expect(item).toMatchObject({ tags: [], notes: '', group: null, costBasis: null });
+  });
+
+  test('should normalize tags, group, notes and cost basis', async () => {
+    await watchlist.add(token('0xaaa'));
+    await watchlist.updateMeta('0xaaa', '1', {
+      tags: [' AI ', 'ai', '', 'Called-By-Bob'],
+      group: '  Memes ',
+      notes: 'x'.repeat(WATCHLIST_CONFIG.MAX_NOTE_LENGTH + 10),
+      costBasis: { entryPrice: '0.002', amount: '' }
+    });
+
+    const [item] = await watchlist.getAll();
+    expect(item.tags).toEqual(['ai', 'called-by-bob']);
+    expect(item.group).toBe('Memes');
+    expect(item.notes).toHaveLength(WATCHLIST_CONFIG.MAX_NOTE_LENGTH);
+    expect(item.costBasis).toEqual({ entryPrice: 0.002, amount: null });
+  });
+
+  test('should only change the metadata fields passed in', async () => {
+    await watchlist.add(token('0xaaa'));
+    await watchlist.updateMeta('0xaaa', '1', { tags: ['ai'], group: 'Memes' });
+    await watchlist.updateMeta('0xaaa', '1', { notes: 'watch the dev wallet' });
+
+    const [item] = await watchlist.getAll();
+    expect(item).toMatchObject({ tags: ['ai'], group: 'Memes', notes: 'watch the dev wallet' });
+  });
+});
+
+describe('CacheManager', () => {
+  const ADDRESS = '0x' + 'a'.repeat(40);
+  let data;
+
+  beforeEach(() => {
+    data = useMemoryStorage();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const advance = (ms) => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + ms);
+  };
+
+  test('should store each token under its own key', async () => {
+    await cache.setToken(ADDRESS, '1', { score: 70 });
+    await cache.setToken(ADDRESS, '56', { score: 40 });
+
+    expect(data[`${CACHE_CONFIG.KEY_PREFIX}1:${ADDRESS}`].data).toEqual({ score: 70 });
+    expect(await cache.getToken(ADDRESS, '56')).toEqual({ score: 40 });
+  });
+
+  test('should not lose concurrent writes', async () => {
+    await Promise.all([
+      cache.setToken(ADDRESS, '1', { score: 70 }),
+      cache.setToken(ADDRESS, '56', { score: 40 }),
+      cache.setToken(ADDRESS, '137', { score: 10 })
+    ]);
+
+    expect(Object.keys(data).filter(key => key.startsWith(CACHE_CONFIG.KEY_PREFIX))).toHaveLength(3);
+  });
+
+  test('should expire market data before security data', async () => {
+    await cache.setToken(ADDRESS, '1', { score: 70 });
+    advance(CACHE_CONFIG.MARKET_TTL + 1000);
+
+    expect(await cache.getToken(ADDRESS, '1')).toBeNull();
+    expect(await cache.getEntry(ADDRESS, '1')).toEqual({ data: { score: 70 }, marketFresh: false });
+  });
+
+  test('should drop entries once security data expires', async () => {
+    await cache.setToken(ADDRESS, '1', { score: 70 });
+    advance(CACHE_CONFIG.SECURITY_TTL + 1000);
+
+    expect(await cache.getEntry(ADDRESS, '1')).toBeNull();
+  });
+
+  test('should expire by the age of the oldest security data used', async () => {
+    const securityAt = Date.now() - CACHE_CONFIG.SECURITY_TTL + 60000;
+    await cache.setToken(ADDRESS, '1', { score: 65 }, { securityAt });
+
+    const entry = data[`${CACHE_CONFIG.KEY_PREFIX}1:${ADDRESS}`];
+    expect(entry.securityAt).toBe(securityAt);
+    expect(entry.marketAt).toBeGreaterThan(securityAt);
+    expect(await cache.getToken(ADDRESS, '1')).toEqual({ score: 65 });
+
+    advance(120000);
+    expect(await cache.getEntry(ADDRESS, '1')).toBeNull();
+  });
+
+  test('should evict the least recently used entry past the byte limit', async () => {
+    const now = Date.now();
+    const padding = 'x'.repeat(CACHE_CONFIG.MAX_BYTES / 4 - 200);
+    for (let i = 0; i < 4; i++) {
+      data[`${CACHE_CONFIG.KEY_PREFIX}1:0x${i}`] = {
+        data: { padding },
+        marketAt: now,
+        securityAt: now,
+        accessedAt: now - (4 - i) * 1000
+      };
+    }
+
+    // Reading the oldest entry makes it the most recently used
+    expect(await cache.getToken('0x0', '1')).toEqual({ padding });
+    await cache.setToken(ADDRESS, '1', { padding });
+
+    expect(data[`${CACHE_CONFIG.KEY_PREFIX}1:0x0`]).toBeDefined();
+    expect(data[`${CACHE_CONFIG.KEY_PREFIX}1:0x1`]).toBeUndefined();
+    expect(data[`${CACHE_CONFIG.KEY_PREFIX}1:0x2`]).toBeDefined();
+    expect(cache.index.size).toBe(4);
+  });
+
+  test('should evict cached data when a write runs into the storage quota', async () => {
+    for (let i = 0; i < 4; i++) {
+      await cache.setToken(`0x${i}`, '1', { score: i });
+    }
+    chrome.storage.local.set.mockImplementationOnce(async () => {
+      throw new Error('QUOTA_BYTES quota exceeded');
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(await watchlist.add(token(ADDRESS))).toBe(true);
+
+    expect(chrome.storage.local.set).toHaveBeenLastCalledWith({ [STORAGE_KEYS.WATCHLIST]: expect.any(Array) });
+    expect(Object.keys(data).filter(key => key.startsWith(CACHE_CONFIG.KEY_PREFIX))).toHaveLength(2);
+    expect(data[`${CACHE_CONFIG.KEY_PREFIX}1:0x3`]).toBeDefined();
+  });
+
+  test('should keep read recency across a service worker restart', async () => {
+    await cache.setToken('0xa', '1', { score: 1 });
+    advance(1000);
+    await cache.setToken('0xb', '1', { score: 2 });
+    advance(CACHE_CONFIG.INDEX_SAVE_INTERVAL);
+    await cache.getToken('0xa', '1');
+    await Promise.resolve();
+
+    // A restarted worker starts without the in-memory index or memory cache
+    storage.memoryCache.clear();
+    cache.index = null;
+    chrome.storage.local.get.mockClear();
+
+    const index = await cache.getIndex();
+    expect([...index.keys()]).toEqual([`${CACHE_CONFIG.KEY_PREFIX}1:0xb`, `${CACHE_CONFIG.KEY_PREFIX}1:0xa`]);
+    expect(chrome.storage.local.get).not.toHaveBeenCalledWith(null);
+  });
+
+  test('should throttle saving read recency', async () => {
+    await cache.setToken('0xa', '1', { score: 1 });
+    chrome.storage.local.set.mockClear();
+
+    await cache.getToken('0xa', '1');
+    await Promise.resolve();
+
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    expect(cache.indexDirty).toBe(true);
+
+    await cache.cleanup();
+    expect(data[CACHE_CONFIG.INDEX_KEY]).toEqual({ [`${CACHE_CONFIG.KEY_PREFIX}1:0xa`]: [expect.any(Number), expect.any(Number)] });
+    expect(cache.indexDirty).toBe(false);
+  });
+
+  test('should return the last known result after it expires', async () => {
+    await cache.setToken(ADDRESS, '1', { score: 70 });
+    advance(CACHE_CONFIG.SECURITY_TTL + 1000);
+
+    expect(await cache.getEntry(ADDRESS, '1')).toBeNull();
+    expect((await cache.getLastKnown(ADDRESS, '1')).data).toEqual({ score: 70 });
+  });
+
+  test('should remove expired entries on cleanup', async () => {
+    await cache.setToken(ADDRESS, '1', { score: 70 });
+    data[`${CACHE_CONFIG.KEY_PREFIX}1:0xold`] = { data: {}, marketAt: 0, securityAt: 0, accessedAt: 0 };
+
+    await cache.cleanup();
+
+    expect(data[`${CACHE_CONFIG.KEY_PREFIX}1:0xold`]).toBeUndefined();
+    expect(data[`${CACHE_CONFIG.KEY_PREFIX}1:${ADDRESS}`]).toBeDefined();
+  });
+
+  test('should clear only cache entries', async () => {
+    await watchlist.add(token(ADDRESS));
+    await cache.setToken(ADDRESS, '1', { score: 70 });
+
+    await cache.clearAll();
+
+    expect(await cache.getToken(ADDRESS, '1')).toBeNull();
+    expect(await watchlist.getAll()).toHaveLength(1);
+  });
+});
+
+describe('SourceCacheManager', () => {
+  const ADDRESS = '0x1234567890123456789012345678901234567890';
+  let data;
+
+  beforeEach(() => {
+    data = useMemoryStorage();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should store each provider response under its own key', async () => {
+    await sourceCache.setSources(ADDRESS, '1', {
+      goPlus: { canMint: false },
+      dexScreener: { liquidity: 50000 }
+    });
+
+    expect(data[`${CACHE_CONFIG.SOURCE_KEY_PREFIX}goPlus:1:${ADDRESS}`].data).toEqual({ canMint: false });
+
+    const sources = await sourceCache.getSources(ADDRESS, '1', ['goPlus', 'dexScreener', 'honeypot']);
+    expect(Object.keys(sources)).toEqual(['goPlus', 'dexScreener']);
+    expect(sources.dexScreener.data).toEqual({ liquidity: 50000 });
+    expect(sources.goPlus.timestamp).toBeLessThanOrEqual(Date.now());
+  });
+
+  test('should evict the least recently used responses past the byte limit', async () => {
+    const padding = 'x'.repeat(CACHE_CONFIG.MAX_SOURCE_BYTES / 2.5);
+    await sourceCache.setSources(ADDRESS, '1', { goPlus: { padding } });
+    await sourceCache.setSources(ADDRESS, '1', { dexScreener: { padding } });
+    await sourceCache.setSources(ADDRESS, '1', { honeypot: { padding } });
+
+    const sources = await sourceCache.getSources(ADDRESS, '1', ['goPlus', 'dexScreener', 'honeypot']);
+    expect(Object.keys(sources)).toEqual(['dexScreener', 'honeypot']);
+  });
+
+  test('should keep provider responses apart from scored results', async () => {
+    await sourceCache.setSources(ADDRESS, '1', { goPlus: { canMint: false } });
+    await cache.setToken(ADDRESS, '1', { score: 70 });
+
+    await cache.clearAll();
+
+    expect(await sourceCache.getSources(ADDRESS, '1', ['goPlus'])).toHaveProperty('goPlus');
+  });
+
+  test('should remove responses older than the security TTL on cleanup', async () => {
+    await sourceCache.setSources(ADDRESS, '1', { goPlus: { canMint: false } });
+    data[`${CACHE_CONFIG.SOURCE_KEY_PREFIX}goPlus:1:0xold`] = { data: {}, timestamp: 0, accessedAt: 0 };
+
+    await sourceCache.cleanup();
+
+    expect(data[`${CACHE_CONFIG.SOURCE_KEY_PREFIX}goPlus:1:0xold`]).toBeUndefined();
+    expect(data[`${CACHE_CONFIG.SOURCE_KEY_PREFIX}goPlus:1:${ADDRESS}`]).toBeDefined();
+  });
+});
+
+describe('RetryQueueManager', () => {
+  let data;
+
+  beforeEach(() => {
+    data = useMemoryStorage();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should keep one entry per token and tab', async () => {
+    await retryQueue.add({ address: '0xAAA', chain: 'auto', tabId: 1 });
+    await retryQueue.add({ address: '0xaaa', chain: 'auto', tabId: 1 });
+    await retryQueue.add({ address: '0xaaa', chain: 'auto', tabId: 2 });
+
+    expect(await retryQueue.getAll()).toHaveLength(2);
+  });
+
+  test('should empty the queue and drop scans that are too old to retry', async () => {
+    await retryQueue.add({ address: '0xaaa', chain: '1', tabId: null });
+    data[STORAGE_KEYS.RETRY_QUEUE].push({
+      address: '0xold', chain: '1', source: {}, tabId: null, queuedAt: Date.now() - RETRY_QUEUE.MAX_AGE - 1000
+    });
+
+    const queued = await retryQueue.takeAll();
+
+    expect(queued.map(entry => entry.address)).toEqual(['0xaaa']);
+    expect(await retryQueue.getAll()).toEqual([]);
+  });
+
+  test('should cap the queue, dropping the oldest scans', async () => {
+    for (let i = 0; i <= RETRY_QUEUE.MAX_ENTRIES; i++) {
+      await retryQueue.add({ address: `0x${i}`, chain: '1', tabId: null });
+    }
+
+    const queue = await retryQueue.getAll();
+    expect(queue).toHaveLength(RETRY_QUEUE.MAX_ENTRIES);
+    expect(queue[0].address).toBe('0x1');
+  });
+});